@@ -0,0 +1,188 @@
+// Availability helpers: turn events into busy intervals and find free windows between them
+
+const { zonedTimeToUtc, isValidTimeZone, addDays, getDayOfWeek } = require('./timezone.js');
+
+const MINUTE = 60 * 1000;
+
+// Parse an ISO 8601 duration ("PT1H30M", "P1D") or Morgen shorthand ("90m") into minutes
+function parseDurationMinutes(duration) {
+  if (!duration) return null;
+
+  const shorthand = /^(\d+)m$/.exec(duration);
+  if (shorthand) {
+    return parseInt(shorthand[1], 10);
+  }
+
+  const iso = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration);
+  if (!iso) return null;
+
+  const [, weeks, days, hours, minutes, seconds] = iso.map(value => parseInt(value || '0', 10));
+  return weeks * 7 * 24 * 60 + days * 24 * 60 + hours * 60 + minutes + Math.round(seconds / 60);
+}
+
+// Epoch milliseconds of an event time. Morgen sends LocalDateTime values without an
+// offset alongside the event's timeZone, so read those as wall-clock time in that zone.
+function parseEventTime(value, timeZone) {
+  const str = String(value);
+  if (timeZone && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(str) && isValidTimeZone(timeZone)) {
+    return zonedTimeToUtc(str.slice(0, 10), str.slice(11, 16), timeZone).getTime() + Number(str.slice(17, 19) || 0) * 1000;
+  }
+  return new Date(str).getTime();
+}
+
+// Start and end of an event in epoch milliseconds, or null if it has no usable start
+function getEventInterval(event) {
+  if (!event.start) return null;
+
+  const start = parseEventTime(event.start, event.timeZone);
+  if (isNaN(start)) return null;
+
+  let end = event.end ? parseEventTime(event.end, event.timeZone) : NaN;
+  if (isNaN(end)) {
+    const durationMinutes = parseDurationMinutes(event.duration);
+    end = start + (durationMinutes || 0) * MINUTE;
+  }
+
+  return { start, end: Math.max(start, end) };
+}
+
+// Events marked free (JSCalendar freeBusyStatus or iCalendar transparency) do not block time
+function isBusy(event) {
+  if (event.freeBusyStatus === 'free') return false;
+  if (event.transparency === 'transparent') return false;
+  return true;
+}
+
+// Merge overlapping or touching intervals into a sorted list
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+  return merged;
+}
+
+// Find free windows of at least durationMinutes within working hours.
+// Options: startDate/endDate (YYYY-MM-DD, inclusive), durationMinutes, workingHoursStart/End ("HH:MM"),
+// timeZone, bufferMinutes (kept clear around busy events), includeWeekends, notBefore (epoch ms)
+function findFreeSlots(events, options) {
+  const {
+    startDate,
+    endDate,
+    durationMinutes,
+    workingHoursStart = '09:00',
+    workingHoursEnd = '17:00',
+    timeZone = 'UTC',
+    bufferMinutes = 0,
+    includeWeekends = false,
+    notBefore = null
+  } = options;
+
+  const busy = mergeIntervals(
+    events
+      .filter(isBusy)
+      .map(getEventInterval)
+      .filter(Boolean)
+      .map(interval => ({
+        start: interval.start - bufferMinutes * MINUTE,
+        end: interval.end + bufferMinutes * MINUTE
+      }))
+  );
+
+  const slots = [];
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    const dayOfWeek = getDayOfWeek(day);
+    if (!includeWeekends && (dayOfWeek === 0 || dayOfWeek === 6)) {
+      continue;
+    }
+
+    let windowStart = zonedTimeToUtc(day, workingHoursStart, timeZone).getTime();
+    const windowEnd = zonedTimeToUtc(day, workingHoursEnd, timeZone).getTime();
+    if (notBefore !== null) {
+      windowStart = Math.max(windowStart, notBefore);
+    }
+
+    // Walk the busy intervals and collect the gaps inside the working window
+    let cursor = windowStart;
+    for (const interval of busy) {
+      if (interval.end <= cursor) continue;
+      if (interval.start >= windowEnd) break;
+      if (interval.start > cursor) {
+        slots.push({ start: cursor, end: Math.min(interval.start, windowEnd) });
+      }
+      cursor = Math.max(cursor, interval.end);
+    }
+    if (cursor < windowEnd) {
+      slots.push({ start: cursor, end: windowEnd });
+    }
+  }
+
+  // Rank roomier windows first (more flexibility around the meeting), then earlier ones
+  return slots
+    .map(slot => ({ ...slot, minutes: Math.round((slot.end - slot.start) / MINUTE) }))
+    .filter(slot => slot.minutes >= durationMinutes)
+    .sort((a, b) => b.minutes - a.minutes || a.start - b.start)
+    .map(slot => ({
+      start: new Date(slot.start).toISOString(),
+      end: new Date(slot.end).toISOString(),
+      durationMinutes: slot.minutes
+    }));
+}
+
+// Find every pair of busy events that overlap, sorted by when the overlap starts
+function findConflicts(events) {
+  const entries = events
+    .filter(isBusy)
+    .map(event => ({ event, interval: getEventInterval(event) }))
+    .filter(entry => entry.interval && entry.interval.end > entry.interval.start)
+    .sort((a, b) => a.interval.start - b.interval.start);
+
+  const conflicts = [];
+  for (let i = 0; i < entries.length; i++) {
+    const current = entries[i];
+    for (let j = i + 1; j < entries.length && entries[j].interval.start < current.interval.end; j++) {
+      const other = entries[j];
+      const overlapStart = other.interval.start;
+      const overlapEnd = Math.min(current.interval.end, other.interval.end);
+      conflicts.push({
+        events: [current.event, other.event],
+        overlapStart: new Date(overlapStart).toISOString(),
+        overlapEnd: new Date(overlapEnd).toISOString(),
+        overlapMinutes: Math.round((overlapEnd - overlapStart) / MINUTE)
+      });
+    }
+  }
+
+  return conflicts.sort((a, b) => new Date(a.overlapStart) - new Date(b.overlapStart));
+}
+
+// Busy events overlapping the window between start and end (ISO strings or Dates)
+function findOverlappingEvents(events, start, end) {
+  const windowStart = new Date(start).getTime();
+  const windowEnd = new Date(end).getTime();
+
+  return events.filter(event => {
+    if (!isBusy(event)) return false;
+    const interval = getEventInterval(event);
+    return interval && interval.start < windowEnd && interval.end > windowStart;
+  });
+}
+
+module.exports = {
+  parseDurationMinutes,
+  getEventInterval,
+  isBusy,
+  mergeIntervals,
+  findFreeSlots,
+  findConflicts,
+  findOverlappingEvents
+};
@@ -1,8 +1,17 @@
 class SimpleCache {
   constructor(options = {}) {
+    // Map iteration order doubles as recency order: least recently used first
     this.cache = new Map();
     this.maxSize = options.maxSize || 100;
+    this.maxBytes = options.maxBytes || null; // no byte limit by default
     this.defaultTTL = options.defaultTTL || 300; // 5 minutes default
+    // TTLs in seconds by key prefix, e.g. { 'events:': 60 }; the longest matching prefix wins
+    this.ttlPolicies = options.ttlPolicies || {};
+    
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
     
     // Cleanup expired entries every 5 minutes
     this.cleanupInterval = setInterval(() => {
@@ -10,55 +19,93 @@ class SimpleCache {
     }, 5 * 60 * 1000);
   }
 
-  set(key, value, ttl = this.defaultTTL) {
-    const expiresAt = Date.now() + (ttl * 1000);
+  // TTL for a key from the most specific matching prefix policy
+  ttlFor(key) {
+    let bestPrefix = null;
+    for (const prefix of Object.keys(this.ttlPolicies)) {
+      if (key.startsWith(prefix) && (bestPrefix === null || prefix.length > bestPrefix.length)) {
+        bestPrefix = prefix;
+      }
+    }
+    return bestPrefix !== null ? this.ttlPolicies[bestPrefix] : this.defaultTTL;
+  }
+
+  set(key, value, ttl = this.ttlFor(key)) {
+    const size = SimpleCache.estimateBytes(value);
+    
+    // Replace any existing entry so it moves to the most recently used position
+    this.delete(key);
+    
+    // Values larger than the whole byte budget are not cached
+    if (this.maxBytes && size > this.maxBytes) {
+      return;
+    }
     
-    // If cache is at max size, remove oldest entry
-    if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+    // Evict least recently used entries until the new one fits
+    while (this.cache.size > 0 &&
+      (this.cache.size >= this.maxSize || (this.maxBytes && this.bytes + size > this.maxBytes))) {
+      const lruKey = this.cache.keys().next().value;
+      this.delete(lruKey);
+      this.evictions++;
     }
     
     this.cache.set(key, {
       value,
-      expiresAt,
+      size,
+      expiresAt: Date.now() + (ttl * 1000),
       createdAt: Date.now()
     });
+    this.bytes += size;
   }
 
   get(key) {
     const entry = this.cache.get(key);
     
     if (!entry) {
+      this.misses++;
       return null;
     }
     
     // Check if expired
     if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
+      this.delete(key);
+      this.misses++;
       return null;
     }
     
+    // Mark as most recently used
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    this.hits++;
+    
     return entry.value;
   }
 
+  // Unlike get, does not count as a hit or miss or change recency
   has(key) {
-    return this.get(key) !== null;
+    const entry = this.cache.get(key);
+    return Boolean(entry) && Date.now() <= entry.expiresAt;
   }
 
   delete(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.bytes -= entry.size;
     return this.cache.delete(key);
   }
 
   clear() {
     this.cache.clear();
+    this.bytes = 0;
   }
 
   cleanup() {
     const now = Date.now();
     for (const [key, entry] of this.cache.entries()) {
       if (now > entry.expiresAt) {
-        this.cache.delete(key);
+        this.delete(key);
       }
     }
   }
@@ -77,14 +124,30 @@ class SimpleCache {
       }
     }
     
+    const lookups = this.hits + this.misses;
     return {
       size: this.cache.size,
       valid,
       expired,
-      maxSize: this.maxSize
+      maxSize: this.maxSize,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? this.hits / lookups : null
     };
   }
 
+  // Approximate memory footprint of a value as the size of its JSON form
+  static estimateBytes(value) {
+    try {
+      return Buffer.byteLength(JSON.stringify(value) ?? '');
+    } catch (error) {
+      return 0;
+    }
+  }
+
   // Generate cache key for events with parameters
   static generateEventKey(type, params = {}) {
     const sortedParams = Object.keys(params)
@@ -108,4 +171,4 @@ class SimpleCache {
   }
 }
 
-module.exports = SimpleCache;
\ No newline at end of file
+module.exports = SimpleCache;
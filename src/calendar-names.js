@@ -0,0 +1,165 @@
+// Calendar and account arguments given by name instead of ID: "Work", "work calendar",
+// "jane@example.com" or a near miss such as "Wrok". Each reference is matched against the
+// most precise rule that finds anything: the ID, then the exact name (case-insensitive),
+// then names containing the text, then names within a small typo. A reference matching
+// more than one calendar or account is reported as ambiguous instead of guessed.
+
+const { editDistance, allowedTypos } = require('./search-query.js');
+const { providerNames } = require('./formatters.js');
+
+// Opaque IDs are passed through when they match nothing, e.g. calendars added since the
+// calendar list was cached
+const ID_PATTERN = /^[A-Za-z0-9_=+/-]{16,}$/;
+
+const normalize = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Items whose labels match the reference by the most precise rule that matches any
+function findMatches(reference, items, labelsOf) {
+  const wanted = normalize(reference);
+  const maxTypos = allowedTypos(wanted.length);
+  const rules = [
+    label => label === wanted,
+    label => wanted.length >= 3 && (label.includes(wanted) || (label.length >= 3 && wanted.includes(label))),
+    label => maxTypos > 0 && [label, ...label.split(/[\s@.]+/)].some(part => editDistance(part, wanted, maxTypos) <= maxTypos)
+  ];
+
+  for (const rule of rules) {
+    const matches = items.filter(item => labelsOf(item).map(normalize).filter(Boolean).some(rule));
+    if (matches.length > 0) {
+      return matches;
+    }
+  }
+  return [];
+}
+
+function getAccountEmail(calendar, accounts) {
+  const account = accounts.find(acc => acc.id === calendar.accountId);
+  return account ? account.email : null;
+}
+
+function describeCalendar(calendar, accounts) {
+  const email = getAccountEmail(calendar, accounts);
+  return `"${calendar.name || 'Unnamed Calendar'}" (${email ? `${email}, ` : ''}ID ${calendar.id})`;
+}
+
+// Calendars a reference points to. An account email stands for all of that account's
+// calendars, unless a calendar is named after it (as Google names primary calendars).
+// Returns { calendars, exact, account } where exact means the reference was an ID.
+function findCalendars(reference, calendars, accounts) {
+  const byId = calendars.find(calendar => calendar.id === reference);
+  if (byId) {
+    return { calendars: [byId], exact: true, account: null };
+  }
+
+  const wanted = normalize(reference);
+  const named = calendars.filter(calendar => normalize(calendar.name) === wanted);
+  const account = accounts.find(acc => normalize(acc.email) === wanted);
+  if (named.length === 0 && account) {
+    return { calendars: calendars.filter(calendar => calendar.accountId === account.id), exact: false, account };
+  }
+
+  // "Work (jane@example.com)" picks one of several calendars with the same name
+  const matches = findMatches(reference, calendars, calendar => {
+    const email = getAccountEmail(calendar, accounts);
+    return [calendar.name, email && `${calendar.name} (${email})`];
+  });
+  return { calendars: matches, exact: false, account: null };
+}
+
+function notFound(kind, reference, names) {
+  return new Error(
+    `No ${kind} matches "${reference}". ${kind === 'calendar' ? 'Calendars' : 'Accounts'}: ${names.join(', ') || 'none'}. ` +
+    `Use list_${kind === 'calendar' ? 'calendars' : 'accounts'} to see their IDs`
+  );
+}
+
+// Resolve a single calendar reference. Returns { calendar, exact }, or null for an
+// unknown ID; throws when nothing or more than one calendar matches.
+function resolveCalendar(reference, calendars, accounts = []) {
+  const found = findCalendars(reference, calendars, accounts);
+  if (found.calendars.length === 1) {
+    return { calendar: found.calendars[0], exact: found.exact };
+  }
+  if (found.calendars.length > 1) {
+    const hint = found.account
+      ? `Account ${found.account.email} has ${found.calendars.length} calendars`
+      : `"${reference}" matches ${found.calendars.length} calendars`;
+    throw new Error(
+      `${hint}: ${found.calendars.map(calendar => describeCalendar(calendar, accounts)).join(', ')}. ` +
+      'Use the calendar ID, or the name with its account, e.g. "Work (jane@example.com)"'
+    );
+  }
+  if (ID_PATTERN.test(reference)) {
+    return null;
+  }
+  throw notFound('calendar', reference, calendars.map(calendar => `"${calendar.name}"`));
+}
+
+// Resolve a comma-separated list of calendar references ("Work,Personal", or "all").
+// Returns { calendarIds, matches } where matches lists { reference, calendars } for the
+// references given by name or account email.
+function resolveCalendarList(value, calendars, accounts = []) {
+  if (normalize(value) === 'all') {
+    return { calendarIds: 'all', matches: [] };
+  }
+
+  const ids = [];
+  const matches = [];
+  for (const reference of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    const found = findCalendars(reference, calendars, accounts);
+    let resolved;
+    if (found.account && found.calendars.length > 0) {
+      resolved = found.calendars;
+    } else {
+      const calendar = resolveCalendar(reference, calendars, accounts);
+      if (!calendar) {
+        ids.push(reference);
+        continue;
+      }
+      if (calendar.exact) {
+        ids.push(calendar.calendar.id);
+        continue;
+      }
+      resolved = [calendar.calendar];
+    }
+    ids.push(...resolved.map(calendar => calendar.id));
+    matches.push({ reference, calendars: resolved });
+  }
+
+  return { calendarIds: [...new Set(ids)].join(','), matches };
+}
+
+// Resolve an account reference: its ID, email, provider ("google", "Office 365") or a
+// near miss of the email. Returns { account, exact }, or null for an unknown ID.
+function resolveAccount(reference, accounts) {
+  const byId = accounts.find(account => account.id === reference);
+  if (byId) {
+    return { account: byId, exact: true };
+  }
+
+  const matches = findMatches(reference, accounts, account => [
+    account.email,
+    account.integrationId,
+    providerNames[account.integrationId]
+  ]);
+  if (matches.length === 1) {
+    return { account: matches[0], exact: false };
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `"${reference}" matches ${matches.length} accounts: ` +
+      `${matches.map(account => `${account.email} (${providerNames[account.integrationId] || account.integrationId}, ID ${account.id})`).join(', ')}. ` +
+      'Use the account email or ID'
+    );
+  }
+  if (ID_PATTERN.test(reference)) {
+    return null;
+  }
+  throw notFound('account', reference, accounts.map(account => account.email));
+}
+
+module.exports = {
+  resolveCalendar,
+  resolveCalendarList,
+  resolveAccount
+};
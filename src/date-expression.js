@@ -0,0 +1,380 @@
+// Natural-language dates and durations for tool arguments, resolved against a time zone:
+//
+//   tomorrow 9am, next Friday, in 2 weeks, end of month, July 4 at 3pm, tonight
+//   for 90 minutes, 1h30m, an hour and a half
+//
+// Weeks start on Monday unless another day is given. A weekday on its own ("friday", "this friday") is the next one
+// from today, including today; "next friday" is the Friday of next week and "last friday"
+// the most recent one before today. A bare hour from 1 to 7 ("at 3") means the afternoon.
+
+const {
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getZonedDateString,
+  addDays,
+  getDayOfWeek
+} = require('./timezone.js');
+const { parseDurationMinutes } = require('./availability.js');
+
+const MINUTE = 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Default times of day, and whether a bare hour in them means the afternoon
+const PARTS_OF_DAY = {
+  morning: { time: '09:00', afternoon: false },
+  afternoon: { time: '14:00', afternoon: true },
+  evening: { time: '18:00', afternoon: true },
+  tonight: { time: '20:00', afternoon: true, date: 'today' },
+  night: { time: '20:00', afternoon: true }
+};
+
+// Dates and ISO date-times, which need no interpretation
+const ABSOLUTE_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(minute|min|hour|hr|day|week|month|year)s?';
+
+const toNumber = word => NUMBER_WORDS[word] || parseInt(word, 10);
+const pad = value => String(value).padStart(2, '0');
+
+// Index of a day or month name, full or abbreviated ("tue", "tues", "sept."), or -1
+function findName(names, word) {
+  const prefix = String(word || '').replace(/\.$/, '');
+  if (prefix.length < 3) return -1;
+  return names.findIndex(name => name.startsWith(prefix));
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function toDateString(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Add months, keeping the day of month where it exists (Jan 31 + 1 month = Feb 28)
+function addMonths(dateString, months) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const first = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return toDateString(first.getUTCFullYear(), first.getUTCMonth() + 1, Math.min(day, lastDay));
+}
+
+// First day of the week containing the date; weekStart is a day of week (0 = Sunday)
+function startOfWeek(dateString, weekStart) {
+  return addDays(dateString, -((getDayOfWeek(dateString) - weekStart + 7) % 7));
+}
+
+// First and last day of the week, month or year containing the date
+function getPeriod(dateString, unit, weekStart) {
+  if (unit === 'week') {
+    const start = startOfWeek(dateString, weekStart);
+    return { start, end: addDays(start, 6) };
+  }
+  const [year, month] = dateString.split('-').map(Number);
+  if (unit === 'month') {
+    const start = toDateString(year, month, 1);
+    return { start, end: addDays(addMonths(start, 1), -1) };
+  }
+  return { start: toDateString(year, 1, 1), end: toDateString(year, 12, 31) };
+}
+
+function shiftDate(dateString, amount, unit) {
+  switch (unit) {
+    case 'day':
+      return addDays(dateString, amount);
+    case 'week':
+      return addDays(dateString, amount * 7);
+    case 'month':
+      return addMonths(dateString, amount);
+    default:
+      return addMonths(dateString, amount * 12);
+  }
+}
+
+// Wall-clock date and time of an instant in the zone
+function toZonedParts(instant, timeZone) {
+  const date = new Date(instant);
+  return {
+    date: getZonedDateString(date, timeZone),
+    time: date.toLocaleTimeString('en-GB', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' })
+  };
+}
+
+// Take the time of day out of a phrase. Returns { time, rest } where time is "HH:MM" or null.
+function takeTime(phrase) {
+  let rest = phrase;
+  let time = null;
+  let afternoon = false;
+  let date = null;
+
+  const partMatch = /\b(?:this |in the )?(morning|afternoon|evening|tonight|night)\b/.exec(rest);
+  if (partMatch) {
+    const part = PARTS_OF_DAY[partMatch[1]];
+    time = part.time;
+    afternoon = part.afternoon;
+    date = part.date || null;
+    rest = rest.replace(partMatch[0], ' ');
+  }
+
+  const patterns = [
+    // 9am, 3:30 pm, at 11 a.m.
+    { pattern: /\b(?:at )?(\d{1,2})(?::(\d{2}))? ?([ap])\.?m\.?(?=\s|$)/, meridiem: true },
+    // 15:30, at 9:15
+    { pattern: /\b(?:at )?(\d{1,2}):(\d{2})\b/ },
+    // at 3
+    { pattern: /\bat (\d{1,2})\b/, bare: true }
+  ];
+
+  for (const { pattern, meridiem, bare } of patterns) {
+    const match = pattern.exec(rest);
+    if (!match) continue;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = hours % 12 + (match[3] === 'p' ? 12 : 0);
+    } else if (hours < 12 && (afternoon || (bare && hours >= 1 && hours <= 7))) {
+      hours += 12;
+    }
+    if (hours > 23 || minutes > 59) return null;
+
+    time = `${pad(hours)}:${pad(minutes)}`;
+    rest = rest.replace(match[0], ' ');
+    break;
+  }
+
+  const namedMatch = /\b(?:at )?(noon|midday|midnight)\b/.exec(rest);
+  if (namedMatch) {
+    time = namedMatch[1] === 'midnight' ? '00:00' : '12:00';
+    rest = rest.replace(namedMatch[0], ' ');
+  }
+
+  if (date) {
+    rest = `${date} ${rest}`;
+  }
+  return { time, rest: rest.replace(/\s+/g, ' ').trim() };
+}
+
+// Parse the date part of a phrase relative to today; returns "YYYY-MM-DD" or null
+function parseDay(phrase, today, weekStart) {
+  const words = phrase.replace(/^(?:on|by|the) /, '').replace(/ (?:at|on)$/, '').trim();
+  let match;
+
+  if (words === '' || words === 'today') return today;
+  if (words === 'tomorrow') return addDays(today, 1);
+  if (words === 'yesterday') return addDays(today, -1);
+  if (/^(?:the )?day after tomorrow$/.test(words)) return addDays(today, 2);
+  if (/^(?:the )?day before yesterday$/.test(words)) return addDays(today, -2);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(words)) {
+    const [year, month, day] = words.split('-').map(Number);
+    return isValidDate(year, month, day) ? words : null;
+  }
+
+  // friday, this friday, next friday, last friday, friday next week
+  match = /^(?:(this|next|last|coming) )?([a-z]+)(?: (next|this|last) week)?$/.exec(words);
+  if (match && findName(WEEKDAYS, match[2]) !== -1) {
+    const weekday = findName(WEEKDAYS, match[2]);
+    const dayOfWeek = (weekday - weekStart + 7) % 7;
+    if (match[3]) {
+      const shift = { this: 0, next: 7, last: -7 }[match[3]];
+      return addDays(startOfWeek(today, weekStart), shift + dayOfWeek);
+    }
+    if (match[1] === 'next') {
+      return addDays(startOfWeek(today, weekStart), 7 + dayOfWeek);
+    }
+    if (match[1] === 'last') {
+      return addDays(today, -((getDayOfWeek(today) - weekday + 7) % 7 || 7));
+    }
+    return addDays(today, (weekday - getDayOfWeek(today) + 7) % 7);
+  }
+
+  // next week, this month, last year: the first day of that period
+  match = /^(this|next|last) (week|month|year)$/.exec(words);
+  if (match) {
+    const shift = { this: 0, next: 1, last: -1 }[match[1]];
+    return getPeriod(shiftDate(today, shift, match[2]), match[2], weekStart).start;
+  }
+
+  // end of month, start of next week, beginning of the year
+  match = /^(?:the )?(end|start|beginning) of (?:the )?(?:(this|next|last) )?(week|month|year)$/.exec(words);
+  if (match) {
+    const shift = { this: 0, next: 1, last: -1 }[match[2] || 'this'];
+    const period = getPeriod(shiftDate(today, shift, match[3]), match[3], weekStart);
+    return match[1] === 'end' ? period.end : period.start;
+  }
+
+  // in 2 weeks, 3 days from now, a month ago
+  match = new RegExp(`^(?:in ${NUMBER} ${UNIT}|${NUMBER} ${UNIT} (from now|from today|later|ago))$`).exec(words);
+  if (match) {
+    const amount = toNumber(match[1] || match[3]);
+    const unit = (match[2] || match[4]).replace(/^min$/, 'minute').replace(/^hr$/, 'hour');
+    if (unit === 'minute' || unit === 'hour') return null;
+    return shiftDate(today, match[5] === 'ago' ? -amount : amount, unit);
+  }
+
+  // july 4, jul 4 2027, 4 july, 4 of july; a leading weekday ("tue oct 27") is ignored
+  const absolute = words.replace(/^([a-z]+) (?=[a-z]+ \d|\d)/, (whole, word) => (findName(WEEKDAYS, word) !== -1 ? '' : whole));
+  match = /^([a-z.]+) (\d{1,2})(?: (\d{4}))?$/.exec(absolute) || /^(\d{1,2}) (?:of )?([a-z.]+)(?: (\d{4}))?$/.exec(absolute);
+  if (match) {
+    const [monthWord, dayWord] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+    const month = findName(MONTHS, monthWord) + 1;
+    const day = parseInt(dayWord, 10);
+    if (month === 0) return null;
+
+    // Without a year, the next such date from today
+    let year = match[3] ? parseInt(match[3], 10) : parseInt(today.slice(0, 4), 10);
+    if (!match[3] && toDateString(year, month, day) < today) {
+      year++;
+    }
+    return isValidDate(year, month, day) ? toDateString(year, month, day) : null;
+  }
+
+  return null;
+}
+
+// Parse a date expression. Returns { date: "YYYY-MM-DD", time: "HH:MM" or null }.
+// Options: timeZone (default UTC), now (default the current time), weekStart (day of week
+// weeks start on, 0 = Sunday; default Monday), and baseDate, the day a phrase with only a
+// time of day ("4pm") falls on (default today).
+function parseDateExpression(text, options = {}) {
+  const timeZone = options.timeZone || 'UTC';
+  const now = options.now || new Date();
+  const today = getZonedDateString(now, timeZone);
+  const phrase = String(text)
+    .toLowerCase()
+    .replace(/,/g, ' ')
+    .replace(/\b(\d{1,2})(?:st|nd|rd|th)\b/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:on|at|by|until|till) /, '');
+
+  const failure = new Error(
+    `Could not understand the date "${text}". Use YYYY-MM-DD, an ISO date-time, or a phrase ` +
+    'such as "tomorrow 9am", "next Friday at 3pm", "in 2 weeks" or "end of month"'
+  );
+
+  if (phrase === 'now') {
+    return toZonedParts(now, timeZone);
+  }
+
+  // in 2 hours, 30 minutes from now
+  const relativeTime = new RegExp(`^(?:in ${NUMBER} ${UNIT}|${NUMBER} ${UNIT} (?:from now|later))$`).exec(phrase);
+  if (relativeTime && /^(minute|min|hour|hr)$/.test(relativeTime[2] || relativeTime[4])) {
+    const amount = toNumber(relativeTime[1] || relativeTime[3]);
+    const minutes = /^(hour|hr)$/.test(relativeTime[2] || relativeTime[4]) ? amount * 60 : amount;
+    return toZonedParts(now.getTime() + minutes * MINUTE, timeZone);
+  }
+
+  const taken = takeTime(phrase);
+  if (!taken) throw failure;
+
+  const date = taken.rest === '' && options.baseDate && taken.time
+    ? options.baseDate
+    : parseDay(taken.rest, today, options.weekStart === undefined ? 1 : options.weekStart);
+  if (!date) throw failure;
+
+  return { date, time: taken.time };
+}
+
+// Parse a duration ("90 minutes", "for 1.5 hours", "1h30m", "half an hour", "PT45M")
+// into minutes; returns null when the text is not a duration
+function parseDurationExpression(text) {
+  const trimmed = String(text).trim();
+  if (/^P/i.test(trimmed)) {
+    return parseDurationMinutes(trimmed.toUpperCase());
+  }
+
+  let rest = trimmed.toLowerCase().replace(/^for /, '');
+  const part = /^(\d+(?:\.\d+)?|half an?|half|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s*(hours?|hrs?|h|minutes?|mins?|m|days?|d)(?![a-z])(\s*and a half)?/;
+  const unitMinutes = { h: 60, m: 1, d: 24 * 60 };
+
+  let minutes = 0;
+  let found = false;
+  while (rest !== '') {
+    const match = part.exec(rest);
+    if (!match) return null;
+
+    const amount = match[1].startsWith('half') ? 0.5 : (NUMBER_WORDS[match[1]] || parseFloat(match[1]));
+    const unit = unitMinutes[match[2][0]];
+    minutes += (amount + (match[3] ? 0.5 : 0)) * unit;
+    found = true;
+    rest = rest.slice(match[0].length).replace(/^\s*(?:and|,)?\s*/, '');
+  }
+
+  return found && minutes > 0 ? Math.round(minutes) : null;
+}
+
+// ISO date-time with the zone's offset at that wall-clock time ("2026-10-20T09:00:00+02:00")
+function toOffsetDateTime(date, time, timeZone) {
+  const offset = getTimeZoneOffset(zonedTimeToUtc(date, time, timeZone), timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${date}T${time}:00${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+function describeDate(date, time, timeZone) {
+  const weekday = WEEKDAYS[getDayOfWeek(date)];
+  const label = `${weekday[0].toUpperCase()}${weekday.slice(1, 3)} ${date}`;
+  return time ? `${label} ${time} (${timeZone})` : label;
+}
+
+// Resolve a date argument to the absolute form a tool expects. Types:
+//   date       a calendar day, "YYYY-MM-DD"
+//   date-time  a point in time, as an ISO date-time with offset; the phrase needs a time of day
+//   due        a day, or a point in time when the phrase has a time of day
+//   end        like date-time, but may also be a duration or a bare time after options.start
+// Returns { value, description }, or null when the value is already absolute.
+function resolveDateArgument(value, options) {
+  const text = String(value).trim();
+  if (ABSOLUTE_DATE.test(text)) return null;
+
+  const timeZone = options.timeZone;
+  let baseDate;
+  if (options.type === 'end' && options.start) {
+    const start = String(options.start);
+    const startInstant = /(Z|[+-]\d{2}:?\d{2})$/i.test(start) || !/T\d{2}:\d{2}/.test(start)
+      ? new Date(start).getTime()
+      : zonedTimeToUtc(start.slice(0, 10), start.slice(11, 16), timeZone).getTime();
+    if (isNaN(startInstant)) {
+      throw new Error(`Invalid start time: ${start}`);
+    }
+
+    const minutes = parseDurationExpression(text);
+    if (minutes !== null) {
+      const end = toZonedParts(startInstant + minutes * MINUTE, timeZone);
+      return {
+        value: toOffsetDateTime(end.date, end.time, timeZone),
+        description: `${describeDate(end.date, end.time, timeZone)}, ${minutes} minutes after the start`
+      };
+    }
+    baseDate = getZonedDateString(startInstant, timeZone);
+  }
+
+  const { date, time } = parseDateExpression(text, { timeZone, now: options.now, weekStart: options.weekStart, baseDate });
+  if (options.type === 'date' || (options.type === 'due' && !time)) {
+    return { value: date, description: describeDate(date, null, timeZone) };
+  }
+  if (!time) {
+    throw new Error(`"${text}" has no time of day. Add one, e.g. "${text} 9am", or give an ISO date-time`);
+  }
+  return { value: toOffsetDateTime(date, time, timeZone), description: describeDate(date, time, timeZone) };
+}
+
+module.exports = {
+  parseDateExpression,
+  parseDurationExpression,
+  resolveDateArgument
+};
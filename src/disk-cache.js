@@ -0,0 +1,97 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the entry format changes; entries written by other versions are ignored
+const CACHE_VERSION = 1;
+
+// File-backed cache that survives server restarts. Each key is stored as one JSON file,
+// written to a temporary file first and renamed into place so readers never see a
+// partial write. Expired entries are still returned (marked stale) until maxStale has
+// passed, so callers can answer immediately and refresh in the background.
+class DiskCache {
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('DiskCache requires a directory');
+    }
+    this.directory = options.directory;
+    // Keeps entries for different API keys apart without storing the key itself
+    this.namespace = options.namespace || '';
+    this.maxStale = options.maxStale || 7 * 24 * 3600; // 7 days
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha256').update(`${this.namespace}\0${key}`).digest('hex');
+    return path.join(this.directory, `${hash.slice(0, 32)}.json`);
+  }
+
+  // Returns { value, storedAt, stale } or null when missing, unreadable or too old
+  async get(key) {
+    const file = this.filePath(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (!entry || entry.version !== CACHE_VERSION || entry.key !== key) {
+      await fs.rm(file, { force: true }).catch(() => {});
+      return null;
+    }
+
+    const now = Date.now();
+    if (now > entry.expiresAt + this.maxStale * 1000) {
+      await fs.rm(file, { force: true }).catch(() => {});
+      return null;
+    }
+
+    return {
+      value: entry.value,
+      storedAt: entry.storedAt,
+      expiresAt: entry.expiresAt,
+      stale: now > entry.expiresAt
+    };
+  }
+
+  async set(key, value, ttl) {
+    const file = this.filePath(key);
+    const entry = {
+      version: CACHE_VERSION,
+      key,
+      value,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + ttl * 1000
+    };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tempFile, JSON.stringify(entry), 'utf8');
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      await fs.rm(tempFile, { force: true }).catch(() => {});
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  // Remove every cache file in the directory (leaves unrelated files alone)
+  async clear() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      return;
+    }
+    await Promise.all(files
+      .filter(file => /^[0-9a-f]{32}\.json$/.test(file))
+      .map(file => fs.rm(path.join(this.directory, file), { force: true })));
+  }
+}
+
+module.exports = DiskCache;
+module.exports.CACHE_VERSION = CACHE_VERSION;
@@ -0,0 +1,161 @@
+// Filter rules hiding noise from event views, such as the busy blocks Morgen copies between
+// calendars, declined invitations or all-day "Home" entries. A rule hides an event when all
+// of its conditions hold; an event is hidden when any rule matches it. Conditions take one
+// value or a list of values, any of which may match:
+//
+//   { "name": "Declined", "rsvp": "declined" }
+//   { "title": "Home", "all_day": true }
+//   { "title": "/^(lunch|focus)/i", "calendar": ["Work", "cal-123"], "transparency": "free" }
+//   { "organizer": "*@newsletter.example.com" }
+//
+// Titles and organizers are matched case-insensitively and in full; * stands for any text,
+// and /pattern/flags is a regular expression.
+
+const { isBusy } = require('./availability.js');
+const { getAttendees } = require('./participants.js');
+
+const DEFAULT_FILTER_RULES = [
+  { name: 'Morgen busy blocks', title: 'Busy (via Morgen)' },
+  { name: 'Untitled events', title: 'Untitled Event' }
+];
+
+const TRANSPARENCY_VALUES = ['free', 'busy'];
+const RSVP_VALUES = ['needs-action', 'accepted', 'declined', 'tentative', 'delegated'];
+
+const CONDITIONS = ['title', 'calendar', 'transparency', 'rsvp', 'all_day', 'organizer'];
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a title or organizer pattern: "/regex/flags", or text with * wildcards
+function compilePattern(pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  return new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+}
+
+// Validate a rule and compile its patterns; throws on unknown or invalid conditions
+function compileRule(rule, index) {
+  const label = rule && rule.name ? `"${rule.name}"` : `${index + 1}`;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Filter rule ${label} must be an object`);
+  }
+
+  const unknown = Object.keys(rule).filter(key => key !== 'name' && !CONDITIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Filter rule ${label} has unknown condition(s): ${unknown.join(', ')}. Use: ${CONDITIONS.join(', ')}`);
+  }
+  if (!CONDITIONS.some(key => rule[key] !== undefined)) {
+    throw new Error(`Filter rule ${label} has no conditions and would hide every event`);
+  }
+
+  const compiled = { name: rule.name || null };
+  for (const key of ['title', 'organizer', 'calendar']) {
+    if (rule[key] === undefined) continue;
+    const values = toList(rule[key]);
+    if (values.length === 0 || values.some(value => typeof value !== 'string' || value.trim() === '')) {
+      throw new Error(`Filter rule ${label}: ${key} must be text or a list of text`);
+    }
+    try {
+      compiled[key] = key === 'calendar' ? values.map(value => value.trim()) : values.map(compilePattern);
+    } catch (error) {
+      throw new Error(`Filter rule ${label}: invalid ${key} pattern: ${error.message}`);
+    }
+  }
+  for (const [key, allowed] of [['transparency', TRANSPARENCY_VALUES], ['rsvp', RSVP_VALUES]]) {
+    if (rule[key] === undefined) continue;
+    const values = toList(rule[key]).map(value => String(value).toLowerCase());
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (values.length === 0 || invalid.length > 0) {
+      throw new Error(`Filter rule ${label}: invalid ${key} ${invalid.join(', ')}. Use one of: ${allowed.join(', ')}`);
+    }
+    compiled[key] = values;
+  }
+  if (rule.all_day !== undefined) {
+    if (typeof rule.all_day !== 'boolean') {
+      throw new Error(`Filter rule ${label}: all_day must be true or false`);
+    }
+    compiled.allDay = rule.all_day;
+  }
+  return compiled;
+}
+
+// Parse filter rules from a JSON string or an array of rule objects
+function parseFilterRules(value) {
+  const rules = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(rules)) {
+    throw new Error('Filter rules must be a list of rules');
+  }
+  rules.forEach(compileRule);
+  return rules;
+}
+
+// Whether rules need the calendar and account lists to be evaluated
+function needsCalendarData(rules) {
+  return rules.some(rule => rule.calendar !== undefined || rule.rsvp !== undefined);
+}
+
+// The user's own participation status: that of the participant with the account's email
+function getOwnStatus(event, context) {
+  const calendar = context.calendars.find(cal => cal.id === event.calendarId);
+  const accountId = event.accountId || (calendar && calendar.accountId);
+  const account = context.accounts.find(acc => acc.id === accountId);
+  if (!account || !account.email) return null;
+
+  const own = getAttendees(event).find(attendee => (attendee.email || '').toLowerCase() === account.email.toLowerCase());
+  return own ? own.status : null;
+}
+
+function matchesRule(event, rule, context) {
+  if (rule.title && !rule.title.some(pattern => pattern.test(event.title || ''))) {
+    return false;
+  }
+  if (rule.calendar) {
+    const calendar = context.calendars.find(cal => cal.id === event.calendarId);
+    const name = String(calendar ? calendar.name || '' : '').toLowerCase();
+    if (!rule.calendar.some(value => value === event.calendarId || value.toLowerCase() === name)) {
+      return false;
+    }
+  }
+  if (rule.transparency && !rule.transparency.includes(isBusy(event) ? 'busy' : 'free')) {
+    return false;
+  }
+  if (rule.rsvp && !rule.rsvp.includes(getOwnStatus(event, context))) {
+    return false;
+  }
+  if (rule.allDay !== undefined && Boolean(event.showWithoutTime) !== rule.allDay) {
+    return false;
+  }
+  if (rule.organizer) {
+    const organizer = getAttendees(event).find(attendee => attendee.role === 'organizer');
+    const labels = organizer ? [organizer.email, organizer.name].filter(Boolean) : [];
+    if (!rule.organizer.some(pattern => labels.some(label => pattern.test(label)))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Events not hidden by any rule. The context gives the calendars and accounts for rules
+// on calendar names and RSVP status.
+function filterEvents(events, rules, context = {}) {
+  const compiled = rules.map(compileRule);
+  if (compiled.length === 0) {
+    return events;
+  }
+
+  const lists = { calendars: context.calendars || [], accounts: context.accounts || [] };
+  return events.filter(event => !compiled.some(rule => matchesRule(event, rule, lists)));
+}
+
+module.exports = {
+  DEFAULT_FILTER_RULES,
+  parseFilterRules,
+  needsCalendarData,
+  filterEvents
+};
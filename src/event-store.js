@@ -0,0 +1,311 @@
+// In-memory event store keyed by calendar. For each calendar it remembers which time
+// windows have been fetched (merged into non-overlapping ranges) and the events in them,
+// so any sub-range of a fetched window is answered without another API call and only
+// the uncovered gaps need fetching. Expired windows are kept for a while with a sync
+// cursor, so they can be brought up to date with just the changes since the last fetch.
+
+const { getEventInterval } = require('./availability.js');
+
+class EventStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl || 60; // seconds a fetched window stays fresh
+    // Seconds after its last full fetch that an expired window is still synced rather than
+    // re-fetched, so a change a sync missed cannot linger
+    this.fullRefresh = options.fullRefresh || 3600;
+    // calendarId -> { windows: [{ start, end, fetchedAt, loadedAt }], events: Map(key -> event), cursor }
+    this.calendars = new Map();
+  }
+
+  getCalendar(calendarId) {
+    if (!this.calendars.has(calendarId)) {
+      this.calendars.set(calendarId, { windows: [], events: new Map(), cursor: null });
+    }
+    return this.calendars.get(calendarId);
+  }
+
+  // Occurrences of a recurring event can share an ID, so include the recurrence ID
+  static eventKey(event) {
+    return event.recurrenceId ? `${event.id}|${event.recurrenceId}` : event.id;
+  }
+
+  isFresh(window) {
+    return window.fetchedAt > Date.now() - this.ttl * 1000;
+  }
+
+  static overlaps(event, start, end) {
+    const interval = getEventInterval(event);
+    if (!interval) return false;
+    // Zero-length events count when they start inside the range
+    return interval.start < end && (interval.end > start || interval.start >= start);
+  }
+
+  // Drop expired windows that are due a full re-fetch, and any events no longer covered by a window
+  prune(calendarId) {
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar) return;
+
+    const cutoff = Date.now() - this.fullRefresh * 1000;
+    calendar.windows = calendar.windows.filter(window => this.isFresh(window) || window.loadedAt > cutoff);
+
+    for (const [key, event] of calendar.events) {
+      if (!calendar.windows.some(window => EventStore.overlaps(event, window.start, window.end))) {
+        calendar.events.delete(key);
+      }
+    }
+    if (calendar.windows.length === 0) {
+      this.calendars.delete(calendarId);
+    }
+  }
+
+  // Parts of [start, end) (epoch ms) not covered by a fresh window for the calendar
+  getMissingRanges(calendarId, start, end) {
+    this.prune(calendarId);
+    const calendar = this.calendars.get(calendarId);
+    const gaps = [];
+    let cursor = start;
+
+    const fresh = calendar ? calendar.windows.filter(window => this.isFresh(window)) : [];
+    for (const window of fresh) {
+      if (window.end <= cursor) continue;
+      if (window.start >= end) break;
+      if (window.start > cursor) {
+        gaps.push({ start: cursor, end: window.start });
+      }
+      cursor = Math.max(cursor, window.end);
+    }
+    if (cursor < end) {
+      gaps.push({ start: cursor, end });
+    }
+    return gaps;
+  }
+
+  isCovered(calendarId, start, end) {
+    return this.getMissingRanges(calendarId, start, end).length === 0;
+  }
+
+  // Record the complete set of events for a calendar in [start, end)
+  addWindow(calendarId, start, end, events) {
+    const calendar = this.getCalendar(calendarId);
+
+    // The fresh result replaces whatever was known about this window
+    for (const [key, event] of calendar.events) {
+      if (EventStore.overlaps(event, start, end)) {
+        calendar.events.delete(key);
+      }
+    }
+    for (const event of events) {
+      calendar.events.set(EventStore.eventKey(event), event);
+    }
+
+    // Merge with overlapping or touching fresh windows; the merged window is as old as its
+    // oldest part. Expired windows give up the part this fetch replaced.
+    let merged = { start, end, fetchedAt: Date.now(), loadedAt: Date.now() };
+    const windows = [];
+    for (const window of calendar.windows) {
+      if (window.end < merged.start || window.start > merged.end) {
+        windows.push(window);
+      } else if (!this.isFresh(window)) {
+        windows.push(...EventStore.subtract(window, start, end));
+      } else {
+        merged = {
+          start: Math.min(merged.start, window.start),
+          end: Math.max(merged.end, window.end),
+          fetchedAt: Math.min(merged.fetchedAt, window.fetchedAt),
+          loadedAt: Math.min(merged.loadedAt, window.loadedAt)
+        };
+      }
+    }
+    windows.push(merged);
+    calendar.windows = windows.sort((a, b) => a.start - b.start);
+  }
+
+  // Parts of a window outside [start, end)
+  static subtract(window, start, end) {
+    if (window.end <= start || window.start >= end) {
+      return [window];
+    }
+    const parts = [];
+    if (window.start < start) {
+      parts.push({ ...window, end: start });
+    }
+    if (window.end > end) {
+      parts.push({ ...window, start: end });
+    }
+    return parts;
+  }
+
+  getCursor(calendarId) {
+    const calendar = this.calendars.get(calendarId);
+    return calendar ? calendar.cursor : null;
+  }
+
+  // Only set the first time: an older cursor is always safe, since syncing from it
+  // returns a superset of the changes
+  initCursor(calendarId, cursor) {
+    const calendar = this.calendars.get(calendarId);
+    if (calendar && !calendar.cursor) {
+      calendar.cursor = cursor;
+    }
+  }
+
+  // Bounds of all windows of a calendar if any expired window overlaps [start, end)
+  // and the calendar can be synced, otherwise null
+  getSyncRange(calendarId, start, end) {
+    this.prune(calendarId);
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar || !calendar.cursor) return null;
+
+    const needsSync = calendar.windows.some(window =>
+      !this.isFresh(window) && window.start < end && window.end > start);
+    if (!needsSync) return null;
+
+    return {
+      start: Math.min(...calendar.windows.map(window => window.start)),
+      end: Math.max(...calendar.windows.map(window => window.end))
+    };
+  }
+
+  // Apply changed and deleted events from a sync, then mark every window of the calendar
+  // as fresh again. Returns the events that were added, updated or removed.
+  applyChanges(calendarId, changed, deletedIds, cursor) {
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar) return { added: [], updated: [], removed: [] };
+
+    const result = { added: [], updated: [], removed: [] };
+    for (const id of deletedIds) {
+      for (const [key, event] of calendar.events) {
+        if (event.id === id) {
+          calendar.events.delete(key);
+          result.removed.push(event);
+        }
+      }
+    }
+    for (const event of changed) {
+      const key = EventStore.eventKey(event);
+      if (calendar.events.has(key)) {
+        result.updated.push(event);
+      } else {
+        result.added.push(event);
+      }
+      calendar.events.set(key, event);
+    }
+
+    calendar.cursor = cursor;
+    calendar.windows = calendar.windows.map(window => ({ ...window, fetchedAt: Date.now() }));
+    this.prune(calendarId);
+    return result;
+  }
+
+  // Replace the events of a calendar in [start, end) with a full listing, for a sync the
+  // server answered without a delta: events missing from it are gone. Every window is
+  // marked as freshly loaded. Returns the events that were added, updated or removed.
+  applySnapshot(calendarId, events, start, end, cursor) {
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar) return { added: [], updated: [], removed: [] };
+
+    const result = { added: [], updated: [], removed: [] };
+    const listed = new Set(events.map(EventStore.eventKey));
+    for (const [key, event] of calendar.events) {
+      if (!listed.has(key) && EventStore.overlaps(event, start, end)) {
+        calendar.events.delete(key);
+        result.removed.push(event);
+      }
+    }
+    for (const event of events) {
+      const key = EventStore.eventKey(event);
+      const previous = calendar.events.get(key);
+      if (!previous) {
+        result.added.push(event);
+      } else if (JSON.stringify(previous) !== JSON.stringify(event)) {
+        result.updated.push(event);
+      }
+      calendar.events.set(key, event);
+    }
+
+    const now = Date.now();
+    calendar.cursor = cursor;
+    calendar.windows = calendar.windows.map(window => ({ ...window, fetchedAt: now, loadedAt: now }));
+    this.prune(calendarId);
+    return result;
+  }
+
+  // Events of the given calendars overlapping [start, end), sorted by start
+  getEvents(calendarIds, start, end) {
+    const events = [];
+    for (const calendarId of calendarIds) {
+      const calendar = this.calendars.get(calendarId);
+      if (!calendar) continue;
+      for (const event of calendar.events.values()) {
+        if (EventStore.overlaps(event, start, end)) {
+          events.push(event);
+        }
+      }
+    }
+    return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  findEvent(calendarId, eventId) {
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar) return null;
+    for (const event of calendar.events.values()) {
+      if (event.id === eventId) return event;
+    }
+    return null;
+  }
+
+  // Forget [start, end) for a calendar so it is fetched again; without a range the
+  // whole calendar is forgotten, and without a calendar everything is
+  invalidate(calendarId, start, end) {
+    if (calendarId === undefined) {
+      this.calendars.clear();
+      return;
+    }
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar) return;
+    if (start === undefined || end === undefined) {
+      this.calendars.delete(calendarId);
+      return;
+    }
+
+    // Widen the range to whole events, so no window keeps part of a forgotten event
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const event of calendar.events.values()) {
+        const interval = getEventInterval(event);
+        if (interval && EventStore.overlaps(event, start, end) && (interval.start < start || interval.end > end)) {
+          start = Math.min(start, interval.start);
+          end = Math.max(end, interval.end);
+          changed = true;
+        }
+      }
+    }
+
+    calendar.windows = calendar.windows.flatMap(window => EventStore.subtract(window, start, end));
+    for (const [key, event] of calendar.events) {
+      if (EventStore.overlaps(event, start, end)) {
+        calendar.events.delete(key);
+      }
+    }
+    this.prune(calendarId);
+  }
+
+  stats() {
+    let windows = 0;
+    let expiredWindows = 0;
+    let events = 0;
+    let synced = 0;
+    for (const calendarId of [...this.calendars.keys()]) {
+      this.prune(calendarId);
+      const calendar = this.calendars.get(calendarId);
+      if (!calendar) continue;
+      windows += calendar.windows.length;
+      expiredWindows += calendar.windows.filter(window => !this.isFresh(window)).length;
+      events += calendar.events.size;
+      if (calendar.cursor) synced++;
+    }
+    return { calendars: this.calendars.size, windows, expiredWindows, events, synced };
+  }
+}
+
+module.exports = EventStore;
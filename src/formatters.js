@@ -1,6 +1,18 @@
 // Utility functions for formatting calendar and event data
 
-function getCurrentTimeString() {
+const { describeRecurrence } = require('./recurrence.js');
+const { describeParticipants } = require('./participants.js');
+const { parseDurationMinutes } = require('./availability.js');
+
+// Locale dates and times are written in; set from the locale preference
+let locale = 'en-US';
+
+function setLocale(value) {
+  locale = value;
+}
+
+// Times are shown in the given IANA time zone, or the server's local zone if omitted
+function getCurrentTimeString(timeZone) {
   const now = new Date();
   const options = {
     year: 'numeric',
@@ -9,14 +21,15 @@ function getCurrentTimeString() {
     hour: '2-digit',
     minute: '2-digit',
     second: '2-digit',
-    hour12: false,
-    timeZoneName: 'short'
+    hourCycle: 'h23',
+    timeZoneName: 'short',
+    timeZone
   };
   
-  return `Current time: ${now.toLocaleString('en-US', options)}`;
+  return `Current time: ${now.toLocaleString(locale, options)}`;
 }
 
-function formatDateTime(dateString) {
+function formatDateTime(dateString, timeZone) {
   if (!dateString) return 'N/A';
   
   try {
@@ -29,24 +42,38 @@ function formatDateTime(dateString) {
       hour: '2-digit',
       minute: '2-digit',
       second: '2-digit',
-      hour12: false
+      hourCycle: 'h23',
+      timeZone
     };
     
-    return date.toLocaleString('en-US', options).replace(',', '');
+    return date.toLocaleString(locale, options).replace(',', '');
   } catch (error) {
     return dateString;
   }
 }
 
-function formatEvent(event) {
+function formatEvent(event, timeZone) {
   const lines = [`📅 ${event.title || 'Untitled Event'}`];
   
+  if (event.id) {
+    lines.push(`🆔 ID: ${event.id}`);
+  }
+  
+  if (event.calendarId) {
+    lines.push(`📁 Calendar ID: ${event.calendarId}`);
+  }
+  
   if (event.start) {
-    lines.push(`⏰ Start: ${formatDateTime(event.start)}`);
+    lines.push(`⏰ Start: ${formatDateTime(event.start, timeZone)}`);
   }
   
   if (event.end) {
-    lines.push(`⏰ End: ${formatDateTime(event.end)}`);
+    lines.push(`⏰ End: ${formatDateTime(event.end, timeZone)}`);
+  }
+  
+  const recurrence = describeRecurrence(event);
+  if (recurrence) {
+    lines.push(`🔁 Repeats: ${recurrence}`);
   }
   
   if (event.location) {
@@ -57,6 +84,111 @@ function formatEvent(event) {
     lines.push(`📝 Description: ${event.description}`);
   }
   
+  const participants = describeParticipants(event);
+  if (participants.length > 0) {
+    lines.push(`👥 Participants (${participants.length}):`);
+    participants.forEach(participant => lines.push(`   • ${participant}`));
+  }
+  
+  return lines.join('\n');
+}
+
+function formatFreeSlot(slot, timeZone = 'UTC') {
+  const dayOptions = { weekday: 'short', month: 'short', day: 'numeric', timeZone };
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone };
+  
+  const start = new Date(slot.start);
+  const end = new Date(slot.end);
+  const day = start.toLocaleDateString(locale, dayOptions);
+  const startTime = start.toLocaleTimeString(locale, timeOptions);
+  const endTime = end.toLocaleTimeString(locale, timeOptions);
+  
+  return `🟢 ${day}, ${startTime} - ${endTime} (${slot.durationMinutes} min free)`;
+}
+
+function formatConflictsByDay(conflicts, timeZone = 'UTC') {
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone };
+  const formatTime = dateString => new Date(dateString).toLocaleTimeString(locale, timeOptions);
+  
+  // Group conflicts by the day the overlap starts
+  const conflictsByDay = {};
+  
+  conflicts.forEach(conflict => {
+    const dayKey = new Date(conflict.overlapStart).toLocaleDateString(locale, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone
+    });
+    
+    if (!conflictsByDay[dayKey]) {
+      conflictsByDay[dayKey] = [];
+    }
+    
+    conflictsByDay[dayKey].push(conflict);
+  });
+  
+  // Format output
+  const output = [];
+  
+  Object.entries(conflictsByDay).forEach(([day, dayConflicts]) => {
+    output.push(`\n📆 ${day} (${dayConflicts.length} conflict${dayConflicts.length !== 1 ? 's' : ''}):`);
+    output.push('─'.repeat(50));
+    
+    dayConflicts.forEach(conflict => {
+      const [first, second] = conflict.events;
+      output.push(`⚠️ ${formatTime(conflict.overlapStart)} - ${formatTime(conflict.overlapEnd)} (${conflict.overlapMinutes} min overlap)`);
+      output.push(`   • ${first.title || 'Untitled Event'} (ID: ${first.id})`);
+      output.push(`   • ${second.title || 'Untitled Event'} (ID: ${second.id})`);
+    });
+  });
+  
+  return output.join('\n');
+}
+
+function formatPriority(priority) {
+  // Morgen uses iCalendar priorities: 1 is highest, 9 is lowest, 0 is undefined
+  if (!priority) return null;
+  if (priority <= 4) return `High (${priority})`;
+  if (priority === 5) return `Medium (${priority})`;
+  return `Low (${priority})`;
+}
+
+function formatTask(task, taskLists = [], timeZone) {
+  const done = task.progress === 'completed';
+  const lines = [`${done ? '✅' : '⬜'} ${task.title || 'Untitled Task'}`];
+  
+  if (task.id) {
+    lines.push(`🆔 ID: ${task.id}`);
+  }
+  
+  if (task.due) {
+    // Due dates without an offset are local to the task's time zone
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(task.due);
+    const due = hasOffset ? formatDateTime(task.due, timeZone) : task.due.replace('T', ' ');
+    lines.push(`📆 Due: ${due}${!hasOffset && task.timeZone ? ` (${task.timeZone})` : ''}`);
+  }
+  
+  const priority = formatPriority(task.priority);
+  if (priority) {
+    lines.push(`🔥 Priority: ${priority}`);
+  }
+  
+  const estimatedMinutes = parseDurationMinutes(task.estimatedDuration);
+  if (estimatedMinutes) {
+    lines.push(`⏱️ Estimated: ${estimatedMinutes} min`);
+  }
+  
+  if (task.taskListId) {
+    const taskList = taskLists.find(list => list.id === task.taskListId);
+    lines.push(`📋 List: ${taskList?.name ? `${taskList.name} (${task.taskListId})` : task.taskListId}`);
+  }
+  
+  if (task.description) {
+    lines.push(`📝 Description: ${task.description}`);
+  }
+  
   return lines.join('\n');
 }
 
@@ -80,18 +212,19 @@ function formatCalendar(calendar) {
   return lines.join('\n');
 }
 
+const providerNames = {
+  'google': 'Google Calendar',
+  'o365': 'Office 365',
+  'apple': 'Apple Calendar',
+  'exchange': 'Microsoft Exchange'
+};
+
 function formatAccount(account) {
   const lines = [`👤 ${account.email || 'Unknown Email'}`];
   
   lines.push(`🆔 ID: ${account.id}`);
   
   if (account.integrationId) {
-    const providerNames = {
-      'google': 'Google Calendar',
-      'o365': 'Office 365',
-      'apple': 'Apple Calendar',
-      'exchange': 'Microsoft Exchange'
-    };
     const providerName = providerNames[account.integrationId] || account.integrationId;
     lines.push(`🔗 Provider: ${providerName}`);
   }
@@ -99,7 +232,27 @@ function formatAccount(account) {
   return lines.join('\n');
 }
 
-function formatEventsByDay(events) {
+function formatIntegrations(accounts) {
+  // Group connected accounts by calendar provider
+  const accountsByIntegration = {};
+  
+  accounts.forEach(account => {
+    const integrationId = account.integrationId || 'unknown';
+    if (!accountsByIntegration[integrationId]) {
+      accountsByIntegration[integrationId] = [];
+    }
+    accountsByIntegration[integrationId].push(account);
+  });
+  
+  return Object.entries(accountsByIntegration).map(([integrationId, integrationAccounts]) => {
+    const lines = [`🔗 ${providerNames[integrationId] || integrationId}`];
+    lines.push(`🆔 Integration ID: ${integrationId}`);
+    lines.push(`👤 Accounts (${integrationAccounts.length}): ${integrationAccounts.map(acc => acc.email || acc.id).join(', ')}`);
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+function formatEventsByDay(events, timeZone) {
   // Group events by day
   const eventsByDay = {};
   
@@ -107,11 +260,12 @@ function formatEventsByDay(events) {
     if (!event.start) return;
     
     const date = new Date(event.start);
-    const dayKey = date.toLocaleDateString('en-US', { 
+    const dayKey = date.toLocaleDateString(locale, { 
       weekday: 'long', 
       year: 'numeric', 
       month: 'long', 
-      day: 'numeric' 
+      day: 'numeric',
+      timeZone
     });
     
     if (!eventsByDay[dayKey]) {
@@ -130,18 +284,142 @@ function formatEventsByDay(events) {
     
     dayEvents.forEach((event, index) => {
       if (index > 0) output.push(''); // Add blank line between events
-      output.push(formatEvent(event));
+      output.push(formatEvent(event, timeZone));
     });
   });
   
   return output.join('\n');
 }
 
+// Fields a search result matched, with the matching text in bold
+function formatSearchMatch(event) {
+  if (!event.search || event.search.highlights.length === 0) return '';
+  return event.search.highlights
+    .map(highlight => `\n🎯 Matched ${highlight.field}: ${highlight.text}`)
+    .join('');
+}
+
+// Schedule changes since a checkpoint, grouped by calendar
+function formatScheduleChanges(changes, calendars = [], timeZone) {
+  const formatWhen = dateString => new Date(dateString).toLocaleString(locale, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone
+  });
+  const calendarName = calendarId => {
+    const calendar = calendars.find(cal => cal.id === calendarId);
+    return calendar ? calendar.name : calendarId || 'Unknown calendar';
+  };
+  const label = event => `${event.title || 'Untitled Event'} (ID: ${event.id})`;
+
+  // Each change is attributed to the calendar the event is in now (or was in, if removed)
+  const byCalendar = {};
+  const add = (calendarId, line) => {
+    const name = calendarName(calendarId);
+    if (!byCalendar[name]) {
+      byCalendar[name] = [];
+    }
+    byCalendar[name].push(line);
+  };
+
+  changes.added.forEach(event => {
+    add(event.calendarId, `➕ Added: ${label(event)} - ${formatWhen(event.start)}`);
+  });
+  changes.removed.forEach(event => {
+    add(event.calendarId, `➖ Removed: ${label(event)} - was ${formatWhen(event.start)}`);
+  });
+  changes.rescheduled.forEach(({ before, after }) => {
+    add(after.calendarId, `🔀 Rescheduled: ${label(after)} - ${formatWhen(before.start)} → ${formatWhen(after.start)}`);
+  });
+  changes.edited.forEach(({ after, fields }) => {
+    const details = fields.map(change => {
+      if (change.field === 'attendees') {
+        const parts = [];
+        if (change.added.length > 0) parts.push(`+${change.added.join(', +')}`);
+        if (change.removed.length > 0) parts.push(`-${change.removed.join(', -')}`);
+        return `attendees ${parts.join(' ')}`;
+      }
+      if (change.field === 'calendarId') {
+        return `moved from ${calendarName(change.from)}`;
+      }
+      return `${change.field} "${change.from}" → "${change.to}"`;
+    });
+    add(after.calendarId, `✏️ Edited: ${label(after)} - ${details.join('; ')}`);
+  });
+
+  const output = [];
+  Object.entries(byCalendar).forEach(([name, lines]) => {
+    output.push(`\n📅 ${name} (${lines.length} change${lines.length !== 1 ? 's' : ''}):`);
+    output.push('─'.repeat(50));
+    output.push(...lines);
+  });
+  return output.join('\n');
+}
+
+// Request budget, API-reported limits and cache usage, for troubleshooting
+function formatDiagnostics(diagnostics, timeZone) {
+  const { limiter, rateLimit, cache } = diagnostics;
+  const lines = ['🚦 Request budget (client-side):'];
+  lines.push(`   Tokens: ${limiter.tokens}/${limiter.capacity} (refills ${limiter.refillPerSecond}/s)`);
+  lines.push(`   Requests: ${limiter.active} running, ${limiter.queued} queued (max ${limiter.maxConcurrent} at once)`);
+  if (limiter.pausedUntil) {
+    lines.push(`   ⏸️ Paused until ${formatDateTime(limiter.pausedUntil, timeZone)}`);
+  }
+
+  lines.push('', '📡 Morgen API rate limit:');
+  if (rateLimit) {
+    lines.push(`   Remaining: ${rateLimit.remaining ?? 'unknown'}/${rateLimit.limit ?? 'unknown'}`);
+    if (rateLimit.resetAt) {
+      lines.push(`   Resets: ${formatDateTime(rateLimit.resetAt, timeZone)}`);
+    }
+    lines.push(`   Last updated: ${formatDateTime(rateLimit.updatedAt, timeZone)}`);
+  } else {
+    lines.push('   Not reported yet (no API responses with rate-limit headers)');
+  }
+
+  lines.push('', '🗄️ Cache:');
+  lines.push(`   Entries: ${cache.valid} valid, ${cache.expired} expired (max ${cache.maxSize})`);
+  if (cache.maxBytes) {
+    lines.push(`   Size: ${(cache.bytes / 1024).toFixed(1)} KB of ${(cache.maxBytes / 1024).toFixed(0)} KB`);
+  }
+  const hitRate = cache.hitRate !== null ? ` (${Math.round(cache.hitRate * 100)}% hit rate)` : '';
+  lines.push(`   Lookups: ${cache.hits} hits, ${cache.misses} misses${hitRate}, ${cache.evictions} evictions`);
+  lines.push(`   On disk: ${diagnostics.diskCacheDir || 'disabled'}`);
+  if (diagnostics.eventStore) {
+    const store = diagnostics.eventStore;
+    lines.push(`   Event store: ${store.events} events in ${store.windows} window(s) across ${store.calendars} calendar(s)`);
+  }
+  if (diagnostics.sync) {
+    const { supported, lastSync } = diagnostics.sync;
+    let syncLine = `   Incremental sync: ${supported ? 'enabled' : 'unavailable (full fetches only)'}`;
+    if (lastSync) {
+      syncLine += `, last at ${formatDateTime(lastSync.at, timeZone)} (${lastSync.added} added, ${lastSync.updated} updated, ${lastSync.removed} removed)`;
+    }
+    lines.push(syncLine);
+  }
+
+  lines.push('', `🌍 Time zone: ${diagnostics.timeZone}`);
+  return lines.join('\n');
+}
+
 module.exports = {
+  setLocale,
   getCurrentTimeString,
   formatDateTime,
   formatEvent,
+  formatFreeSlot,
+  formatConflictsByDay,
+  formatTask,
   formatCalendar,
   formatAccount,
-  formatEventsByDay
+  formatIntegrations,
+  formatEventsByDay,
+  formatSearchMatch,
+  formatScheduleChanges,
+  formatDiagnostics,
+  providerNames
 };
\ No newline at end of file
@@ -0,0 +1,705 @@
+// iCalendar (RFC 5545) export and import. Export turns Morgen events into a VCALENDAR with
+// VTIMEZONE definitions, RRULE/EXDATE recurrence, attendees, text escaping and 75-octet line
+// folding; import reads VEVENTs back into createEvent data.
+
+const { getEventInterval, parseDurationMinutes } = require('./availability.js');
+const { getAttendees } = require('./participants.js');
+const { getTimeZoneOffset, toZonedLocalDateTime, zonedTimeToUtc, isValidTimeZone } = require('./timezone.js');
+const { FREQUENCIES } = require('./recurrence.js');
+
+const PRODUCT_ID = '-//Morgen Calendar Extension//Event Export//EN';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const UTC_ZONES = ['UTC', 'Etc/UTC', 'GMT', 'Etc/GMT'];
+
+const PARTSTATS = {
+  'needs-action': 'NEEDS-ACTION',
+  'accepted': 'ACCEPTED',
+  'declined': 'DECLINED',
+  'tentative': 'TENTATIVE',
+  'delegated': 'DELEGATED'
+};
+
+// TEXT values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values containing ":", ";" or "," must be quoted, and cannot contain quotes
+function paramValue(value) {
+  const clean = String(value).replace(/"/g, '');
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+// Split lines longer than 75 octets, continuing with a leading space (RFC 5545 3.1),
+// without breaking a multi-byte character
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // the leading space counts
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// "20250702T153000" from a LocalDateTime ("2025-07-02T15:30:00")
+function formatLocal(localDateTime) {
+  return localDateTime.slice(0, 19).replace(/[-:]/g, '');
+}
+
+// "20250702T133000Z" from epoch milliseconds
+function formatUTC(timestamp) {
+  return new Date(timestamp).toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Zone an event's times are written in, or null to write them in UTC
+function getEventZone(event) {
+  if (!event.timeZone || UTC_ZONES.includes(event.timeZone) || !isValidTimeZone(event.timeZone)) {
+    return null;
+  }
+  return event.timeZone;
+}
+
+// "DTSTART;TZID=Europe/Berlin:20250702T153000", "DTSTART:20250702T133000Z" or, for all-day
+// events, "DTSTART;VALUE=DATE:20250702"
+function dateTimeProperty(name, timestamp, zone, allDay) {
+  if (allDay) {
+    const date = zone ? toZonedLocalDateTime(new Date(timestamp).toISOString(), zone) : new Date(timestamp).toISOString();
+    return `${name};VALUE=DATE:${date.slice(0, 10).replace(/-/g, '')}`;
+  }
+  if (zone) {
+    return `${name};TZID=${paramValue(zone)}:${formatLocal(toZonedLocalDateTime(new Date(timestamp).toISOString(), zone))}`;
+  }
+  return `${name}:${formatUTC(timestamp)}`;
+}
+
+// RRULE from the event's first JSCalendar recurrence rule. An `until` instant replaces the
+// rule's own end, for series exported from an occurrence rather than from their first start.
+function buildRRule(rule, zone, until = null) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval && rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay && rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(nday => `${nday.nthOfPeriod || ''}${nday.day.toUpperCase()}`).join(',')}`);
+  }
+  if (rule.byMonthDay && rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.byMonth && rule.byMonth.length > 0) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  }
+  if (until !== null) {
+    parts.push(`UNTIL=${formatUTC(until)}`);
+  } else if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  } else if (rule.until) {
+    // UNTIL is a UTC time when DTSTART has a time zone (RFC 5545 3.3.10)
+    const until = String(rule.until);
+    const instant = /(Z|[+-]\d{2}:?\d{2})$/.test(until)
+      ? new Date(until)
+      : zonedTimeToUtc(until.slice(0, 10), until.slice(11, 16) || '23:59', zone || 'UTC');
+    parts.push(`UNTIL=${formatUTC(instant.getTime())}`);
+  }
+  return `RRULE:${parts.join(';')}`;
+}
+
+function attendeeProperty(attendee) {
+  const params = [];
+  if (attendee.name) {
+    params.push(`CN=${paramValue(attendee.name)}`);
+  }
+  if (attendee.role === 'organizer') {
+    return `ORGANIZER${params.map(param => `;${param}`).join('')}:mailto:${attendee.email}`;
+  }
+  params.push(`ROLE=${attendee.role === 'optional' ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT'}`);
+  params.push(`PARTSTAT=${PARTSTATS[attendee.status] || 'NEEDS-ACTION'}`);
+  if (attendee.status === 'needs-action') {
+    params.push('RSVP=TRUE');
+  }
+  return `ATTENDEE;${params.join(';')}:mailto:${attendee.email}`;
+}
+
+// VEVENT for an event or a series; a changed occurrence of a series carries the original
+// start it replaces as `recurrenceId` (epoch milliseconds)
+function buildEvent({ event, interval, zone, uid, until = null, recurrenceId = null }, stamp) {
+  const allDay = Boolean(event.showWithoutTime);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid || event.uid || `${event.id}@morgen.so`}`,
+    `DTSTAMP:${stamp}`
+  ];
+  if (recurrenceId !== null) {
+    lines.push(dateTimeProperty('RECURRENCE-ID', recurrenceId, zone, allDay));
+  }
+  lines.push(
+    dateTimeProperty('DTSTART', interval.start, zone, allDay),
+    dateTimeProperty('DTEND', allDay ? Math.max(interval.end, interval.start + DAY) : interval.end, zone, allDay),
+    `SUMMARY:${escapeText(event.title || 'Untitled Event')}`
+  );
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+
+  const rule = event.recurrenceRules && event.recurrenceRules[0];
+  if (rule && rule.frequency && recurrenceId === null) {
+    lines.push(buildRRule(rule, zone, until));
+    // Excluded occurrences are keyed by their original LocalDateTime start
+    const excluded = Object.entries(event.recurrenceOverrides || {})
+      .filter(([, override]) => override && override.excluded)
+      .map(([recurrenceId]) => recurrenceId);
+    if (excluded.length > 0) {
+      lines.push(zone
+        ? `EXDATE;TZID=${paramValue(zone)}:${excluded.map(formatLocal).join(',')}`
+        : `EXDATE:${excluded.map(recurrenceId => `${formatLocal(recurrenceId)}Z`).join(',')}`);
+    }
+  }
+
+  for (const attendee of getAttendees(event)) {
+    if (attendee.email) {
+      lines.push(attendeeProperty(attendee));
+    }
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// First instant at which the zone's offset differs from its offset at `from`,
+// searched to the minute between two instants with different offsets
+function findTransition(from, to, timeZone) {
+  const offset = getTimeZoneOffset(new Date(from), timeZone);
+  let low = from;
+  let high = to;
+  while (high - low > MINUTE) {
+    const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+    if (getTimeZoneOffset(new Date(middle), timeZone) === offset) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return high;
+}
+
+function getZoneName(timestamp, timeZone) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(timestamp))
+    .find(item => item.type === 'timeZoneName');
+  return part ? part.value : null;
+}
+
+// VTIMEZONE with one STANDARD/DAYLIGHT observance per offset change between the start of
+// the year before fromYear and the end of toYear, found by sampling the zone daily
+function buildTimeZone(timeZone, fromYear, toYear) {
+  const start = Date.UTC(fromYear - 1, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const observances = [];
+
+  let previousOffset = getTimeZoneOffset(new Date(start), timeZone);
+  for (let day = start + DAY; day <= end; day += DAY) {
+    const offset = getTimeZoneOffset(new Date(day), timeZone);
+    if (offset === previousOffset) continue;
+
+    const transition = findTransition(day - DAY, day, timeZone);
+    observances.push({ at: transition, from: previousOffset, to: offset });
+    previousOffset = offset;
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  if (observances.length === 0) {
+    const name = getZoneName(start, timeZone);
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(previousOffset)}`,
+      `TZOFFSETTO:${formatOffset(previousOffset)}`,
+      ...(name ? [`TZNAME:${name}`] : []),
+      'END:STANDARD'
+    );
+  }
+  for (const observance of observances) {
+    // A change to a later offset starts daylight time; DTSTART is the local time before it
+    const type = observance.to > observance.from ? 'DAYLIGHT' : 'STANDARD';
+    const name = getZoneName(observance.at, timeZone);
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatUTC(observance.at + observance.from * MINUTE).slice(0, 15)}`,
+      `TZOFFSETFROM:${formatOffset(observance.from)}`,
+      `TZOFFSETTO:${formatOffset(observance.to)}`,
+      ...(name ? [`TZNAME:${name}`] : []),
+      `END:${type}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// Original start of an occurrence in epoch milliseconds: its recurrence ID, read in the
+// event's zone, or its start when it was not expanded from a series
+function getOriginalStart({ event, interval }) {
+  if (!event.recurrenceId) return interval.start;
+  const original = getEventInterval({ start: event.recurrenceId, timeZone: event.timeZone || 'UTC' });
+  return original ? original.start : interval.start;
+}
+
+// Entries for a recurring series from its occurrences in the export, sorted by start. The
+// series starts at the original start of its earliest occurrence; when that is an expanded
+// occurrence, the series may have started earlier, so a COUNT is replaced by an UNTIL at
+// its last exported occurrence. Changed occurrences follow as entries with a recurrence ID.
+function buildSeries(occurrences) {
+  const sorted = occurrences
+    .map(entry => ({ ...entry, originalStart: getOriginalStart(entry) }))
+    .sort((a, b) => a.originalStart - b.originalStart);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+
+  const overrides = Object.assign({}, ...sorted.map(({ event }) => event.recurrenceOverrides || {}));
+  const isChanged = entry => {
+    const override = entry.event.recurrenceId && overrides[entry.event.recurrenceId];
+    return Boolean(override && !override.excluded && Object.keys(override).length > 0) ||
+      entry.originalStart !== entry.interval.start;
+  };
+
+  const base = sorted.find(entry => !isChanged(entry)) || first;
+  const { event, zone } = base;
+  const uid = event.uid || `${event.masterEventId || event.id}@morgen.so`;
+  const rule = event.recurrenceRules[0];
+  const until = rule.count && (first.event.recurrenceId || first.event.masterEventId) ? last.originalStart : null;
+
+  const entries = [{
+    event: { ...event, recurrenceOverrides: overrides },
+    interval: { start: first.originalStart, end: first.originalStart + (base.interval.end - base.interval.start) },
+    zone,
+    uid,
+    until
+  }];
+  for (const entry of sorted.filter(isChanged)) {
+    entries.push({ event: entry.event, interval: entry.interval, zone, uid, recurrenceId: entry.originalStart });
+  }
+
+  // Changes to occurrences outside the export, when the series itself was given
+  const exported = new Set(sorted.map(entry => entry.event.recurrenceId).filter(Boolean));
+  for (const [recurrenceId, override] of Object.entries(overrides)) {
+    if (!override || override.excluded || exported.has(recurrenceId)) continue;
+    const original = getOriginalStart({ event: { ...event, recurrenceId }, interval: first.interval });
+    if (original < first.originalStart || (until !== null && original > until)) continue;
+
+    const changed = { ...event, ...override, recurrenceId };
+    delete changed.recurrenceRules;
+    const interval = getEventInterval({
+      ...changed,
+      start: override.start || recurrenceId,
+      end: undefined,
+      duration: override.duration || event.duration || `PT${Math.round((base.interval.end - base.interval.start) / MINUTE)}M`
+    });
+    if (interval) {
+      entries.push({ event: changed, interval, zone, uid, recurrenceId: original });
+    }
+  }
+  return entries;
+}
+
+// Build a VCALENDAR from Morgen events. Occurrences of a recurring series that carry its
+// recurrence rules are exported once, as the series, followed by its changed occurrences.
+function buildCalendar(events, options = {}) {
+  const stamp = formatUTC(options.now || Date.now());
+  const entries = [];
+  const series = new Map();
+
+  const sorted = events
+    .map(event => ({ event, interval: getEventInterval(event), zone: getEventZone(event) }))
+    .filter(entry => entry.interval)
+    .sort((a, b) => a.interval.start - b.interval.start);
+
+  for (const entry of sorted) {
+    const { event } = entry;
+    if (!event.recurrenceRules || event.recurrenceRules.length === 0 || !event.recurrenceRules[0].frequency) {
+      entries.push(entry);
+      continue;
+    }
+    const seriesKey = event.uid || event.masterEventId || event.id;
+    if (!series.has(seriesKey)) {
+      series.set(seriesKey, []);
+      entries.push({ seriesKey });
+    }
+    series.get(seriesKey).push(entry);
+  }
+  const exported = entries.flatMap(entry => (entry.seriesKey ? buildSeries(series.get(entry.seriesKey)) : [entry]));
+
+  // One VTIMEZONE per zone used, covering the years of its events
+  const years = new Map();
+  for (const { zone, interval } of exported) {
+    if (!zone) continue;
+    const [fromYear, toYear] = years.get(zone) || [Infinity, -Infinity];
+    years.set(zone, [
+      Math.min(fromYear, new Date(interval.start).getUTCFullYear()),
+      Math.max(toYear, new Date(interval.end).getUTCFullYear())
+    ]);
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  for (const [zone, [fromYear, toYear]] of years) {
+    lines.push(...buildTimeZone(zone, fromYear, toYear));
+  }
+  for (const entry of exported) {
+    lines.push(...buildEvent(entry, stamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return {
+    ics: `${lines.map(foldLine).join('\r\n')}\r\n`,
+    eventCount: exported.length
+  };
+}
+
+// Reverse of escapeText
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g,(match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split a content line into { name, params, value }; parameter values may be quoted
+function parseContentLine(line) {
+  const pattern = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/;
+  const match = pattern.exec(line);
+  if (!match) return null;
+
+  const params = {};
+  const paramPattern = /;([A-Za-z0-9-]+)=((?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)/g;
+  let param;
+  while ((param = paramPattern.exec(match[2])) !== null) {
+    params[param[1].toUpperCase()] = param[2].replace(/"/g, '');
+  }
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+// Nested components: { name, properties: [{ name, params, value }], components: [...] }
+function parseComponents(text) {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+  return root;
+}
+
+const getProperty = (component, name) => component.properties.find(property => property.name === name);
+
+// { local: "2025-07-02T15:30:00", utc, isDate } from "20250702T153000Z", "20250702T153000" or "20250702"
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+  return {
+    local: `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`,
+    utc: Boolean(utc),
+    isDate: match[4] === undefined
+  };
+}
+
+const parseOffset = value => {
+  const match = /^([+-])(\d{2})(\d{2})/.exec(value || '');
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Local start ("YYYYMMDDTHHMMSS") of a yearly observance (BYMONTH + nth BYDAY) in a year
+function getYearlyOnset(rule, year, time) {
+  const month = Number(rule.BYMONTH);
+  const byDay = /^([+-]?\d)?([A-Z]{2})$/.exec(rule.BYDAY || '');
+  if (!month || !byDay) return null;
+
+  const weekday = RRULE_DAYS.indexOf(byDay[2]);
+  const nth = Number(byDay[1] || 1);
+  let day;
+  if (nth > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    day = 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7;
+  } else {
+    const lastDate = new Date(Date.UTC(year, month, 0));
+    day = lastDate.getUTCDate() - ((lastDate.getUTCDay() - weekday + 7) % 7) + (nth + 1) * 7;
+  }
+  return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}T${time}`;
+}
+
+// UTC offset in minutes of a local time in a VTIMEZONE that is not a known IANA zone: the
+// offset of the observance (STANDARD or DAYLIGHT) that started most recently before it
+function getCustomZoneOffset(vtimezone, local) {
+  const target = local.replace(/[-:]/g, '');
+  const year = Number(target.slice(0, 4));
+  let latest = null;
+
+  for (const observance of vtimezone.components) {
+    const dtstart = getProperty(observance, 'DTSTART');
+    if (!dtstart) continue;
+    const start = dtstart.value.trim();
+    const offset = parseOffset(getProperty(observance, 'TZOFFSETTO')?.value);
+
+    const onsets = [start];
+    const rrule = getProperty(observance, 'RRULE');
+    if (rrule) {
+      const rule = Object.fromEntries(rrule.value.split(';').map(part => part.split('=')));
+      for (const onsetYear of [year - 1, year]) {
+        const onset = rule.FREQ === 'YEARLY' && getYearlyOnset(rule, onsetYear, start.slice(9, 15));
+        if (onset && onset >= start && (!rule.UNTIL || onset <= rule.UNTIL.replace('Z', ''))) {
+          onsets.push(onset);
+        }
+      }
+    }
+    for (const onset of onsets) {
+      if (onset <= target && (!latest || onset > latest.onset)) {
+        latest = { onset, offset };
+      }
+    }
+  }
+
+  if (latest) return latest.offset;
+  const first = vtimezone.components.find(observance => getProperty(observance, 'TZOFFSETFROM'));
+  return first ? parseOffset(getProperty(first, 'TZOFFSETFROM').value) : 0;
+}
+
+const addMinutes = (local, minutes) => new Date(Date.parse(`${local}Z`) + minutes * MINUTE).toISOString().slice(0, 19);
+
+// Resolve a DATE-TIME property to a LocalDateTime in the zone createEvent receives it in.
+// Known IANA zones are kept; UTC values and custom VTIMEZONEs are converted to UTC, and
+// floating times use the default zone.
+function resolveTime(property, timeZones, defaultTimeZone) {
+  const parsed = parseDateValue(property.value);
+  const tzid = property.params.TZID;
+
+  if (parsed.isDate) {
+    return { local: parsed.local, timeZone: defaultTimeZone, isDate: true };
+  }
+  if (parsed.utc) {
+    return { local: parsed.local, timeZone: 'UTC' };
+  }
+  if (!tzid) {
+    return { local: parsed.local, timeZone: defaultTimeZone };
+  }
+  if (isValidTimeZone(tzid)) {
+    return { local: parsed.local, timeZone: tzid };
+  }
+  const vtimezone = timeZones.get(tzid);
+  if (!vtimezone) {
+    throw new Error(`Unknown time zone: ${tzid}`);
+  }
+  return { local: addMinutes(parsed.local, -getCustomZoneOffset(vtimezone, parsed.local)), timeZone: 'UTC' };
+}
+
+// Express a resolved time in another zone's wall-clock time
+function toZone(time, timeZone) {
+  if (time.timeZone === timeZone || time.isDate) return time.local;
+  const instant = zonedTimeToUtc(time.local.slice(0, 10), time.local.slice(11, 16), time.timeZone);
+  return toZonedLocalDateTime(instant.toISOString(), timeZone);
+}
+
+const IMPORTED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST'];
+
+// Recurrence spec for createEvent from an RRULE and EXDATEs
+function toRecurrence(rrule, exdates, start, timeZones) {
+  const rule = Object.fromEntries(rrule.value.split(';').filter(Boolean).map(part => {
+    const [key, ...value] = part.split('=');
+    return [key.toUpperCase(), value.join('=')];
+  }));
+
+  const unsupported = Object.keys(rule).filter(key => !IMPORTED_RRULE_PARTS.includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported repeat rule (${unsupported.join(', ')}): ${rrule.value}`);
+  }
+  const frequency = (rule.FREQ || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Unsupported repeat frequency: ${rule.FREQ}`);
+  }
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : undefined;
+  if (byDay && byDay.some(day => !/^[A-Z]{2}$/i.test(day))) {
+    throw new Error(`Unsupported repeat days (only plain weekdays are supported): ${rule.BYDAY}`);
+  }
+
+  const recurrence = { frequency, byDay };
+  if (rule.INTERVAL) {
+    recurrence.interval = Number(rule.INTERVAL);
+  }
+  if (rule.COUNT) {
+    recurrence.count = Number(rule.COUNT);
+  } else if (rule.UNTIL) {
+    const until = resolveTime({ value: rule.UNTIL, params: {} }, timeZones, start.timeZone);
+    recurrence.until = until.isDate ? until.local.slice(0, 10) : toZone(until, start.timeZone);
+  }
+
+  const exceptions = [];
+  for (const exdate of exdates) {
+    for (const value of exdate.value.split(',')) {
+      const excluded = resolveTime({ value, params: exdate.params }, timeZones, start.timeZone);
+      exceptions.push(excluded.isDate ? excluded.local.slice(0, 10) : toZone(excluded, start.timeZone));
+    }
+  }
+  if (exceptions.length > 0) {
+    recurrence.exceptions = exceptions;
+  }
+  return recurrence;
+}
+
+function toAttendee(property) {
+  const email = property.value.replace(/^mailto:/i, '').trim();
+  return {
+    email,
+    name: property.params.CN || undefined,
+    role: property.params.ROLE === 'OPT-PARTICIPANT' || property.params.ROLE === 'NON-PARTICIPANT' ? 'optional' : 'required'
+  };
+}
+
+// createEvent data for a VEVENT
+function toEventData(vevent, timeZones, defaultTimeZone) {
+  const dtstart = getProperty(vevent, 'DTSTART');
+  if (!dtstart) {
+    throw new Error('Event has no start time (DTSTART)');
+  }
+  const start = resolveTime(dtstart, timeZones, defaultTimeZone);
+
+  let end;
+  const dtend = getProperty(vevent, 'DTEND');
+  const duration = getProperty(vevent, 'DURATION');
+  if (dtend) {
+    end = toZone(resolveTime(dtend, timeZones, start.timeZone), start.timeZone);
+  } else if (duration) {
+    const minutes = parseDurationMinutes(duration.value.trim());
+    if (minutes === null) {
+      throw new Error(`Invalid duration: ${duration.value}`);
+    }
+    end = addMinutes(start.local, minutes);
+  } else {
+    // All-day events without an end last one day; timed events are instants
+    end = start.isDate ? addMinutes(start.local, 24 * 60) : start.local;
+  }
+
+  const text = name => {
+    const property = getProperty(vevent, name);
+    return property ? unescapeText(property.value) : undefined;
+  };
+
+  const eventData = {
+    uid: text('UID'),
+    title: text('SUMMARY') || 'Untitled Event',
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    startDate: start.local,
+    endDate: end,
+    timeZone: start.timeZone,
+    allDay: Boolean(start.isDate)
+  };
+
+  const rrule = getProperty(vevent, 'RRULE');
+  if (rrule) {
+    const exdates = vevent.properties.filter(property => property.name === 'EXDATE');
+    eventData.recurrence = toRecurrence(rrule, exdates, start, timeZones);
+  }
+
+  const attendees = vevent.properties
+    .filter(property => property.name === 'ATTENDEE' && /^mailto:/i.test(property.value))
+    .map(toAttendee);
+  if (attendees.length > 0) {
+    eventData.attendees = attendees;
+  }
+
+  return eventData;
+}
+
+// Parse the VEVENTs of an iCalendar text. Each entry is { uid, title, start, recurrenceId,
+// cancelled, eventData } where eventData is ready for createEvent, or { ..., error } when the
+// event cannot be imported. Floating and all-day times are read in defaultTimeZone.
+function parseCalendar(text, options = {}) {
+  const defaultTimeZone = options.defaultTimeZone || 'UTC';
+  const root = parseComponents(String(text));
+  const calendars = root.components.filter(component => component.name === 'VCALENDAR');
+  if (calendars.length === 0) {
+    throw new Error('Not an iCalendar file: no BEGIN:VCALENDAR found');
+  }
+
+  const timeZones = new Map();
+  const vevents = [];
+  for (const calendar of calendars) {
+    for (const component of calendar.components) {
+      if (component.name === 'VTIMEZONE' && getProperty(component, 'TZID')) {
+        timeZones.set(getProperty(component, 'TZID').value, component);
+      } else if (component.name === 'VEVENT') {
+        vevents.push(component);
+      }
+    }
+  }
+
+  return vevents.map(vevent => {
+    const entry = {
+      uid: getProperty(vevent, 'UID')?.value || null,
+      title: getProperty(vevent, 'SUMMARY') ? unescapeText(getProperty(vevent, 'SUMMARY').value) : 'Untitled Event',
+      start: getProperty(vevent, 'DTSTART')?.value || null,
+      recurrenceId: getProperty(vevent, 'RECURRENCE-ID')?.value || null,
+      cancelled: (getProperty(vevent, 'STATUS')?.value || '').toUpperCase() === 'CANCELLED'
+    };
+    try {
+      entry.eventData = toEventData(vevent, timeZones, defaultTimeZone);
+      entry.start = entry.eventData.startDate;
+    } catch (error) {
+      entry.error = error.message;
+      try {
+        entry.start = entry.start && parseDateValue(entry.start).local;
+      } catch (parseError) {
+        // Keep the start as written
+      }
+    }
+    return entry;
+  });
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar,
+  parseCalendar
+};
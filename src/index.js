@@ -5,18 +5,52 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const { 
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
   ErrorCode,
   McpError
 } = require('@modelcontextprotocol/sdk/types.js');
 
+const fs = require('fs');
+const path = require('path');
 const MorgenAPIClient = require('./morgen-api-client.js');
+const { isValidTimeZone, getDayRange, getZonedDateString, toZonedLocalDateTime } = require('./timezone.js');
+const { getEventInterval } = require('./availability.js');
+const { loadPreferences, getWeekStartDay } = require('./preferences.js');
 const {
   getCurrentTimeString,
+  formatDateTime,
   formatEvent,
+  formatFreeSlot,
+  formatConflictsByDay,
+  formatTask,
   formatCalendar,
   formatAccount,
-  formatEventsByDay
+  formatIntegrations,
+  formatEventsByDay,
+  formatSearchMatch,
+  formatScheduleChanges,
+  formatDiagnostics,
+  setLocale
 } = require('./formatters.js');
+const { countChanges } = require('./schedule-diff.js');
+const { paginate } = require('./pagination.js');
+const { buildCalendar } = require('./ical.js');
+const { describeRecurrence } = require('./recurrence.js');
+const { resolveDateArgument } = require('./date-expression.js');
+const { resolveCalendar, resolveCalendarList, resolveAccount } = require('./calendar-names.js');
+const {
+  OUTPUT_FORMATS,
+  OUTPUT_SCHEMAS,
+  INTERPRETED_SCHEMA,
+  serializeEvent,
+  serializeCalendar,
+  serializeAccount,
+  serializeTask,
+  serializeConflict,
+  renderOutput
+} = require('./output.js');
 
 // Extensive logging to debug
 console.error('=== MORGEN CALENDAR MCP SERVER STARTING ===');
@@ -31,6 +65,7 @@ const server = new Server(
   },
   {
     capabilities: {
+      resources: {},
       tools: {},
     },
   }
@@ -38,6 +73,12 @@ const server = new Server(
 
 console.error('Server created successfully');
 
+// Load the user's preferences; the time zone falls back to the system zone
+const preferences = loadPreferences();
+const userTimeZone = preferences.timeZone;
+setLocale(preferences.locale);
+console.error(`User time zone: ${userTimeZone}`);
+
 // Initialize API client
 let apiClient = null;
 const apiKey = process.env.MORGEN_API_KEY;
@@ -45,7 +86,11 @@ console.error(`API Key status: ${apiKey ? 'Found' : 'NOT FOUND'}`);
 
 if (apiKey) {
   try {
-    apiClient = new MorgenAPIClient(apiKey);
+    apiClient = new MorgenAPIClient(apiKey, {
+      timeZone: userTimeZone,
+      cacheDir: process.env.MORGEN_CACHE_DIR || undefined,
+      preferences,
+    });
     console.error('API client initialized successfully');
   } catch (error) {
     console.error('Error initializing API client:', error);
@@ -80,7 +125,16 @@ const toolSchemas = [
     description: 'Get today\'s events across all calendars',
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for day boundaries and displayed times (optional, defaults to the configured user time zone, e.g., "Asia/Tokyo")'
+        },
+        include_hidden: {
+          type: 'boolean',
+          description: 'Also show events hidden by the configured filter rules (e.g., "Busy (via Morgen)" blocks or declined invitations) and from hidden calendars (optional, default: false)'
+        }
+      },
       required: []
     }
   },
@@ -89,7 +143,16 @@ const toolSchemas = [
     description: 'Get this week\'s events organized by day',
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for day boundaries and displayed times (optional, defaults to the configured user time zone, e.g., "Asia/Tokyo")'
+        },
+        include_hidden: {
+          type: 'boolean',
+          description: 'Also show events hidden by the configured filter rules (e.g., "Busy (via Morgen)" blocks or declined invitations) and from hidden calendars (optional, default: false)'
+        }
+      },
       required: []
     }
   },
@@ -101,7 +164,8 @@ const toolSchemas = [
       properties: {
         calendar_ids: {
           type: 'string',
-          description: 'Calendar IDs to filter by. IMPORTANT: Use one of these exact formats:\n- "all" (for all calendars)\n- "cal-123" (single calendar ID)\n- "cal-123,cal-456,cal-789" (comma-separated list of calendar IDs)\nDO NOT use base64 encoding or arrays. Examples:\n✓ "all"\n✓ "68022c98dccbf29775511ccf"\n✓ "68022c98dccbf29775511ccf,68022cb09e5d0d305b3ab5c4"\n✗ WyI2ODAyMmM5OGRjY2JmMjk3NzU1MTFjY2YiXQ== (base64)\n✗ ["cal-1","cal-2"] (array)'
+          description: 'Calendars to get events from: "all", or calendar names or IDs separated by commas (e.g., "Work", "Personal,Team Events"). ' +
+            'Names are matched case-insensitively and tolerate small typos; an account email selects all of that account\'s calendars. Use a string, not an array.'
         },
         start_date: {
           type: 'string',
@@ -113,7 +177,25 @@ const toolSchemas = [
         },
         account_id: {
           type: 'string',
-          description: 'Provide a specific account ID. Use with specific calendar_ids, not with "all".'
+          description: 'Account to filter by: its email (e.g., "jane@gmail.com"), provider or ID. Use with specific calendar_ids, not with "all".'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for day boundaries and displayed times (optional, defaults to the configured user time zone, e.g., "Asia/Tokyo")'
+        },
+        max_results: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 200,
+          description: 'Maximum number of events per page (default: 50)'
+        },
+        cursor: {
+          type: 'string',
+          description: 'Continuation token from a previous get_events call, to get the next page. Repeat the other parameters unchanged.'
+        },
+        include_hidden: {
+          type: 'boolean',
+          description: 'Also show events hidden by the configured filter rules (e.g., "Busy (via Morgen)" blocks or declined invitations) and from hidden calendars (optional, default: false)'
         }
       },
       required: ['calendar_ids']
@@ -121,45 +203,374 @@ const toolSchemas = [
   },
   {
     name: 'search_events',
-    description: 'Search events by title/description/location across all calendars',
+    description: 'Search events across all calendars, ranked by relevance. Supports field prefixes, AND/OR/NOT, quoted phrases and typo-tolerant matching',
     inputSchema: {
       type: 'object',
       properties: {
         query: {
           type: 'string',
-          description: 'Search query to match against event title, description, or location (e.g., "meeting", "standup", "lunch")'
+          description: 'Search query. Plain words match title, description or location (small typos are tolerated). ' +
+            'Prefix a word with title:, location:, attendee:, calendar: or description: to search one field, ' +
+            'quote phrases, combine with AND (default), OR and NOT (or a leading -), and group with parentheses ' +
+            '(e.g., standup; title:"design review" OR attendee:jane; lunch -calendar:personal)'
         },
         start_date: {
           type: 'string',
-          description: 'Search start date in YYYY-MM-DD format (optional, defaults to 30 days ago)'
+          description: `Search start date in YYYY-MM-DD format (optional, defaults to ${preferences.searchWindowDays} days ago)`
         },
         end_date: {
           type: 'string',
-          description: 'Search end date in YYYY-MM-DD format (optional, defaults to 30 days from now)'
+          description: `Search end date in YYYY-MM-DD format (optional, defaults to ${preferences.searchWindowDays} days from now)`
         },
         max_results: {
           type: 'integer',
           minimum: 1,
           maximum: 100,
-          description: 'Maximum number of results to return (default: 20)'
+          description: 'Maximum number of results per page (default: 20)'
+        },
+        cursor: {
+          type: 'string',
+          description: 'Continuation token from a previous search_events call, to get the next page. Repeat the other parameters unchanged.'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for day boundaries and displayed times (optional, defaults to the configured user time zone, e.g., "Asia/Tokyo")'
+        },
+        include_hidden: {
+          type: 'boolean',
+          description: 'Also show events hidden by the configured filter rules (e.g., "Busy (via Morgen)" blocks or declined invitations) and from hidden calendars (optional, default: false)'
         }
       },
       required: ['query']
     }
   },
+  {
+    name: 'find_free_slots',
+    description: 'Find free time windows for a meeting of a given length across calendars, within working hours. Events marked as free/transparent do not block time. Results are ranked with the roomiest windows first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        duration_minutes: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Length of the meeting to fit, in minutes (e.g., 45)'
+        },
+        start_date: {
+          type: 'string',
+          description: 'First day to search in YYYY-MM-DD format (optional, defaults to today)'
+        },
+        end_date: {
+          type: 'string',
+          description: 'Last day to search in YYYY-MM-DD format (optional, defaults to start_date)'
+        },
+        working_hours_start: {
+          type: 'string',
+          description: `Start of working hours in HH:MM 24-hour format (optional, default: "${preferences.workingHoursStart}"). Use "13:00" to search afternoons only.`
+        },
+        working_hours_end: {
+          type: 'string',
+          description: `End of working hours in HH:MM 24-hour format (optional, default: "${preferences.workingHoursEnd}")`
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for dates and working hours (optional, defaults to the configured user time zone, e.g., "America/New_York")'
+        },
+        buffer_minutes: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Minutes to keep free before and after existing events (optional, default: 0)'
+        },
+        calendar_ids: {
+          type: 'string',
+          description: 'Calendars whose events count as busy: "all" (default) or comma-separated calendar names or IDs like "Work,Personal"'
+        },
+        include_weekends: {
+          type: 'boolean',
+          description: 'Also search Saturdays and Sundays (optional, default: false)'
+        },
+        max_results: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 50,
+          description: 'Maximum number of windows to return (default: 10)'
+        }
+      },
+      required: ['duration_minutes']
+    }
+  },
+  {
+    name: 'find_conflicts',
+    description: 'Find overlapping (double-booked) events across all calendars in a date range, grouped by day',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        start_date: {
+          type: 'string',
+          description: 'First day to scan in YYYY-MM-DD format (optional, defaults to today)'
+        },
+        end_date: {
+          type: 'string',
+          description: 'Last day to scan in YYYY-MM-DD format (optional, defaults to 6 days after start_date)'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for day boundaries and times (optional, defaults to the configured user time zone, e.g., "America/New_York")'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'export_events',
+    description: 'Export events as an iCalendar (.ics) file for sharing outside Morgen, with time zones, repeat rules and attendees. Takes the same filters as get_events. Returns the .ics text, or writes it to file_path.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        calendar_ids: {
+          type: 'string',
+          description: 'Calendars to export, in the same format as get_events: "all", or calendar names or IDs separated by commas'
+        },
+        start_date: {
+          type: 'string',
+          description: 'Start date in YYYY-MM-DD format (e.g., "2025-07-02"). If only start_date is provided, exports events for that single day.'
+        },
+        end_date: {
+          type: 'string',
+          description: 'End date in YYYY-MM-DD format (e.g., "2025-07-05"). Used with start_date to define a date range.'
+        },
+        account_id: {
+          type: 'string',
+          description: 'Account to filter by: its email (e.g., "jane@gmail.com"), provider or ID. Use with specific calendar_ids, not with "all".'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for day boundaries (optional, defaults to the configured user time zone, e.g., "Asia/Tokyo"). Events keep their own time zones in the export.'
+        },
+        file_path: {
+          type: 'string',
+          description: 'Absolute path of a .ics file to write (optional). Without it, the .ics text is returned.'
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace file_path if it already exists (optional, default: false)'
+        },
+        include_hidden: {
+          type: 'boolean',
+          description: 'Also export events hidden by the configured filter rules and from hidden calendars (optional, default: false)'
+        }
+      },
+      required: ['calendar_ids']
+    }
+  },
+  {
+    name: 'import_ics',
+    description: 'Import events from iCalendar (.ics) text or a local .ics file into a calendar, with repeat rules, exceptions, time zones and attendees. Events whose UID is already in the calendar are skipped. Reports which events were created, skipped or failed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        calendar_id: {
+          type: 'string',
+          description: 'Calendar to import into, by name (e.g., "Work") or ID (optional if a default calendar is configured)'
+        },
+        ics: {
+          type: 'string',
+          description: 'iCalendar text starting with BEGIN:VCALENDAR (use this or file_path)'
+        },
+        file_path: {
+          type: 'string',
+          description: 'Absolute path of a local .ics file to import (use this or ics)'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for times without one, such as all-day events (optional, defaults to the configured user time zone, e.g., "Asia/Tokyo")'
+        },
+        send_invitations: {
+          type: 'boolean',
+          description: 'Send invitation emails to the imported attendees (default: false)'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'what_changed',
+    description: 'Show what changed on the schedule since a saved checkpoint: added, removed, rescheduled and edited events, per calendar. The first call saves the checkpoint',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        checkpoint: {
+          type: 'string',
+          description: 'Name of the checkpoint to compare against, e.g. "morning" (optional, default: "default")'
+        },
+        start_date: {
+          type: 'string',
+          description: 'First day covered by a new checkpoint in YYYY-MM-DD format (optional, defaults to today). Existing checkpoints keep their own range'
+        },
+        end_date: {
+          type: 'string',
+          description: 'Last day covered by a new checkpoint in YYYY-MM-DD format (optional, defaults to 6 days after start_date)'
+        },
+        update_checkpoint: {
+          type: 'boolean',
+          description: 'Move the checkpoint to now after reporting, so the next call shows only newer changes (optional, default: true)'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for day boundaries and times (optional, defaults to the configured user time zone, e.g., "America/New_York")'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'list_tasks',
+    description: 'List Morgen tasks with their due date, priority, estimated duration and task list',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_completed: {
+          type: 'boolean',
+          description: 'Also include completed tasks (optional, default: false)'
+        },
+        task_list_id: {
+          type: 'string',
+          description: 'Only list tasks in this task list (optional)'
+        },
+        max_results: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          description: 'Maximum number of tasks to return (default: 50)'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'create_task',
+    description: 'Create a new Morgen task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Task title (e.g., "Write quarterly report")'
+        },
+        description: {
+          type: 'string',
+          description: 'Task description (optional)'
+        },
+        due: {
+          type: 'string',
+          description: 'Due date in YYYY-MM-DD format or due time in ISO format (optional, e.g., "2025-07-04" or "2025-07-04T17:00:00Z")'
+        },
+        priority: {
+          type: 'string',
+          enum: ['high', 'medium', 'low', 'none'],
+          description: 'Task priority (optional)'
+        },
+        estimated_minutes: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Estimated time to complete, in minutes (optional)'
+        },
+        task_list_id: {
+          type: 'string',
+          description: 'Task list to add the task to (optional, defaults to the inbox)'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for the due time (optional, defaults to the configured user time zone)'
+        }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'update_task',
+    description: 'Update an existing Morgen task. Only the provided fields are changed. Use list_tasks to find the task ID first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'ID of the task to update'
+        },
+        title: {
+          type: 'string',
+          description: 'New task title (optional)'
+        },
+        description: {
+          type: 'string',
+          description: 'New task description (optional)'
+        },
+        due: {
+          type: 'string',
+          description: 'New due date in YYYY-MM-DD format or due time in ISO format (optional, e.g., "2025-07-04" or "2025-07-04T17:00:00Z")'
+        },
+        priority: {
+          type: 'string',
+          enum: ['high', 'medium', 'low', 'none'],
+          description: 'New task priority (optional)'
+        },
+        estimated_minutes: {
+          type: 'integer',
+          minimum: 1,
+          description: 'New estimated time to complete, in minutes (optional)'
+        },
+        task_list_id: {
+          type: 'string',
+          description: 'Move the task to this task list (optional)'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'Time zone for the due time (optional, defaults to the configured user time zone)'
+        }
+      },
+      required: ['task_id']
+    }
+  },
+  {
+    name: 'complete_task',
+    description: 'Mark a Morgen task as completed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'ID of the task to complete'
+        }
+      },
+      required: ['task_id']
+    }
+  },
+  {
+    name: 'delete_task',
+    description: 'Delete a Morgen task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'ID of the task to delete'
+        }
+      },
+      required: ['task_id']
+    }
+  },
   {
     name: 'create_event',
-    description: 'Create new calendar events. First use list_calendars and list_accounts to get the required IDs.',
+    description: 'Create new calendar events. The calendar can be given by name (e.g., "Work") or by its ID from list_calendars.',
     inputSchema: {
       type: 'object',
       properties: {
         account_id: {
           type: 'string',
-          description: 'Account ID for the calendar (get from list_accounts)'
+          description: 'Account of the calendar (optional, not needed with calendar_id): its email or ID'
         },
         calendar_id: {
           type: 'string',
-          description: 'Target calendar ID (get from list_calendars)'
+          description: 'Target calendar, by name (e.g., "Work") or ID (optional if a default calendar is configured). Names are matched case-insensitively and tolerate small typos'
         },
         title: {
           type: 'string',
@@ -171,7 +582,7 @@ const toolSchemas = [
         },
         end_time: {
           type: 'string',
-          description: 'End time in ISO format (optional, defaults to +1 hour from start_time)'
+          description: `End time in ISO format (optional, defaults to ${preferences.defaultDurationMinutes} minutes after start_time)`
         },
         description: {
           type: 'string',
@@ -183,27 +594,649 @@ const toolSchemas = [
         },
         time_zone: {
           type: 'string',
-          description: 'Time zone (optional, defaults to UTC, e.g., "America/New_York")'
+          description: 'Time zone (optional, defaults to the configured user time zone, e.g., "America/New_York")'
+        },
+        recurrence: {
+          type: 'object',
+          description: 'Make this a recurring event (optional). Example for a weekly 1:1 on Tuesdays and Thursdays until the end of the year: {"frequency": "weekly", "by_day": ["TU", "TH"], "until": "2025-12-31"}',
+          properties: {
+            frequency: {
+              type: 'string',
+              enum: ['daily', 'weekly', 'monthly', 'yearly'],
+              description: 'How often the event repeats'
+            },
+            interval: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Repeat every N periods (optional, default: 1, e.g., 2 for every other week)'
+            },
+            by_day: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+              },
+              description: 'Days of the week the event occurs on (optional, e.g., ["MO", "WE", "FR"])'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Total number of occurrences (optional, cannot be combined with until)'
+            },
+            until: {
+              type: 'string',
+              description: 'Last date of the series in YYYY-MM-DD format or a phrase such as "end of year" (optional, cannot be combined with count)'
+            },
+            exceptions: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Dates of occurrences to skip in YYYY-MM-DD format or phrases such as "next Friday" (optional)'
+            }
+          },
+          required: ['frequency']
+        },
+        attendees: {
+          type: 'array',
+          description: 'People to invite (optional). Example: [{"email": "jane@example.com", "name": "Jane Doe"}, {"email": "bob@example.com", "role": "optional"}]',
+          items: {
+            type: 'object',
+            properties: {
+              email: {
+                type: 'string',
+                description: 'Attendee email address'
+              },
+              name: {
+                type: 'string',
+                description: 'Attendee display name (optional)'
+              },
+              role: {
+                type: 'string',
+                enum: ['required', 'optional'],
+                description: 'Whether attendance is required or optional (default: required)'
+              }
+            },
+            required: ['email']
+          }
+        },
+        send_invitations: {
+          type: 'boolean',
+          description: 'Whether to email invitations to the attendees (optional, default: true)'
+        },
+        on_conflict: {
+          type: 'string',
+          enum: ['warn', 'refuse'],
+          description: 'What to do if the new event overlaps existing events: "warn" creates it and lists the conflicts (default), "refuse" does not create it'
         }
       },
-      required: ['calendar_id', 'title', 'start_time']
+      required: ['title', 'start_time']
     }
-  }
-];
-
-console.error('Setting up request handlers...');
-
-// Handler for listing available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  console.error('ListTools request received');
-  return {
-    tools: toolSchemas,
-  };
-});
-
-// Handler for calling tools
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+  },
+  {
+    name: 'update_event',
+    description: 'Update an existing calendar event (title, time, description, location, time zone or calendar). Only the provided fields are changed. Use get_events or search_events to find the event ID and its calendar ID first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        event_id: {
+          type: 'string',
+          description: 'ID of the event to update'
+        },
+        calendar_id: {
+          type: 'string',
+          description: 'Calendar the event currently belongs to, by name or ID'
+        },
+        title: {
+          type: 'string',
+          description: 'New event title (optional)'
+        },
+        start_time: {
+          type: 'string',
+          description: 'New start time in ISO format (optional, e.g., "2025-07-02T15:30:00Z")'
+        },
+        end_time: {
+          type: 'string',
+          description: 'New end time in ISO format (optional, requires start_time)'
+        },
+        duration_minutes: {
+          type: 'integer',
+          minimum: 1,
+          description: 'New duration in minutes (optional, alternative to end_time)'
+        },
+        description: {
+          type: 'string',
+          description: 'New event description (optional)'
+        },
+        location: {
+          type: 'string',
+          description: 'New event location (optional)'
+        },
+        time_zone: {
+          type: 'string',
+          description: 'New time zone (optional, e.g., "America/New_York"). A new start_time is kept in the event\'s current time zone unless this is given'
+        },
+        target_calendar_id: {
+          type: 'string',
+          description: 'Move the event to this calendar, by name or ID (optional, must belong to the same account)'
+        }
+      },
+      required: ['event_id', 'calendar_id']
+    }
+  },
+  {
+    name: 'delete_event',
+    description: 'Delete a calendar event. For recurring events choose whether to delete this occurrence, this and following occurrences, or the whole series. Use dry_run first to preview which events would be removed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        event_id: {
+          type: 'string',
+          description: 'ID of the event to delete'
+        },
+        calendar_id: {
+          type: 'string',
+          description: 'Calendar the event belongs to, by name or ID'
+        },
+        scope: {
+          type: 'string',
+          enum: ['single', 'future', 'all'],
+          description: 'For recurring events: "single" (this occurrence only, default), "future" (this and following occurrences) or "all" (the whole series)'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'If true, only list the event(s) that would be removed without deleting anything (default: false)'
+        },
+        start_date: {
+          type: 'string',
+          description: `Start of the date range used to look up the event for dry_run, in YYYY-MM-DD format (optional, defaults to ${preferences.searchWindowDays} days ago)`
+        },
+        end_date: {
+          type: 'string',
+          description: `End of the date range used to look up the event for dry_run, in YYYY-MM-DD format (optional, defaults to ${preferences.searchWindowDays} days from now)`
+        }
+      },
+      required: ['event_id', 'calendar_id']
+    }
+  },
+  {
+    name: 'get_diagnostics',
+    description: 'Show the remaining request budget, Morgen API rate-limit status and cache usage',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  }
+];
+
+// Date arguments, by the form each is resolved to (see resolveDateArgument), with the
+// phrases they accept besides absolute dates
+const DATE_ARGUMENT_TYPES = {
+  start_date: 'date',
+  end_date: 'date',
+  start_time: 'date-time',
+  end_time: 'end',
+  due: 'due',
+};
+
+const DATE_ARGUMENT_HINTS = {
+  'date': 'Also accepts phrases such as "today", "next Friday", "in 2 weeks" or "end of month".',
+  'date-time': 'Also accepts phrases such as "tomorrow 9am" or "next Tuesday at 3pm".',
+  'end': 'Also accepts a duration such as "for 90 minutes" or a time such as "4pm".',
+  'due': 'Also accepts phrases such as "Friday" or "tomorrow 5pm".',
+};
+
+// Arguments naming one calendar, which take a calendar name as well as an ID
+const CALENDAR_ARGUMENTS = ['calendar_id', 'target_calendar_id'];
+
+// Every tool takes output_format and declares the structured content it returns
+for (const tool of toolSchemas) {
+  const properties = tool.inputSchema.properties;
+  properties.output_format = {
+    type: 'string',
+    enum: OUTPUT_FORMATS,
+    description: 'How to format the text result (optional, default: text): text (readable summary), ' +
+      'json (the structured result), markdown_table (tables) or compact (one line per item)'
+  };
+  tool.outputSchema = OUTPUT_SCHEMAS[tool.name];
+  
+  // Tools taking dates or calendars also report how dates and names were read
+  const dateArguments = Object.keys(properties).filter(argument => DATE_ARGUMENT_TYPES[argument]);
+  for (const argument of dateArguments) {
+    properties[argument].description += ` ${DATE_ARGUMENT_HINTS[DATE_ARGUMENT_TYPES[argument]]}`;
+  }
+  const namedArguments = Object.keys(properties)
+    .filter(argument => CALENDAR_ARGUMENTS.includes(argument) || argument === 'calendar_ids' || argument === 'account_id');
+  if (dateArguments.length > 0 || namedArguments.length > 0) {
+    tool.outputSchema = {
+      ...tool.outputSchema,
+      properties: { ...tool.outputSchema.properties, interpreted: INTERPRETED_SCHEMA },
+    };
+  }
+}
+
+// Static resources giving clients calendar context without a tool call
+const resourceSchemas = [
+  {
+    uri: 'morgen://calendars',
+    name: 'Calendars',
+    description: 'List of all connected calendars',
+    mimeType: 'text/plain'
+  },
+  {
+    uri: 'morgen://accounts',
+    name: 'Accounts',
+    description: 'Connected calendar accounts',
+    mimeType: 'text/plain'
+  },
+  {
+    uri: 'morgen://integrations',
+    name: 'Integrations',
+    description: 'Calendar integrations (providers) with connected accounts',
+    mimeType: 'text/plain'
+  }
+];
+
+const resourceTemplates = [
+  {
+    uriTemplate: 'morgen://calendars/{id}',
+    name: 'Calendar',
+    description: 'Details of a single calendar by ID',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'morgen://events/{date}',
+    name: 'Events by date',
+    description: 'Events across all calendars for a day in YYYY-MM-DD format',
+    mimeType: 'text/plain'
+  }
+];
+
+// Task priority names mapped to Morgen's iCalendar priorities (1 = highest, 9 = lowest)
+const taskPriorities = {
+  high: 1,
+  medium: 5,
+  low: 9,
+  none: 0
+};
+
+// Convert task tool arguments to the API client's task fields
+function toTaskData(args) {
+  return {
+    title: args.title,
+    description: args.description,
+    due: args.due,
+    priority: args.priority !== undefined ? taskPriorities[args.priority] : undefined,
+    estimatedMinutes: args.estimated_minutes,
+    taskListId: args.task_list_id,
+    timeZone: args.time_zone ? resolveTimeZone(args.time_zone) : undefined,
+  };
+}
+
+// Task list names are only used for display, so a failed lookup is not fatal
+async function getTaskListsForDisplay() {
+  try {
+    return await apiClient.listTaskLists();
+  } catch (error) {
+    console.error('Could not load task lists:', error.message);
+    return [];
+  }
+}
+
+// Validate a per-call time zone argument, defaulting to the user's time zone
+function resolveTimeZone(timeZone) {
+  if (!timeZone) {
+    return userTimeZone;
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid time zone: ${timeZone}. Use an IANA time zone such as "America/New_York"`
+    );
+  }
+  return timeZone;
+}
+
+// Convert get_events filter arguments to the API client's parameters, with day boundaries in the time zone
+function toEventParams(args, timeZone) {
+  const eventParams = {};
+  
+  if (args.start_date) {
+    // If only start_date provided, use it as both start and end (single day)
+    const range = getDayRange(args.start_date, args.end_date || args.start_date, timeZone);
+    eventParams.startDate = range.start;
+    eventParams.endDate = range.end;
+  } else if (args.end_date) {
+    eventParams.endDate = getDayRange(args.end_date, args.end_date, timeZone).end;
+  }
+  
+  if (args.calendar_ids) {
+    eventParams.calendarIds = args.calendar_ids;
+  }
+  
+  if (args.account_id) {
+    eventParams.accountId = args.account_id;
+  }
+  
+  if (args.include_hidden) {
+    eventParams.includeHidden = true;
+  }
+  
+  return eventParams;
+}
+
+// Events matching get_events filters; without date parameters, today's events
+async function getFilteredEvents(eventParams, timeZone) {
+  if (!eventParams.startDate && !eventParams.endDate) {
+    return apiClient.getTodayEvents(timeZone, { includeHidden: eventParams.includeHidden });
+  }
+  
+  try {
+    return await apiClient.getEvents(eventParams);
+  } catch (error) {
+    console.error('get_events error:', error.message);
+    throw error;
+  }
+}
+
+// One page of results for a tool call; the query identifies the result list the cursor belongs to
+function getPage(items, args, query, defaultPageSize) {
+  try {
+    return paginate(items, {
+      cursor: args.cursor,
+      pageSize: args.max_results || defaultPageSize,
+      query,
+    });
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+}
+
+// Summary line and continuation hint for a page of results
+function describePage(page, noun) {
+  const first = page.offset + 1;
+  const last = page.offset + page.items.length;
+  const shown = page.offset > 0 || page.nextCursor
+    ? `, showing ${first}-${last}`
+    : '';
+  const more = page.nextCursor
+    ? `\n\n➡️ ${page.total - last} more ${noun}(s). To continue, call again with the same parameters and cursor: "${page.nextCursor}"`
+    : '';
+  return { shown, more };
+}
+
+// Tool result with the text in the requested output format and the data as structured content
+function toolResult(args, text, data, timeZone = userTimeZone) {
+  return {
+    content: [{
+      type: 'text',
+      text: renderOutput(args.output_format, text, data, timeZone),
+    }],
+    structuredContent: data,
+  };
+}
+
+// Resolve natural-language dates in tool arguments ("tomorrow 9am", "end of month", "for
+// 90 minutes") against the call's time zone. Returns the arguments with absolute dates and
+// how each expression was read; absolute dates are left as they are.
+function resolveDateArguments(args) {
+  const resolved = { ...args };
+  const interpreted = [];
+  const now = new Date();
+  
+  const resolve = (argument, value, type) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return value;
+    }
+    let result;
+    try {
+      result = resolveDateArgument(value, {
+        type,
+        timeZone: resolveTimeZone(args.time_zone),
+        now,
+        weekStart: getWeekStartDay(preferences),
+        start: resolved.start_time,
+      });
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      throw new McpError(ErrorCode.InvalidParams, `${argument}: ${error.message}`);
+    }
+    if (!result) {
+      return value;
+    }
+    interpreted.push({ icon: '🕒', argument, expression: value, value: result.value, description: result.description });
+    return result.value;
+  };
+  
+  // start_time comes before end_time, which may be relative to it
+  for (const [argument, type] of Object.entries(DATE_ARGUMENT_TYPES)) {
+    if (resolved[argument] !== undefined) {
+      resolved[argument] = resolve(argument, resolved[argument], type);
+    }
+  }
+  
+  if (resolved.recurrence && typeof resolved.recurrence === 'object') {
+    const recurrence = { ...resolved.recurrence };
+    if (recurrence.until !== undefined) {
+      recurrence.until = resolve('recurrence.until', recurrence.until, 'date');
+    }
+    if (Array.isArray(recurrence.exceptions)) {
+      recurrence.exceptions = recurrence.exceptions.map(exception => resolve('recurrence.exceptions', exception, 'date'));
+    }
+    resolved.recurrence = recurrence;
+  }
+  
+  return { args: resolved, interpreted };
+}
+
+// Resolve calendar and account names in tool arguments to IDs, through the cached calendar
+// and account lists (the calendar list is refreshed once when a calendar is not found).
+// Returns the arguments with IDs and how each name was read.
+async function resolveCalendarArguments(args) {
+  const named = [...CALENDAR_ARGUMENTS, 'calendar_ids', 'account_id']
+    .filter(argument => typeof args[argument] === 'string' && args[argument].trim() !== '');
+  if (!apiClient || named.length === 0) {
+    return { args, interpreted: [] };
+  }
+  
+  let [calendars, accounts] = await Promise.all([apiClient.listCalendars(), apiClient.listAccounts()]);
+  let calendarsRefreshed = false;
+  const resolved = { ...args };
+  const interpreted = [];
+  const describe = calendar => `${calendar.name || 'Unnamed Calendar'} (${calendar.id})`;
+  
+  const resolveArgument = (argument, value) => {
+    if (argument === 'calendar_ids') {
+      const { calendarIds, matches } = resolveCalendarList(value, calendars, accounts);
+      resolved.calendar_ids = calendarIds;
+      if (matches.length > 0) {
+        interpreted.push({
+          icon: '📁',
+          argument,
+          expression: value,
+          value: calendarIds,
+          description: matches.map(match => match.calendars.map(describe).join(', ')).join(', '),
+        });
+      }
+    } else if (argument === 'account_id') {
+      const match = resolveAccount(value, accounts);
+      if (match && !match.exact) {
+        resolved.account_id = match.account.id;
+        interpreted.push({
+          icon: '👤',
+          argument,
+          expression: value,
+          value: match.account.id,
+          description: `${match.account.email} (${match.account.id})`,
+        });
+      }
+    } else {
+      const match = resolveCalendar(value, calendars, accounts);
+      if (match && !match.exact) {
+        resolved[argument] = match.calendar.id;
+        interpreted.push({ icon: '📁', argument, expression: value, value: match.calendar.id, description: describe(match.calendar) });
+      }
+    }
+  };
+  
+  for (const argument of named) {
+    const value = args[argument].trim();
+    while (true) {
+      try {
+        resolveArgument(argument, value);
+        break;
+      } catch (error) {
+        // Calendars added since the list was cached are only found after a refresh
+        if (argument !== 'account_id' && !calendarsRefreshed) {
+          calendarsRefreshed = true;
+          calendars = await apiClient.listCalendars({ refresh: true });
+          continue;
+        }
+        throw new McpError(ErrorCode.InvalidParams, `${argument}: ${error.message}`);
+      }
+    }
+  }
+  
+  return { args: resolved, interpreted };
+}
+
+// Echo how dates and names were read above the result, and list them in its structured content
+function withInterpretations(result, args, interpreted) {
+  if (interpreted.length === 0 || result.isError) {
+    return result;
+  }
+  
+  const structuredContent = {
+    ...result.structuredContent,
+    interpreted: interpreted.map(({ argument, expression, value }) => ({ argument, expression, value })),
+  };
+  const text = args.output_format === 'json'
+    ? JSON.stringify(structuredContent, null, 2)
+    : `${interpreted.map(item => `${item.icon} Read ${item.argument} "${item.expression}" as ${item.description}`).join('\n')}\n\n${result.content[0].text}`;
+  
+  return {
+    ...result,
+    content: [{ type: 'text', text }],
+    structuredContent,
+  };
+}
+
+// Resolve a morgen:// URI to its text contents
+async function readResource(uri) {
+  const match = /^morgen:\/\/([^/]+)(?:\/(.+))?$/.exec(uri);
+  if (!match) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid resource URI: ${uri}`
+    );
+  }
+  
+  const [, type, param] = match;
+  const id = param ? decodeURIComponent(param) : undefined;
+  
+  if (type === 'calendars' && !id) {
+    const calendars = await apiClient.listCalendars();
+    return calendars.length > 0
+      ? `Found ${calendars.length} calendar(s):\n\n${calendars.map(cal => formatCalendar(cal)).join('\n\n')}`
+      : 'No calendars found. Please connect your calendars at https://platform.morgen.so';
+  }
+  
+  if (type === 'calendars') {
+    const calendars = await apiClient.listCalendars();
+    const calendar = calendars.find(cal => cal.id === id);
+    if (!calendar) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Calendar with ID ${id} not found`
+      );
+    }
+    return formatCalendar(calendar);
+  }
+  
+  if (type === 'accounts' && !id) {
+    const accounts = await apiClient.listAccounts();
+    return accounts.length > 0
+      ? `Connected ${accounts.length} account(s):\n\n${accounts.map(acc => formatAccount(acc)).join('\n\n')}`
+      : 'No accounts connected. Please connect your calendar accounts at https://platform.morgen.so';
+  }
+  
+  if (type === 'integrations' && !id) {
+    const accounts = await apiClient.listAccounts();
+    return accounts.length > 0
+      ? `Connected integrations:\n\n${formatIntegrations(accounts)}`
+      : 'No integrations connected. Please connect your calendar accounts at https://platform.morgen.so';
+  }
+  
+  if (type === 'events' && id) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(id)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid date in resource URI: ${id}. Use YYYY-MM-DD format.`
+      );
+    }
+    const range = getDayRange(id, id, userTimeZone);
+    const events = await apiClient.getEvents({
+      startDate: range.start,
+      endDate: range.end,
+      calendarIds: 'all'
+    });
+    return events.length > 0
+      ? `📅 ${events.length} event(s) on ${id}:\n\n${events.map((event, i) => `${i + 1}. ${formatEvent(event, userTimeZone)}`).join('\n\n')}`
+      : `📅 No events found on ${id}`;
+  }
+  
+  throw new McpError(
+    ErrorCode.InvalidParams,
+    `Unknown resource: ${uri}`
+  );
+}
+
+console.error('Setting up request handlers...');
+
+// Handler for listing available tools
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  console.error('ListTools request received');
+  return {
+    tools: toolSchemas,
+  };
+});
+
+// Handlers for resources
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  console.error('ListResources request received');
+  return {
+    resources: resourceSchemas,
+  };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  console.error('ListResourceTemplates request received');
+  return {
+    resourceTemplates,
+  };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  console.error(`ReadResource request received: ${uri}`);
+  
+  // Check if API client is available
+  const text = apiClient
+    ? await readResource(uri)
+    : 'API key not configured. Please set MORGEN_API_KEY in Claude Desktop extension settings.';
+  
+  return {
+    contents: [{
+      uri,
+      mimeType: 'text/plain',
+      text,
+    }],
+  };
+});
+
+// Run a tool and build its result
+async function runTool(name, args) {
   console.error(`Tool call received: ${name}`, args);
   
   // Check if API client is available
@@ -214,10 +1247,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         type: 'text',
         text: 'API key not configured. Please set MORGEN_API_KEY in Claude Desktop extension settings.',
       }],
+      isError: true,
     };
   }
   
   try {
+    if (args.output_format && !OUTPUT_FORMATS.includes(args.output_format)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `output_format must be one of: ${OUTPUT_FORMATS.join(', ')}`
+      );
+    }
+    
     switch (name) {
       case 'list_calendars':
         console.error('Handling list_calendars tool call');
@@ -226,12 +1267,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ? `Found ${calendars.length} calendar(s):\n\n${calendars.map(cal => formatCalendar(cal)).join('\n\n')}`
           : 'No calendars found. Please connect your calendars at https://platform.morgen.so';
         
-        return {
-          content: [{
-            type: 'text',
-            text: calendarContent,
-          }],
-        };
+        return toolResult(args, calendarContent, { calendars: calendars.map(serializeCalendar) });
         
       case 'list_accounts':
         console.error('Handling list_accounts tool call');
@@ -240,37 +1276,33 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ? `Connected ${accounts.length} account(s):\n\n${accounts.map(acc => formatAccount(acc)).join('\n\n')}`
           : 'No accounts connected. Please connect your calendar accounts at https://platform.morgen.so';
         
-        return {
-          content: [{
-            type: 'text',
-            text: accountContent,
-          }],
-        };
+        return toolResult(args, accountContent, { accounts: accounts.map(serializeAccount) });
         
       case 'get_today_events':
         console.error('Handling get_today_events tool call');
-        const todayEvents = await apiClient.getTodayEvents();
-        const today = new Date().toLocaleDateString('en-US', {
+        const todayTimeZone = resolveTimeZone(args.time_zone);
+        const todayEvents = await apiClient.getTodayEvents(todayTimeZone, { includeHidden: args.include_hidden });
+        const today = new Date().toLocaleDateString(preferences.locale, {
           weekday: 'long',
           year: 'numeric',
           month: 'long',
           day: 'numeric',
+          timeZone: todayTimeZone,
         });
         
         const todayContent = todayEvents.length > 0
-          ? `📅 Today's Schedule (${today}) - ${todayEvents.length} event(s):\n${getCurrentTimeString()}\n\n${todayEvents.map((event, i) => `${i + 1}. ${formatEvent(event)}`).join('\n\n')}`
-          : `📅 No events scheduled for today (${today})\n${getCurrentTimeString()}`;
-        
-        return {
-          content: [{
-            type: 'text',
-            text: todayContent,
-          }],
-        };
+          ? `📅 Today's Schedule (${today}) - ${todayEvents.length} event(s):\n${getCurrentTimeString(todayTimeZone)}\n\n${todayEvents.map((event, i) => `${i + 1}. ${formatEvent(event, todayTimeZone)}`).join('\n\n')}`
+          : `📅 No events scheduled for today (${today})\n${getCurrentTimeString(todayTimeZone)}`;
+        
+        return toolResult(args, todayContent, {
+          timeZone: todayTimeZone,
+          events: todayEvents.map(serializeEvent),
+        }, todayTimeZone);
         
       case 'get_week_events':
         console.error('Handling get_week_events tool call');
-        const weekEvents = await apiClient.getWeekEvents();
+        const weekTimeZone = resolveTimeZone(args.time_zone);
+        const weekEvents = await apiClient.getWeekEvents(weekTimeZone, { includeHidden: args.include_hidden });
         
         // weekEvents is now an object organized by day names
         const allWeekEvents = Object.values(weekEvents).flat();
@@ -278,72 +1310,56 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         
         let weekContent;
         if (hasEvents) {
-          weekContent = `📅 This Week's Schedule - ${allWeekEvents.length} event(s):\n${getCurrentTimeString()}`;
+          weekContent = `📅 This Week's Schedule - ${allWeekEvents.length} event(s):\n${getCurrentTimeString(weekTimeZone)}`;
           for (const [day, dayEvents] of Object.entries(weekEvents)) {
             if (dayEvents.length > 0) {
               weekContent += `\n\n**${day}** (${dayEvents.length} event${dayEvents.length !== 1 ? 's' : ''}):\n`;
-              weekContent += formatEventsByDay(dayEvents);
+              weekContent += formatEventsByDay(dayEvents, weekTimeZone);
             }
           }
         } else {
-          weekContent = `📅 No events scheduled for this week\n${getCurrentTimeString()}`;
+          weekContent = `📅 No events scheduled for this week\n${getCurrentTimeString(weekTimeZone)}`;
         }
         
-        return {
-          content: [{
-            type: 'text',
-            text: weekContent,
-          }],
-        };
+        return toolResult(args, weekContent, {
+          timeZone: weekTimeZone,
+          events: allWeekEvents.map(serializeEvent),
+        }, weekTimeZone);
         
       case 'get_events':
         console.error('Handling get_events tool call');
         
-        let eventParams = {};
-        
-        // Transform snake_case to camelCase for API client
-        if (args.start_date) {
-          eventParams.startDate = `${args.start_date}T00:00:00.000Z`;
-        }
-        
-        if (args.end_date) {
-          eventParams.endDate = `${args.end_date}T23:59:59.999Z`;
-        } else if (args.start_date && !args.end_date) {
-          // If only start_date provided, use it as both start and end (single day)
-          eventParams.endDate = `${args.start_date}T23:59:59.999Z`;
-        }
-        
-        if (args.calendar_ids) {
-          eventParams.calendarIds = args.calendar_ids;
-        }
+        const eventsTimeZone = resolveTimeZone(args.time_zone);
+        const eventParams = toEventParams(args, eventsTimeZone);
+        const events = await getFilteredEvents(eventParams, eventsTimeZone);
+        const eventsPage = getPage(events, args, {
+          tool: 'get_events',
+          calendarIds: eventParams.calendarIds,
+          accountId: eventParams.accountId,
+          startDate: eventParams.startDate,
+          endDate: eventParams.endDate,
+          includeHidden: Boolean(eventParams.includeHidden),
+        }, 50);
+        const eventsPageInfo = describePage(eventsPage, 'event');
         
-        if (args.account_id) {
-          eventParams.accountId = args.account_id;
-        }
-        
-        let events;
-        
-        // If no date parameters, get today's events
-        if (!eventParams.startDate && !eventParams.endDate) {
-          events = await apiClient.getTodayEvents();
+        let eventsContent;
+        if (eventsPage.items.length > 0) {
+          eventsContent = `📅 Found ${eventsPage.total} event(s)${eventsPageInfo.shown}:\n${getCurrentTimeString(eventsTimeZone)}\n\n` +
+            eventsPage.items.map((event, i) => `${eventsPage.offset + i + 1}. ${formatEvent(event, eventsTimeZone)}`).join('\n\n') +
+            eventsPageInfo.more;
+        } else if (eventsPage.total > 0) {
+          eventsContent = `📅 No more events: all ${eventsPage.total} event(s) have been shown\n${getCurrentTimeString(eventsTimeZone)}`;
         } else {
-          try {
-            events = await apiClient.getEvents(eventParams);
-          } catch (error) {
-            console.error('get_events error:', error.message);
-            throw error;
-          }
+          eventsContent = `📅 No events found for the specified criteria\n${getCurrentTimeString(eventsTimeZone)}`;
         }
-        const eventsContent = events.length > 0
-          ? `📅 Found ${events.length} event(s):\n${getCurrentTimeString()}\n\n${events.map((event, i) => `${i + 1}. ${formatEvent(event)}`).join('\n\n')}`
-          : `📅 No events found for the specified criteria\n${getCurrentTimeString()}`;
         
-        return {
-          content: [{
-            type: 'text',
-            text: eventsContent,
-          }],
-        };
+        return toolResult(args, eventsContent, {
+          timeZone: eventsTimeZone,
+          events: eventsPage.items.map(serializeEvent),
+          total: eventsPage.total,
+          offset: eventsPage.offset,
+          nextCursor: eventsPage.nextCursor,
+        }, eventsTimeZone);
         
       case 'search_events':
         console.error('Handling search_events tool call');
@@ -354,27 +1370,49 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           );
         }
         
+        const searchTimeZone = resolveTimeZone(args.time_zone);
         const searchOptions = {
-          startDate: args.start_date,
-          endDate: args.end_date,
-          maxResults: args.max_results,
+          startDate: args.start_date ? getDayRange(args.start_date, args.start_date, searchTimeZone).start : undefined,
+          endDate: args.end_date ? getDayRange(args.end_date, args.end_date, searchTimeZone).end : undefined,
+          includeHidden: args.include_hidden,
         };
         
         try {
-          const searchResults = await apiClient.searchEvents(args.query, searchOptions);
+          const searchResults = await apiClient.findMatchingEvents(args.query, searchOptions);
+          const searchPage = getPage(searchResults, args, {
+            tool: 'search_events',
+            query: args.query,
+            startDate: args.start_date,
+            endDate: args.end_date,
+            includeHidden: Boolean(args.include_hidden),
+          }, 20);
+          const searchPageInfo = describePage(searchPage, 'result');
           
-          const searchContent = searchResults.length > 0
-            ? `🔍 Found ${searchResults.length} event(s) matching '${args.query}':\n${getCurrentTimeString()}\n\n${searchResults.map((event, i) => `${i + 1}. ${formatEvent(event)}`).join('\n\n')}`
-            : `🔍 No events found matching '${args.query}'\n${getCurrentTimeString()}\n\n` +
-              `Searched in date range: ${searchOptions.start_date || 'last 30 days'} to ${searchOptions.end_date || 'next 30 days'}`;
+          let searchContent;
+          if (searchPage.items.length > 0) {
+            searchContent = `🔍 Found ${searchPage.total} event(s) matching '${args.query}'${searchPageInfo.shown}:\n${getCurrentTimeString(searchTimeZone)}\n\n` +
+              searchPage.items.map((event, i) => `${searchPage.offset + i + 1}. ${formatEvent(event, searchTimeZone)}${formatSearchMatch(event)}`).join('\n\n') +
+              searchPageInfo.more;
+          } else if (searchPage.total > 0) {
+            searchContent = `🔍 No more results: all ${searchPage.total} event(s) matching '${args.query}' have been shown\n${getCurrentTimeString(searchTimeZone)}`;
+          } else {
+            searchContent = `🔍 No events found matching '${args.query}'\n${getCurrentTimeString(searchTimeZone)}\n\n` +
+              `Searched in date range: ${args.start_date || `last ${preferences.searchWindowDays} days`} to ${args.end_date || `next ${preferences.searchWindowDays} days`}`;
+          }
           
-          return {
-            content: [{
-              type: 'text',
-              text: searchContent,
-            }],
-          };
+          return toolResult(args, searchContent, {
+            query: args.query,
+            timeZone: searchTimeZone,
+            events: searchPage.items.map(serializeEvent),
+            total: searchPage.total,
+            offset: searchPage.offset,
+            nextCursor: searchPage.nextCursor,
+          }, searchTimeZone);
         } catch (error) {
+          if (error instanceof McpError) {
+            throw error;
+          }
+          
           // Provide helpful error message
           let errorMessage = `🔍 Search failed for '${args.query}': ${error.message}`;
           
@@ -389,9 +1427,250 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: 'text',
               text: errorMessage,
             }],
+            isError: true,
           };
         }
         
+      case 'find_free_slots':
+        console.error('Handling find_free_slots tool call');
+        if (!args.duration_minutes) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'duration_minutes parameter is required'
+          );
+        }
+        
+        const slotTimeZone = resolveTimeZone(args.time_zone);
+        const freeSlots = await apiClient.findFreeSlots({
+          durationMinutes: args.duration_minutes,
+          startDate: args.start_date,
+          endDate: args.end_date,
+          workingHoursStart: args.working_hours_start,
+          workingHoursEnd: args.working_hours_end,
+          timeZone: slotTimeZone,
+          bufferMinutes: args.buffer_minutes,
+          calendarIds: args.calendar_ids,
+          includeWeekends: args.include_weekends,
+          maxResults: args.max_results,
+        });
+        
+        const slotsContent = freeSlots.length > 0
+          ? `🗓️ Found ${freeSlots.length} free window(s) for ${args.duration_minutes} minutes (${slotTimeZone}):\n${getCurrentTimeString(slotTimeZone)}\n\n${freeSlots.map((slot, i) => `${i + 1}. ${formatFreeSlot(slot, slotTimeZone)}`).join('\n')}`
+          : `🗓️ No free window of ${args.duration_minutes} minutes found in the requested range\n${getCurrentTimeString(slotTimeZone)}`;
+        
+        return toolResult(args, slotsContent, {
+          timeZone: slotTimeZone,
+          durationMinutes: args.duration_minutes,
+          slots: freeSlots,
+        }, slotTimeZone);
+        
+      case 'find_conflicts':
+        console.error('Handling find_conflicts tool call');
+        const conflictTimeZone = resolveTimeZone(args.time_zone);
+        const conflicts = await apiClient.findConflicts({
+          startDate: args.start_date,
+          endDate: args.end_date,
+          timeZone: conflictTimeZone,
+        });
+        
+        const conflictsContent = conflicts.length > 0
+          ? `⚠️ Found ${conflicts.length} conflict(s) (${conflictTimeZone}):\n${getCurrentTimeString(conflictTimeZone)}\n${formatConflictsByDay(conflicts, conflictTimeZone)}`
+          : `✅ No conflicting events found\n${getCurrentTimeString(conflictTimeZone)}`;
+        
+        return toolResult(args, conflictsContent, {
+          timeZone: conflictTimeZone,
+          conflicts: conflicts.map(serializeConflict),
+        }, conflictTimeZone);
+        
+      case 'export_events':
+        console.error('Handling export_events tool call');
+        if (args.file_path && !path.isAbsolute(args.file_path)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'file_path must be an absolute path'
+          );
+        }
+        if (args.file_path && path.extname(args.file_path).toLowerCase() !== '.ics') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'file_path must end in .ics'
+          );
+        }
+        
+        const exportTimeZone = resolveTimeZone(args.time_zone);
+        const exportedEvents = await getFilteredEvents(toEventParams(args, exportTimeZone), exportTimeZone);
+        const { ics, eventCount } = buildCalendar(exportedEvents);
+        
+        let exportContent;
+        if (args.file_path) {
+          try {
+            await fs.promises.writeFile(args.file_path, ics, { encoding: 'utf8', flag: args.overwrite ? 'w' : 'wx' });
+          } catch (error) {
+            if (error.code === 'EEXIST') {
+              throw new McpError(
+                ErrorCode.InvalidParams,
+                `${args.file_path} already exists. Choose another file_path or set overwrite to true`
+              );
+            }
+            throw error;
+          }
+          exportContent = `📤 Exported ${eventCount} event(s) to ${args.file_path}`;
+        } else {
+          exportContent = `📤 Exported ${eventCount} event(s) as iCalendar:\n\n${ics}`;
+        }
+        
+        return toolResult(args, exportContent, {
+          eventCount,
+          filePath: args.file_path || null,
+          ics: args.file_path ? null : ics,
+        }, exportTimeZone);
+        
+      case 'import_ics':
+        console.error('Handling import_ics tool call');
+        if (!args.calendar_id) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'calendar_id parameter is required when no default calendar is configured'
+          );
+        }
+        if (!args.ics === !args.file_path) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'Provide either ics or file_path'
+          );
+        }
+        if (args.file_path && !path.isAbsolute(args.file_path)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'file_path must be an absolute path'
+          );
+        }
+        
+        const importText = args.file_path ? await fs.promises.readFile(args.file_path, 'utf8') : args.ics;
+        const importResults = await apiClient.importCalendar(importText, {
+          calendarId: args.calendar_id,
+          timeZone: resolveTimeZone(args.time_zone),
+          sendInvitations: args.send_invitations,
+        });
+        
+        const importCounts = { created: 0, skipped: 0, failed: 0 };
+        importResults.forEach(result => importCounts[result.status]++);
+        const importIcons = { created: '✅', skipped: '⏭️', failed: '❌' };
+        const importLines = importResults.map(result => {
+          const when = result.start ? ` (${result.start.replace('T', ' ')})` : '';
+          const detail = result.status === 'created' ? `ID: ${result.eventId}` : result.reason;
+          return `${importIcons[result.status]} ${result.title}${when} - ${detail}`;
+        });
+        const importContent = importResults.length > 0
+          ? `📥 Imported into calendar ${args.calendar_id}: ${importCounts.created} created, ${importCounts.skipped} skipped, ${importCounts.failed} failed\n\n${importLines.join('\n')}`
+          : '📥 No events found in the iCalendar data';
+        
+        return toolResult(args, importContent, {
+          calendarId: args.calendar_id,
+          ...importCounts,
+          results: importResults,
+        });
+        
+      case 'what_changed':
+        console.error('Handling what_changed tool call');
+        const changedTimeZone = resolveTimeZone(args.time_zone);
+        const changeReport = await apiClient.whatChanged({
+          name: args.checkpoint,
+          startDate: args.start_date,
+          endDate: args.end_date,
+          timeZone: changedTimeZone,
+          update: args.update_checkpoint,
+        });
+        
+        const checkpointRange = `${changeReport.startDate} to ${changeReport.endDate}`;
+        let changedContent;
+        if (!changeReport.changes) {
+          changedContent = `📍 Saved checkpoint "${changeReport.name}" with ${changeReport.eventCount} event(s) from ${checkpointRange}. ` +
+            'Ask again later to see what changed.';
+        } else {
+          const since = formatDateTime(changeReport.checkpointAt, changedTimeZone);
+          const changeCount = countChanges(changeReport.changes);
+          changedContent = changeCount > 0
+            ? `🔄 ${changeCount} change(s) since checkpoint "${changeReport.name}" (${since}, ${checkpointRange}):\n` +
+              formatScheduleChanges(changeReport.changes, await apiClient.listCalendars(), changedTimeZone)
+            : `✅ No changes since checkpoint "${changeReport.name}" (${since}, ${checkpointRange})`;
+        }
+        
+        return toolResult(args, changedContent, {
+          checkpoint: changeReport.name,
+          startDate: changeReport.startDate,
+          endDate: changeReport.endDate,
+          checkpointAt: changeReport.checkpointAt,
+          eventCount: changeReport.eventCount,
+          changes: changeReport.changes,
+        }, changedTimeZone);
+        
+      case 'list_tasks':
+        console.error('Handling list_tasks tool call');
+        const tasks = await apiClient.listTasks({
+          includeCompleted: args.include_completed,
+          taskListId: args.task_list_id,
+        });
+        const shownTasks = tasks.slice(0, args.max_results || 50);
+        const taskLists = await getTaskListsForDisplay();
+        
+        const tasksContent = shownTasks.length > 0
+          ? `☑️ Found ${tasks.length} task(s)${shownTasks.length < tasks.length ? `, showing ${shownTasks.length}` : ''}:\n\n${shownTasks.map((task, i) => `${i + 1}. ${formatTask(task, taskLists, userTimeZone)}`).join('\n\n')}`
+          : '☑️ No tasks found';
+        
+        return toolResult(args, tasksContent, { total: tasks.length, tasks: shownTasks.map(serializeTask) });
+        
+      case 'create_task':
+        console.error('Handling create_task tool call');
+        if (!args.title) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'title parameter is required'
+          );
+        }
+        
+        const createdTask = await apiClient.createTask(toTaskData(args));
+        const createTaskContent = `✅ Task created successfully!\n\n${formatTask(createdTask, await getTaskListsForDisplay(), userTimeZone)}`;
+        
+        return toolResult(args, createTaskContent, { task: serializeTask(createdTask) });
+        
+      case 'update_task':
+        console.error('Handling update_task tool call');
+        if (!args.task_id) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'task_id parameter is required'
+          );
+        }
+        
+        const updatedTask = await apiClient.updateTask({ id: args.task_id, ...toTaskData(args) });
+        const updateTaskContent = `✅ Task updated successfully!\n\n${formatTask(updatedTask, await getTaskListsForDisplay(), userTimeZone)}`;
+        
+        return toolResult(args, updateTaskContent, { task: serializeTask(updatedTask) });
+        
+      case 'complete_task':
+      case 'delete_task':
+        console.error(`Handling ${name} tool call`);
+        if (!args.task_id) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'task_id parameter is required'
+          );
+        }
+        
+        if (name === 'complete_task') {
+          await apiClient.completeTask(args.task_id);
+        } else {
+          await apiClient.deleteTask(args.task_id);
+        }
+        
+        const taskStatus = name === 'complete_task' ? 'completed' : 'deleted';
+        const taskStatusContent = name === 'complete_task'
+          ? `✅ Task ${args.task_id} marked as completed.`
+          : `🗑️ Task ${args.task_id} deleted successfully.`;
+        
+        return toolResult(args, taskStatusContent, { taskId: args.task_id, status: taskStatus });
+        
       case 'create_event':
         console.error('Handling create_event tool call');
         const required = ['calendar_id', 'title', 'start_time'];
@@ -399,39 +1678,218 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           if (!args[param]) {
             throw new McpError(
               ErrorCode.InvalidParams,
-              `${param} parameter is required`
+              param === 'calendar_id'
+                ? 'calendar_id parameter is required when no default calendar is configured'
+                : `${param} parameter is required`
             );
           }
         }
         
-        // Calculate end time if not provided (default to 1 hour)
-        let endTime = args.end_time;
-        if (!endTime) {
-          const startDate = new Date(args.start_time);
-          startDate.setHours(startDate.getHours() + 1);
-          endTime = startDate.toISOString();
+        // The event is kept in the zone its date phrases were resolved in, and times without
+        // an offset are read in that zone
+        const eventTimeZone = resolveTimeZone(args.time_zone);
+        const startInterval = getEventInterval({ start: args.start_time, timeZone: eventTimeZone });
+        if (!startInterval) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `Invalid start_time: ${args.start_time}`
+          );
+        }
+        
+        // Calculate end time if not provided (default duration preference, 1 hour unless configured)
+        const endInterval = args.end_time
+          ? getEventInterval({ start: args.end_time, timeZone: eventTimeZone })
+          : { start: startInterval.start + preferences.defaultDurationMinutes * 60 * 1000 };
+        if (!endInterval) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `Invalid end_time: ${args.end_time}`
+          );
         }
         
         const eventData = {
           title: args.title,
-          startDate: args.start_time,
-          endDate: endTime,
+          startDate: toZonedLocalDateTime(new Date(startInterval.start).toISOString(), eventTimeZone),
+          endDate: toZonedLocalDateTime(new Date(endInterval.start).toISOString(), eventTimeZone),
           calendarId: args.calendar_id,
           description: args.description,
           location: args.location,
-          timeZone: args.time_zone || 'UTC',
+          timeZone: eventTimeZone,
         };
         
+        if (args.recurrence) {
+          eventData.recurrence = {
+            frequency: args.recurrence.frequency,
+            interval: args.recurrence.interval,
+            byDay: args.recurrence.by_day,
+            count: args.recurrence.count,
+            until: args.recurrence.until,
+            exceptions: args.recurrence.exceptions,
+          };
+        }
+        
+        if (args.attendees) {
+          eventData.attendees = args.attendees;
+          eventData.sendInvitations = args.send_invitations !== false;
+        }
+        
+        // Check the target window for overlapping events before creating
+        let overlapping = [];
+        let conflictCheckError = null;
+        try {
+          overlapping = await apiClient.getConflictingEvents(startInterval.start, endInterval.start);
+        } catch (error) {
+          console.error('Conflict check failed:', error.message);
+          // Refusing on conflict means the check must have run; warning only reports it
+          if (args.on_conflict === 'refuse') {
+            throw new McpError(
+              ErrorCode.InternalError,
+              `Event not created: the conflict check failed (${error.message}). Try again, or use on_conflict "warn" to create it anyway.`
+            );
+          }
+          conflictCheckError = error.message;
+        }
+        const conflictList = overlapping.map((event, i) => `${i + 1}. ${formatEvent(event, userTimeZone)}`).join('\n\n');
+        
+        if (overlapping.length > 0 && args.on_conflict === 'refuse') {
+          return toolResult(args, `❌ Event not created: it overlaps ${overlapping.length} existing event(s):\n\n${conflictList}`, {
+            created: false,
+            event: null,
+            conflicts: overlapping.map(serializeEvent),
+            conflictCheckError: null,
+          });
+        }
+        
         const createdEvent = await apiClient.createEvent(eventData);
-        const createContent = `✅ Event created successfully!\n\n${formatEvent(createdEvent)}`;
+        let createContent = `✅ Event created successfully!\n\n${formatEvent(createdEvent, userTimeZone)}`;
+        if (overlapping.length > 0) {
+          createContent += `\n\n⚠️ Warning: this event overlaps ${overlapping.length} existing event(s):\n\n${conflictList}`;
+        } else if (conflictCheckError) {
+          createContent += `\n\n⚠️ Warning: could not check for overlapping events: ${conflictCheckError}`;
+        }
+        
+        return toolResult(args, createContent, {
+          created: true,
+          event: serializeEvent(createdEvent),
+          conflicts: overlapping.map(serializeEvent),
+          conflictCheckError,
+        });
+        
+      case 'update_event':
+        console.error('Handling update_event tool call');
+        for (const param of ['event_id', 'calendar_id']) {
+          if (!args[param]) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `${param} parameter is required`
+            );
+          }
+        }
         
-        return {
-          content: [{
-            type: 'text',
-            text: createContent,
-          }],
+        if (args.end_time && !args.start_time) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'start_time parameter is required when end_time is provided'
+          );
+        }
+        
+        const updateData = {
+          id: args.event_id,
+          calendarId: args.calendar_id,
+          title: args.title,
+          startDate: args.start_time,
+          endDate: args.end_time,
+          durationMinutes: args.duration_minutes,
+          description: args.description,
+          location: args.location,
+          // Without time_zone, a new start keeps the event's zone (or the user's)
+          timeZone: args.time_zone ? resolveTimeZone(args.time_zone) : undefined,
+          targetCalendarId: args.target_calendar_id,
         };
         
+        const updatedEvent = await apiClient.updateEvent(updateData);
+        const updateContent = `✅ Event updated successfully!\n\n${formatEvent(updatedEvent, userTimeZone)}`;
+        
+        return toolResult(args, updateContent, { event: serializeEvent(updatedEvent) });
+        
+      case 'delete_event':
+        console.error('Handling delete_event tool call');
+        for (const param of ['event_id', 'calendar_id']) {
+          if (!args[param]) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `${param} parameter is required`
+            );
+          }
+        }
+        
+        const deleteScope = args.scope || 'single';
+        if (!MorgenAPIClient.SERIES_UPDATE_MODES.includes(deleteScope)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `scope must be one of: ${MorgenAPIClient.SERIES_UPDATE_MODES.join(', ')}`
+          );
+        }
+        
+        const deleteData = {
+          id: args.event_id,
+          calendarId: args.calendar_id,
+          scope: deleteScope,
+        };
+        
+        const scopeLabels = {
+          single: 'this occurrence',
+          future: 'this and following occurrences',
+          all: 'the whole series',
+        };
+        
+        let deleteContent;
+        let toDelete = [];
+        let checkedRange = null;
+        if (args.dry_run) {
+          // The preview only sees occurrences in the searched range
+          const searchWindow = apiClient.getSearchWindow();
+          checkedRange = {
+            start: args.start_date ? getDayRange(args.start_date, args.start_date, userTimeZone).start : searchWindow.start,
+            end: args.end_date ? getDayRange(args.end_date, args.end_date, userTimeZone).end : searchWindow.end,
+          };
+          toDelete = await apiClient.previewDeleteEvent({
+            ...deleteData,
+            startDate: checkedRange.start,
+            endDate: checkedRange.end,
+          });
+          
+          let seriesNote = '';
+          if (deleteScope !== 'single' && toDelete.some(event => event.masterEventId)) {
+            const outside = deleteScope === 'all' ? 'before or after' : 'after';
+            const repeats = toDelete.map(describeRecurrence).find(Boolean);
+            seriesNote = `⚠️ Only occurrences between ${getZonedDateString(new Date(checkedRange.start), userTimeZone)} and ` +
+              `${getZonedDateString(new Date(checkedRange.end), userTimeZone)} are listed. Occurrences ${outside} that range ` +
+              `are deleted too${repeats ? `; the series repeats: ${repeats}` : ''}.\n\n`;
+          }
+          
+          deleteContent = `🔎 Dry run: deleting ${scopeLabels[deleteScope]} would remove ${toDelete.length} listed event(s):\n\n` +
+            `${toDelete.map((event, i) => `${i + 1}. ${formatEvent(event, userTimeZone)}`).join('\n\n')}\n\n` +
+            seriesNote +
+            'Nothing has been deleted. Call delete_event again without dry_run to delete.';
+        } else {
+          await apiClient.deleteEvent(deleteData);
+          deleteContent = `🗑️ Event ${args.event_id} deleted successfully (${scopeLabels[deleteScope]}).`;
+        }
+        
+        return toolResult(args, deleteContent, {
+          eventId: args.event_id,
+          scope: deleteScope,
+          dryRun: Boolean(args.dry_run),
+          events: toDelete.map(serializeEvent),
+          checkedRange,
+        });
+        
+      case 'get_diagnostics':
+        console.error('Handling get_diagnostics tool call');
+        const diagnostics = apiClient.getDiagnostics();
+        return toolResult(args, formatDiagnostics(diagnostics, userTimeZone), { diagnostics });
+        
       default:
         throw new McpError(
           ErrorCode.MethodNotFound,
@@ -440,29 +1898,68 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
   } catch (error) {
     console.error(`Error in tool ${name}:`, error);
-    
-    if (error instanceof McpError) {
-      throw error;
-    }
-    
-    // Handle API errors
-    if (error.status === 401) {
-      throw new McpError(
-        ErrorCode.InvalidRequest,
-        'Invalid API key. Please check your Morgen API key configuration.'
-      );
-    } else if (error.status === 429) {
-      throw new McpError(
-        ErrorCode.InvalidRequest,
-        'Rate limit exceeded. Please try again later.'
-      );
-    }
-    
-    throw new McpError(
+    throw toMcpError(error);
+  }
+}
+
+// The MCP error reported for a failed tool call
+function toMcpError(error) {
+  if (error instanceof McpError) {
+    return error;
+  }
+  
+  // Handle API errors
+  if (error.status === 401) {
+    return new McpError(
+      ErrorCode.InvalidRequest,
+      'Invalid API key. Please check your Morgen API key configuration.'
+    );
+  } else if (error.status === 429) {
+    const retryHint = error.retryAfterMs
+      ? ` Please try again in ${Math.ceil(error.retryAfterMs / 1000)} seconds.`
+      : ' Please try again later.';
+    return new McpError(
+      ErrorCode.InvalidRequest,
+      `Rate limit exceeded.${retryHint}`
+    );
+  } else if (error.timeout) {
+    return new McpError(
       ErrorCode.InternalError,
-      `Tool execution failed: ${error.message}`
+      `Morgen API did not respond in time: ${error.message}`
     );
   }
+  
+  return new McpError(
+    ErrorCode.InternalError,
+    `Tool execution failed: ${error.message}`
+  );
+}
+
+// Tools that fall back to the default calendar preference when no calendar_id is given
+const DEFAULT_CALENDAR_TOOLS = ['create_event', 'import_ics'];
+
+// Run a tool with natural-language dates and calendar names in its arguments resolved,
+// echoing how they were read
+async function callTool(name, args = {}) {
+  if (DEFAULT_CALENDAR_TOOLS.includes(name) && !args.calendar_id && preferences.defaultCalendar) {
+    args = { ...args, calendar_id: preferences.defaultCalendar };
+  }
+  const dates = resolveDateArguments(args);
+  let names;
+  try {
+    names = await resolveCalendarArguments(dates.args);
+  } catch (error) {
+    console.error(`Error in tool ${name}:`, error);
+    throw toMcpError(error);
+  }
+  const result = await runTool(name, names.args);
+  return withInterpretations(result, args, [...names.interpreted, ...dates.interpreted]);
+}
+
+// Handler for calling tools
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  return callTool(name, args);
 });
 
 console.error('Request handlers set up');
@@ -522,4 +2019,4 @@ main().catch((error) => {
 
 console.error('=== MORGEN CALENDAR MCP SERVER SETUP COMPLETE ===');
 
-module.exports = { toolSchemas };
\ No newline at end of file
+module.exports = { toolSchemas, resourceSchemas, resourceTemplates, readResource, callTool, preferences };
\ No newline at end of file
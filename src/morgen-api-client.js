@@ -1,8 +1,100 @@
 const SimpleCache = require('./cache.js');
+const RateLimiter = require('./rate-limiter.js');
+const DiskCache = require('./disk-cache.js');
+const EventStore = require('./event-store.js');
+const { snapshotEvents, diffSnapshots } = require('./schedule-diff.js');
+const { rankEvents } = require('./search-query.js');
+const { parseCalendar } = require('./ical.js');
+const { buildRecurrence } = require('./recurrence.js');
+const { buildParticipants } = require('./participants.js');
+const { defaultPreferences, getWeekStartDay, isHiddenCalendar } = require('./preferences.js');
+const { filterEvents, needsCalendarData } = require('./event-filters.js');
+const { getEventInterval, findFreeSlots, findConflicts, findOverlappingEvents } = require('./availability.js');
+const {
+  getSystemTimeZone,
+  isValidTimeZone,
+  getZonedDateString,
+  toZonedLocalDateTime,
+  addDays,
+  getDayRange,
+  getDayOfWeek
+} = require('./timezone.js');
+
+// Day names as reported by toLocaleDateString('en-US', { weekday: 'long' }), Sunday first
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Scopes for changes to recurring events, as understood by Morgen's seriesUpdateMode:
+// single = this occurrence, future = this and following, all = the whole series
+const SERIES_UPDATE_MODES = ['single', 'future', 'all'];
+
+// Requests that are safe to send again after a failure
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const DEFAULT_RETRY = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000
+};
+
+// Cache lifetimes in seconds by key prefix; the longest matching prefix wins
+const CACHE_TTL_POLICIES = {
+  'calendars': 3600,
+  'accounts': 3600,
+  'tasks:list': 60,
+  'tasks:lists': 3600,
+  // Fetched event windows in the event store
+  'events:': 60
+};
+
+// Sync cursors start a little before each request, so changes saved while it was in
+// flight (or hidden by clock skew) are picked up by the next sync
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Statuses meaning the API does not accept incremental sync parameters
+const SYNC_UNSUPPORTED_STATUSES = [400, 404, 422];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Rejects once the signal is aborted, for racing work that does not watch the signal itself
+function whenAborted(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new Error('Aborted'));
+      return;
+    }
+    signal.addEventListener('abort', () => reject(new Error('Aborted')), { once: true });
+  });
+}
+
+// Parse Retry-After (delay in seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Parse a rate-limit reset header (seconds until reset, or epoch seconds) into milliseconds
+function parseRateLimitReset(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (isNaN(seconds)) return null;
+  return seconds > 1e9 ? Math.max(0, seconds * 1000 - Date.now()) : seconds * 1000;
+}
 
 class MorgenAPIClient {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
+    // User time zone for day boundaries ("today", "this week", date-only ranges)
+    this.timeZone = options.timeZone || getSystemTimeZone();
+    // Week start, working hours, hidden calendars, search window and filter rules (see preferences.js)
+    this.preferences = { ...defaultPreferences(), ...options.preferences };
     this.baseURL = 'https://api.morgen.so/v3';
     this.headers = {
       'Authorization': `ApiKey ${apiKey}`,
@@ -11,86 +103,273 @@ class MorgenAPIClient {
       'User-Agent': 'MCP-Morgen-Extension/1.0'
     };
     
+    // Retry and timeout settings for API requests
+    this.retry = { ...DEFAULT_RETRY, ...options.retry };
+    this.timeoutMs = options.timeoutMs || 30000;
+    
+    // Latest rate-limit information reported by the API
+    this.rateLimit = null;
+    
+    // Shared request budget: every attempt, including retries, spends a token
+    this.limiter = new RateLimiter(options.rateLimit);
+    
     // Initialize cache with custom settings
     this.cache = new SimpleCache({
       maxSize: 100,
-      defaultTTL: 120 // 2 minutes default
+      maxBytes: options.cacheMaxBytes || 5 * 1024 * 1024, // 5 MB
+      defaultTTL: 120, // 2 minutes default
+      ttlPolicies: { ...CACHE_TTL_POLICIES, ...options.cacheTTLs }
     });
+    
+    // Optional on-disk cache so calendars and accounts survive server restarts
+    this.diskCache = options.cacheDir
+      ? new DiskCache({ directory: options.cacheDir, namespace: apiKey })
+      : null;
+    this.revalidating = new Map();
+    
+    // Fetched time windows and their events, per calendar
+    this.eventStore = new EventStore({ ttl: this.cache.ttlFor('events:') });
+    
+    // Incremental sync state; turned off if the API rejects sync parameters
+    this.syncSupported = options.incrementalSync !== false;
+    this.lastSync = null;
+    
+    // Schedule snapshots for what_changed, by name (also kept on disk when enabled)
+    this.checkpoints = new Map();
   }
 
+  // Retries 429/5xx responses and network errors with jittered exponential backoff.
+  // POSTs are only retried when they carry an idempotency key. The whole call,
+  // including retries and reading the response body, is bounded by timeoutMs; time spent
+  // waiting in the rate limiter's queue does not count, as the request has not been sent yet.
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
-    const config = {
-      ...options,
-      headers: { ...this.headers, ...options.headers }
+    const { idempotencyKey, timeoutMs = this.timeoutMs, ...fetchOptions } = options;
+    const headers = { ...this.headers, ...options.headers };
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+    
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const canRetry = IDEMPOTENT_METHODS.includes(method) || Boolean(headers['Idempotency-Key']);
+    let remainingMs = timeoutMs;
+    const timedOut = () => {
+      const timeoutError = new Error(`Request timed out after ${timeoutMs}ms`);
+      timeoutError.timeout = true;
+      return timeoutError;
     };
     
-    try {
-      const response = await fetch(url, config);
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      let timer = null;
+      let sentAt = null;
+      let response;
+      let error = null;
       
-      if (!response.ok) {
-        const error = new Error(`API Error ${response.status}: ${response.statusText}`);
-        error.status = response.status;
+      try {
+        // The clock starts when the limiter lets the request go
+        response = await this.limiter.schedule(() => {
+          sentAt = Date.now();
+          timer = setTimeout(() => controller.abort(), Math.max(0, remainingMs));
+          return fetch(url, { ...fetchOptions, headers, signal: controller.signal });
+        });
+        this.updateRateLimit(response);
         
-        // Try to parse error details from response
+        if (!response.ok) {
+          error = new Error(`API Error ${response.status}: ${response.statusText}`);
+          error.status = response.status;
+          error.retryAfterMs = this.getRetryAfterMs(response);
+          
+          // Hold back queued requests too, not just this retry
+          if (error.status === 429 && error.retryAfterMs) {
+            this.limiter.pauseUntil(Date.now() + error.retryAfterMs);
+          }
+          
+          // Try to parse error details from response
+          try {
+            const errorData = await response.json();
+            error.details = errorData;
+          } catch (e) {
+            // If parsing fails, use the status text
+          }
+        }
+      } catch (fetchError) {
+        clearTimeout(timer);
+        if (controller.signal.aborted) {
+          throw timedOut();
+        }
+        // Network or other error
+        error = new Error(`Network error: ${fetchError.message}`);
+      }
+      
+      // The request went through, so it is never retried, even if its body is unreadable.
+      // The timer keeps running until the body has been read.
+      if (!error) {
         try {
-          const errorData = await response.json();
-          error.details = errorData;
-        } catch (e) {
-          // If parsing fails, use the status text
+          return await Promise.race([this.readResponseBody(response, endpoint), whenAborted(controller.signal)]);
+        } catch (bodyError) {
+          throw controller.signal.aborted ? timedOut() : bodyError;
+        } finally {
+          clearTimeout(timer);
         }
-        
+      }
+      
+      clearTimeout(timer);
+      if (sentAt !== null) {
+        remainingMs -= Date.now() - sentAt;
+      }
+      
+      const retryable = error.status ? RETRYABLE_STATUSES.includes(error.status) : true;
+      if (!canRetry || !retryable || attempt >= this.retry.maxRetries) {
         throw error;
       }
       
-      return response.json();
-    } catch (error) {
-      if (error.status) {
-        // API error
+      // Give up early if the next attempt could not start before the time is up
+      const delay = this.getRetryDelay(attempt, error.retryAfterMs);
+      if (delay >= remainingMs) {
         throw error;
       }
-      // Network or other error
-      throw new Error(`Network error: ${error.message}`);
+      
+      console.error(`Retrying ${method} ${endpoint} in ${delay}ms (attempt ${attempt + 1}/${this.retry.maxRetries}): ${error.message}`);
+      await sleep(delay);
+      remainingMs -= delay;
     }
   }
 
-  // Calendar methods
-  async listCalendars() {
-    const cacheKey = 'calendars';
+  // Parsed JSON body of a successful response; null when it is empty (e.g. 204 No Content)
+  async readResponseBody(response, endpoint) {
+    if (response.status === 204) {
+      return null;
+    }
+    if (typeof response.text !== 'function') {
+      return response.json();
+    }
     
-    // Check cache first
-    const cached = this.cache.get(cacheKey);
-    if (cached) {
-      return cached;
+    const text = await response.text();
+    if (!text.trim()) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in response from ${endpoint}: ${error.message}`);
+    }
+  }
+
+  // Server-provided wait before retrying, from Retry-After or the rate-limit headers
+  getRetryAfterMs(response) {
+    const headers = response.headers;
+    if (!headers || typeof headers.get !== 'function') return null;
+    
+    const retryAfter = parseRetryAfter(headers.get('Retry-After'));
+    if (retryAfter !== null) return retryAfter;
+    
+    const remaining = headers.get('RateLimit-Remaining') || headers.get('X-RateLimit-Remaining');
+    if (response.status === 429 || remaining === '0') {
+      return parseRateLimitReset(headers.get('RateLimit-Reset') || headers.get('X-RateLimit-Reset'));
     }
+    return null;
+  }
+
+  // Full-jitter exponential backoff, unless the server said how long to wait
+  getRetryDelay(attempt, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+      return Math.ceil(retryAfterMs);
+    }
+    const cap = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * cap);
+  }
+
+  // Remember the rate-limit budget the API reports on each response
+  updateRateLimit(response) {
+    const headers = response.headers;
+    if (!headers || typeof headers.get !== 'function') return;
     
-    // Fetch from API
-    const response = await this.request('/calendars/list');
-    const calendars = response.data?.calendars || [];
+    const limit = headers.get('RateLimit-Limit') || headers.get('X-RateLimit-Limit');
+    const remaining = headers.get('RateLimit-Remaining') || headers.get('X-RateLimit-Remaining');
+    if (limit === null && remaining === null) return;
     
-    // Cache for 1 hour (3600 seconds)
-    this.cache.set(cacheKey, calendars, 3600);
+    const resetMs = parseRateLimitReset(headers.get('RateLimit-Reset') || headers.get('X-RateLimit-Reset'));
+    this.rateLimit = {
+      limit: limit !== null ? Number(limit) : null,
+      remaining: remaining !== null ? Number(remaining) : null,
+      resetAt: resetMs !== null ? new Date(Date.now() + resetMs).toISOString() : null,
+      updatedAt: new Date().toISOString()
+    };
     
-    return calendars;
+    // Stop sending once the server-side budget is spent
+    if (this.rateLimit.remaining === 0 && resetMs !== null) {
+      this.limiter.pauseUntil(Date.now() + resetMs);
+    }
+  }
+
+  // Calendar methods
+  async listCalendars(options = {}) {
+    // Persisted to disk when enabled; refresh skips the cached list
+    const fetcher = async () => {
+      const response = await this.request('/calendars/list');
+      return response?.data?.calendars || [];
+    };
+    return options.refresh ? this.refreshPersisted('calendars', fetcher) : this.getPersisted('calendars', fetcher);
   }
 
   async listAccounts() {
-    const cacheKey = 'accounts';
-    
-    // Check cache first
+    // Persisted to disk when enabled
+    return this.getPersisted('accounts', async () => {
+      const response = await this.request('/integrations/accounts/list');
+      return response?.data?.accounts || [];
+    });
+  }
+
+  // Stale-while-revalidate lookup: memory first, then disk (a stale disk entry is
+  // returned immediately while a background refresh runs), then the API
+  async getPersisted(cacheKey, fetcher) {
     const cached = this.cache.get(cacheKey);
     if (cached) {
       return cached;
     }
     
-    // Fetch from API
-    const response = await this.request('/integrations/accounts/list');
-    const accounts = response.data?.accounts || [];
+    if (this.diskCache) {
+      const stored = await this.diskCache.get(cacheKey).catch(() => null);
+      if (stored) {
+        if (stored.stale) {
+          this.revalidate(cacheKey, fetcher);
+        } else {
+          this.cache.set(cacheKey, stored.value, Math.ceil((stored.expiresAt - Date.now()) / 1000));
+        }
+        return stored.value;
+      }
+    }
+    
+    return this.refreshPersisted(cacheKey, fetcher);
+  }
+
+  async refreshPersisted(cacheKey, fetcher) {
+    const value = await fetcher();
+    this.cache.set(cacheKey, value);
     
-    // Cache for 1 hour (3600 seconds)
-    this.cache.set(cacheKey, accounts, 3600);
+    if (this.diskCache) {
+      try {
+        await this.diskCache.set(cacheKey, value, this.cache.ttlFor(cacheKey));
+      } catch (error) {
+        console.error(`Failed to write ${cacheKey} to disk cache:`, error.message);
+      }
+    }
     
-    return accounts;
+    return value;
+  }
+
+  // Refresh a key in the background, at most once at a time per key
+  revalidate(cacheKey, fetcher) {
+    if (this.revalidating.has(cacheKey)) {
+      return this.revalidating.get(cacheKey);
+    }
+    
+    const refresh = this.refreshPersisted(cacheKey, fetcher)
+      .catch(error => console.error(`Background refresh of ${cacheKey} failed:`, error.message))
+      .finally(() => this.revalidating.delete(cacheKey));
+    this.revalidating.set(cacheKey, refresh);
+    return refresh;
   }
   
   // Event methods  
@@ -99,7 +378,7 @@ class MorgenAPIClient {
     if (params.calendarIds === 'all' || params.calendarIds === 'ALL') {
       // For "all" calendars with date range, use getAllEventsInRange which handles multiple accounts properly
       if (params.start && params.end) {
-        return await this.getAllEventsInRange(params.start, params.end);
+        return await this.getAllEventsInRange(params.start, params.end, { includeHidden: params.includeHidden });
       }
       
       // For "all" without specific dates, get all calendars and use their IDs
@@ -109,27 +388,9 @@ class MorgenAPIClient {
       }
       
       // Replace "all" with actual calendar IDs
-      params.calendarIds = calendars.map(cal => cal.id).join(',');
+      params.calendarIds = (params.includeHidden ? calendars : this.getVisibleCalendars(calendars)).map(cal => cal.id).join(',');
     }
     
-    // // First try a simple call without parameters to test basic connectivity
-    // if (Object.keys(params).length === 0) {
-    //   try {
-    //     const response = await this.request('/events/list');
-    //     const events = response.data?.events || [];
-        
-    //     // Filter out "Busy (via Morgen)" and "Untitled Event" events
-    //     const filtered = events.filter(event => 
-    //       event.title !== 'Busy (via Morgen)' && 
-    //       event.title !== 'Untitled Event'
-    //     );
-        
-    //     return filtered;
-    //   } catch (error) {
-    //     throw error;
-    //   }
-    // }
-    
     const queryParams = new URLSearchParams();
     
     // Use the exact parameter names that the Morgen API expects
@@ -149,15 +410,10 @@ class MorgenAPIClient {
     const queryString = queryParams.toString();
     const endpoint = `/events/list?${queryString}`;
     const response = await this.request(endpoint);
-    const events = response.data?.events || [];
+    const events = response?.data?.events || [];
     
-    // Filter out "Busy (via Morgen)" and "Untitled Event" events
-    const filtered = events.filter(event => 
-      event.title !== 'Busy (via Morgen)' && 
-      event.title !== 'Untitled Event'
-    );
-      
-    return filtered;
+    // Leave out events hidden by the filter rules unless asked for them
+    return params.includeHidden ? events : await this.applyFilterRules(events);
   }
 
   async createEvent(eventData) {
@@ -170,10 +426,17 @@ class MorgenAPIClient {
         }
       }
       
+      // Morgen reads start as a LocalDateTime in the event's time zone; times without an
+      // offset are taken to be in that zone already
+      const timeZone = eventData.timeZone || 'UTC';
+      const start = toZonedLocalDateTime(eventData.startDate, timeZone);
+      const interval = getEventInterval({ start: eventData.startDate, end: eventData.endDate, timeZone });
+      if (!interval) {
+        throw new Error(`Invalid startDate: ${eventData.startDate}`);
+      }
+      
       // Calculate duration in minutes
-      const startTime = new Date(eventData.startDate);
-      const endTime = new Date(eventData.endDate);
-      const durationMinutes = Math.round((endTime - startTime) / (1000 * 60));
+      const durationMinutes = Math.round((interval.end - interval.start) / (1000 * 60));
       
       // Get calendar info to extract accountId
       const calendars = await this.listCalendars();
@@ -186,43 +449,520 @@ class MorgenAPIClient {
       const morgenEventData = {
         title: eventData.title,
         description: eventData.description || '',
-        start: eventData.startDate,
+        start,
         duration: `${durationMinutes}m`,
         accountId: calendar.accountId,
         calendarId: eventData.calendarId,
-        timeZone: eventData.timeZone || 'UTC'
+        timeZone
       };
       
+      if (eventData.location) {
+        morgenEventData.location = eventData.location;
+      }
+      
+      // Imported events keep their iCalendar UID, so importing them again can be detected
+      if (eventData.uid) {
+        morgenEventData.uid = eventData.uid;
+      }
+      
+      // All-day events last whole days and are shown without a time
+      if (eventData.allDay) {
+        morgenEventData.showWithoutTime = true;
+        morgenEventData.duration = `P${Math.max(1, Math.round(durationMinutes / (24 * 60)))}D`;
+      }
+      
+      // Add recurrence rules for repeating events
+      if (eventData.recurrence) {
+        Object.assign(morgenEventData, buildRecurrence(eventData.recurrence, start, timeZone));
+      }
+      
+      // Add attendees and choose whether Morgen sends them invitations
+      if (eventData.attendees && eventData.attendees.length > 0) {
+        morgenEventData.participants = buildParticipants(eventData.attendees, eventData.sendInvitations !== false);
+      }
       
       const response = await this.request('/events/create', {
         method: 'POST',
         body: JSON.stringify(morgenEventData)
       });
       
-      // Invalidate relevant caches after creating an event
-      this.invalidateEventCaches();
+      // Recurring events can land anywhere in the calendar; one-off events only in their own slot
+      if (eventData.recurrence) {
+        this.invalidateEventCaches(eventData.calendarId);
+      } else {
+        this.invalidateEventCaches(eventData.calendarId, interval.start, interval.end);
+      }
       
-      return response.data?.event || response.data || response;
+      return response?.data?.event || response?.data || response || morgenEventData;
     } catch (error) {
       console.error('Error creating event:', error);
       throw error;
     }
   }
+
+  // Import the VEVENTs of an iCalendar text into a calendar. Events whose UID the calendar
+  // already has, or that repeat a UID earlier in the file, are skipped, as are cancelled
+  // events and changed occurrences of a series. Returns one result per event:
+  // { status: 'created' | 'skipped' | 'failed', uid, title, start, eventId, reason }
+  async importCalendar(ics, options = {}) {
+    const timeZone = options.timeZone || this.timeZone;
+    const calendarId = options.calendarId;
+    
+    const calendars = await this.listCalendars();
+    if (!calendars.some(cal => cal.id === calendarId)) {
+      throw new Error(`Calendar with ID ${calendarId} not found`);
+    }
+    
+    const entries = parseCalendar(ics, { defaultTimeZone: timeZone });
+    
+    // UIDs already in the calendar around the imported events, hidden ones included
+    const intervals = entries
+      .filter(entry => entry.eventData)
+      .map(entry => getEventInterval({ start: entry.eventData.startDate, end: entry.eventData.endDate, timeZone: entry.eventData.timeZone }))
+      .filter(Boolean);
+    const existingUids = new Set();
+    if (intervals.length > 0) {
+      const day = 24 * 60 * 60 * 1000;
+      const existing = await this.getEvents({
+        calendarIds: calendarId,
+        startDate: new Date(Math.min(...intervals.map(interval => interval.start)) - day).toISOString(),
+        endDate: new Date(Math.max(...intervals.map(interval => interval.end)) + day).toISOString(),
+        includeHidden: true
+      });
+      existing.forEach(event => event.uid && existingUids.add(event.uid));
+    }
+    
+    const results = [];
+    const seenUids = new Set();
+    for (const entry of entries) {
+      const result = { status: 'skipped', uid: entry.uid, title: entry.title, start: entry.start, eventId: null, reason: null };
+      results.push(result);
+      
+      if (entry.recurrenceId) {
+        result.reason = 'changed occurrence of a repeating event';
+      } else if (entry.cancelled) {
+        result.reason = 'cancelled';
+      } else if (entry.uid && existingUids.has(entry.uid)) {
+        result.reason = 'already in the calendar';
+      } else if (entry.uid && seenUids.has(entry.uid)) {
+        result.reason = 'duplicate UID in the file';
+      } else if (entry.error) {
+        result.status = 'failed';
+        result.reason = entry.error;
+      } else {
+        try {
+          const created = await this.createEvent({
+            ...entry.eventData,
+            calendarId,
+            sendInvitations: options.sendInvitations === true
+          });
+          result.status = 'created';
+          result.eventId = created.id || null;
+        } catch (error) {
+          result.status = 'failed';
+          result.reason = error.message;
+        }
+      }
+      if (entry.uid) {
+        seenUids.add(entry.uid);
+      }
+    }
+    return results;
+  }
+
+  async updateEvent(eventData) {
+    try {
+      // Validate required fields
+      const requiredFields = ['id', 'calendarId'];
+      for (const field of requiredFields) {
+        if (!eventData[field]) {
+          throw new Error(`Missing required field: ${field}`);
+        }
+      }
+
+      // Get calendar info to extract accountId
+      const calendars = await this.listCalendars();
+      const calendar = calendars.find(cal => cal.id === eventData.calendarId);
+      if (!calendar) {
+        throw new Error(`Calendar with ID ${eventData.calendarId} not found`);
+      }
+
+      // Only send the fields that are being changed
+      const morgenEventData = {
+        id: eventData.id,
+        accountId: calendar.accountId,
+        calendarId: eventData.calendarId
+      };
+
+      if (eventData.title !== undefined) {
+        morgenEventData.title = eventData.title;
+      }
+      if (eventData.description !== undefined) {
+        morgenEventData.description = eventData.description;
+      }
+      if (eventData.location !== undefined) {
+        morgenEventData.location = eventData.location;
+      }
+      if (eventData.timeZone !== undefined) {
+        morgenEventData.timeZone = eventData.timeZone;
+      }
+
+      // A new start is sent as a LocalDateTime with its zone: the given one, else the
+      // event's own, else the user's. Times without an offset are read in that zone.
+      const previous = this.eventStore.findEvent(eventData.calendarId, eventData.id);
+      let newInterval = null;
+      if (eventData.startDate !== undefined) {
+        const timeZone = eventData.timeZone || (previous && previous.timeZone) || this.timeZone;
+        morgenEventData.start = toZonedLocalDateTime(eventData.startDate, timeZone);
+        morgenEventData.timeZone = timeZone;
+        newInterval = getEventInterval({ start: eventData.startDate, timeZone });
+        if (!newInterval) {
+          throw new Error(`Invalid startDate: ${eventData.startDate}`);
+        }
+        if (eventData.endDate !== undefined) {
+          const end = getEventInterval({ start: eventData.endDate, timeZone });
+          if (!end) {
+            throw new Error(`Invalid endDate: ${eventData.endDate}`);
+          }
+          newInterval.end = end.start;
+        }
+      }
+
+      // Duration can be given directly or derived from the new start/end times
+      if (eventData.durationMinutes !== undefined) {
+        morgenEventData.duration = `${eventData.durationMinutes}m`;
+      } else if (eventData.endDate !== undefined) {
+        if (!eventData.startDate) {
+          throw new Error('startDate is required when changing endDate');
+        }
+        const durationMinutes = Math.round((newInterval.end - newInterval.start) / (1000 * 60));
+        if (durationMinutes <= 0) {
+          throw new Error('endDate must be after startDate');
+        }
+        morgenEventData.duration = `${durationMinutes}m`;
+      }
+
+      // Moving the event to another calendar
+      if (eventData.targetCalendarId && eventData.targetCalendarId !== eventData.calendarId) {
+        const targetCalendar = calendars.find(cal => cal.id === eventData.targetCalendarId);
+        if (!targetCalendar) {
+          throw new Error(`Calendar with ID ${eventData.targetCalendarId} not found`);
+        }
+        if (targetCalendar.accountId !== calendar.accountId) {
+          throw new Error('Events can only be moved between calendars of the same account');
+        }
+        morgenEventData.calendarId = eventData.targetCalendarId;
+      }
+
+      const response = await this.request('/events/update', {
+        method: 'POST',
+        body: JSON.stringify(morgenEventData)
+      });
+
+      // Forget the event's old slot and its new one, in both calendars when it moved
+      const oldInterval = previous && getEventInterval(previous);
+      if (!oldInterval) {
+        this.invalidateEventCaches(eventData.calendarId);
+        this.invalidateEventCaches(morgenEventData.calendarId);
+      } else {
+        this.invalidateEventCaches(eventData.calendarId, oldInterval.start, oldInterval.end);
+        if (newInterval) {
+          const newEnd = eventData.endDate !== undefined
+            ? newInterval.end
+            : newInterval.start + (oldInterval.end - oldInterval.start);
+          this.invalidateEventCaches(eventData.calendarId, newInterval.start, newEnd);
+          this.invalidateEventCaches(morgenEventData.calendarId, newInterval.start, newEnd);
+        } else {
+          this.invalidateEventCaches(morgenEventData.calendarId, oldInterval.start, oldInterval.end);
+        }
+      }
+
+      return response?.data?.event || response?.data || response || morgenEventData;
+    } catch (error) {
+      console.error('Error updating event:', error);
+      throw error;
+    }
+  }
+
+  // Find a single event by ID within a calendar. Morgen has no lookup by ID,
+  // so we scan the calendar over a date window (defaults to the search window).
+  async findEvent(eventId, calendarId, options = {}) {
+    const start = options.startDate || this.getSearchWindow().start;
+    const end = options.endDate || this.getSearchWindow().end;
+    
+    // Events hidden from views can still be looked up by ID
+    const events = await this.listEvents({
+      calendarIds: calendarId,
+      start: start,
+      end: end,
+      includeHidden: true
+    });
+    
+    const event = events.find(evt => evt.id === eventId);
+    return { event: event || null, events };
+  }
+
+  // Preview which events a delete with the given scope would remove
+  async previewDeleteEvent(eventData) {
+    const { id, calendarId, startDate, endDate } = eventData;
+    const scope = eventData.scope || 'single';
+    
+    if (!SERIES_UPDATE_MODES.includes(scope)) {
+      throw new Error(`Invalid scope: ${scope}. Use one of: ${SERIES_UPDATE_MODES.join(', ')}`);
+    }
+    
+    const { event, events } = await this.findEvent(id, calendarId, { startDate, endDate });
+    if (!event) {
+      throw new Error(`Event with ID ${id} not found in calendar ${calendarId} for the searched date range`);
+    }
+    
+    // One-off events and single occurrences only affect the event itself
+    const seriesId = event.masterEventId;
+    if (scope === 'single' || !seriesId) {
+      return [event];
+    }
+    
+    const eventStart = new Date(event.start);
+    return events
+      .filter(evt => evt.masterEventId === seriesId || evt.id === seriesId)
+      .filter(evt => scope === 'all' || new Date(evt.start) >= eventStart)
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  async deleteEvent(eventData) {
+    try {
+      // Validate required fields
+      const requiredFields = ['id', 'calendarId'];
+      for (const field of requiredFields) {
+        if (!eventData[field]) {
+          throw new Error(`Missing required field: ${field}`);
+        }
+      }
+      
+      const scope = eventData.scope || 'single';
+      if (!SERIES_UPDATE_MODES.includes(scope)) {
+        throw new Error(`Invalid scope: ${scope}. Use one of: ${SERIES_UPDATE_MODES.join(', ')}`);
+      }
+      
+      // Get calendar info to extract accountId
+      const calendars = await this.listCalendars();
+      const calendar = calendars.find(cal => cal.id === eventData.calendarId);
+      if (!calendar) {
+        throw new Error(`Calendar with ID ${eventData.calendarId} not found`);
+      }
+      
+      const morgenEventData = {
+        id: eventData.id,
+        accountId: calendar.accountId,
+        calendarId: eventData.calendarId
+      };
+      
+      const response = await this.request(`/events/delete?seriesUpdateMode=${scope}`, {
+        method: 'POST',
+        body: JSON.stringify(morgenEventData)
+      });
+      
+      // A single one-off occurrence only frees its own slot; series changes can touch any date
+      const deleted = this.eventStore.findEvent(eventData.calendarId, eventData.id);
+      const deletedInterval = deleted && getEventInterval(deleted);
+      if (scope === 'single' && deletedInterval) {
+        this.invalidateEventCaches(eventData.calendarId, deletedInterval.start, deletedInterval.end);
+      } else {
+        this.invalidateEventCaches(eventData.calendarId);
+      }
+      
+      return response;
+    } catch (error) {
+      console.error('Error deleting event:', error);
+      throw error;
+    }
+  }
   
-  // Cache invalidation methods
-  invalidateEventCaches() {
-    // Clear all event-related caches when an event is created/modified
-    const keysToDelete = [];
+  // Task methods
+  async listTasks(options = {}) {
+    const cacheKey = 'tasks:list';
     
-    // Get all cache keys
-    for (const key of this.cache.cache.keys()) {
-      if (key.startsWith('events:') || key.startsWith('search:')) {
-        keysToDelete.push(key);
+    // Check cache first
+    let tasks = this.cache.get(cacheKey);
+    if (!tasks) {
+      const response = await this.request('/tasks/list');
+      tasks = response?.data?.tasks || [];
+      this.cache.set(cacheKey, tasks);
+    }
+    
+    let filtered = tasks;
+    if (!options.includeCompleted) {
+      filtered = filtered.filter(task => task.progress !== 'completed');
+    }
+    if (options.taskListId) {
+      filtered = filtered.filter(task => task.taskListId === options.taskListId);
+    }
+    
+    return filtered;
+  }
+
+  async listTaskLists() {
+    const cacheKey = 'tasks:lists';
+    
+    // Check cache first
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    
+    const response = await this.request('/taskLists/list');
+    const taskLists = response?.data?.taskLists || [];
+    this.cache.set(cacheKey, taskLists);
+    
+    return taskLists;
+  }
+
+  // Transform task fields to match Morgen API format, only including the ones provided
+  buildTaskPayload(taskData) {
+    const timeZone = taskData.timeZone || this.timeZone;
+    const morgenTaskData = {};
+    
+    if (taskData.title !== undefined) {
+      morgenTaskData.title = taskData.title;
+    }
+    if (taskData.description !== undefined) {
+      morgenTaskData.description = taskData.description;
+    }
+    if (taskData.due !== undefined) {
+      // Date-only due dates mean the end of that day
+      morgenTaskData.due = toZonedLocalDateTime(taskData.due, timeZone, '23:59:59');
+      morgenTaskData.timeZone = timeZone;
+    }
+    if (taskData.priority !== undefined) {
+      if (!Number.isInteger(taskData.priority) || taskData.priority < 0 || taskData.priority > 9) {
+        throw new Error('priority must be an integer from 0 (none) to 9 (lowest), 1 being the highest');
+      }
+      morgenTaskData.priority = taskData.priority;
+    }
+    if (taskData.estimatedMinutes !== undefined) {
+      if (!Number.isInteger(taskData.estimatedMinutes) || taskData.estimatedMinutes < 1) {
+        throw new Error('estimatedMinutes must be a positive integer');
       }
+      morgenTaskData.estimatedDuration = `PT${taskData.estimatedMinutes}M`;
+    }
+    if (taskData.taskListId !== undefined) {
+      morgenTaskData.taskListId = taskData.taskListId;
     }
     
-    // Delete the keys
-    keysToDelete.forEach(key => this.cache.delete(key));
+    return morgenTaskData;
+  }
+
+  async createTask(taskData) {
+    try {
+      if (!taskData.title) {
+        throw new Error('Missing required field: title');
+      }
+      
+      const payload = this.buildTaskPayload(taskData);
+      const response = await this.request('/tasks/create', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+      
+      // Invalidate task caches after creating a task
+      this.invalidateTaskCaches();
+      
+      return response?.data?.task || response?.data || response || payload;
+    } catch (error) {
+      console.error('Error creating task:', error);
+      throw error;
+    }
+  }
+
+  async updateTask(taskData) {
+    try {
+      if (!taskData.id) {
+        throw new Error('Missing required field: id');
+      }
+      
+      const payload = { id: taskData.id, ...this.buildTaskPayload(taskData) };
+      const response = await this.request('/tasks/update', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+      
+      // Invalidate task caches after updating a task
+      this.invalidateTaskCaches();
+      
+      return response?.data?.task || response?.data || response || payload;
+    } catch (error) {
+      console.error('Error updating task:', error);
+      throw error;
+    }
+  }
+
+  async completeTask(taskId) {
+    try {
+      if (!taskId) {
+        throw new Error('Missing required field: id');
+      }
+      
+      const response = await this.request('/tasks/close', {
+        method: 'POST',
+        body: JSON.stringify({ id: taskId })
+      });
+      
+      // Invalidate task caches after completing a task
+      this.invalidateTaskCaches();
+      
+      return response;
+    } catch (error) {
+      console.error('Error completing task:', error);
+      throw error;
+    }
+  }
+
+  async deleteTask(taskId) {
+    try {
+      if (!taskId) {
+        throw new Error('Missing required field: id');
+      }
+      
+      const response = await this.request('/tasks/delete', {
+        method: 'POST',
+        body: JSON.stringify({ id: taskId })
+      });
+      
+      // Invalidate task caches after deleting a task
+      this.invalidateTaskCaches();
+      
+      return response;
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      throw error;
+    }
+  }
+  
+  // Cache invalidation methods
+  // Forget stored events so they are fetched again: a time window of one calendar
+  // (start/end as ISO strings, Dates or epoch ms), a whole calendar, or everything.
+  // Remembered getEvents results are always dropped.
+  invalidateEventCaches(calendarId, start, end) {
+    for (const key of [...this.cache.cache.keys()]) {
+      if (key.startsWith('events:range')) {
+        this.cache.delete(key);
+      }
+    }
+    
+    if (start !== undefined && end !== undefined) {
+      const windowStart = new Date(start).getTime();
+      const windowEnd = new Date(end).getTime();
+      if (!isNaN(windowStart) && !isNaN(windowEnd)) {
+        this.eventStore.invalidate(calendarId, windowStart, Math.max(windowEnd, windowStart + 1));
+        return;
+      }
+    }
+    this.eventStore.invalidate(calendarId);
+  }
+  
+  invalidateTaskCaches() {
+    // Task lists rarely change, so only the task list itself is cleared
+    this.cache.delete('tasks:list');
   }
   
   // Get cache statistics
@@ -230,13 +970,32 @@ class MorgenAPIClient {
     return this.cache.stats();
   }
   
+  // Snapshot of the client-side request budget, the API-reported limits and the cache
+  getDiagnostics() {
+    return {
+      limiter: this.limiter.stats(),
+      rateLimit: this.rateLimit,
+      cache: this.getCacheStats(),
+      eventStore: this.eventStore.stats(),
+      sync: { supported: this.syncSupported, lastSync: this.lastSync },
+      diskCacheDir: this.diskCache ? this.diskCache.directory : null,
+      timeZone: this.timeZone
+    };
+  }
+  
   // Clear all cache
   clearCache() {
     this.cache.clear();
+    this.eventStore.invalidate();
+    if (this.diskCache) {
+      return this.diskCache.clear();
+    }
   }
 
-  // Helper method to get all events for a date range across all accounts/calendars
-  async getAllEventsInRange(start, end) {
+  // Helper method to get all events for a date range across all accounts/calendars.
+  // includeHidden also returns hidden calendars and events hidden by the filter rules,
+  // as availability checks need.
+  async getAllEventsInRange(start, end, options = {}) {
     // Get all accounts and calendars first
     const accounts = await this.listAccounts();
     if (accounts.length === 0) {
@@ -248,126 +1007,468 @@ class MorgenAPIClient {
       throw new Error('No calendars available. Please add calendars to your connected accounts.');
     }
     
-    // Group calendars by account
-    const calendarsByAccount = {};
-    calendars.forEach(calendar => {
-      if (!calendarsByAccount[calendar.accountId]) {
-        calendarsByAccount[calendar.accountId] = [];
+    if (options.includeHidden) {
+      return this.getStoredEvents(calendars, start, end);
+    }
+    
+    const visible = this.getVisibleCalendars(calendars);
+    if (visible.length === 0) {
+      return [];
+    }
+    return this.applyFilterRules(await this.getStoredEvents(visible, start, end));
+  }
+
+  // Events not hidden by the filter_rules preference (see event-filters.js)
+  async applyFilterRules(events) {
+    const rules = this.preferences.filterRules;
+    if (rules.length === 0 || events.length === 0) {
+      return events;
+    }
+    
+    const context = needsCalendarData(rules)
+      ? { calendars: await this.listCalendars(), accounts: await this.listAccounts() }
+      : {};
+    return filterEvents(events, rules, context);
+  }
+
+  // Calendars shown in "all calendars" views, leaving out the hidden_calendars preference
+  getVisibleCalendars(calendars) {
+    return calendars.filter(calendar => !isHiddenCalendar(calendar, this.preferences));
+  }
+
+  // Default search and lookup range: the search window before and after now
+  getSearchWindow() {
+    const windowMs = this.preferences.searchWindowDays * 24 * 60 * 60 * 1000;
+    return {
+      start: new Date(Date.now() - windowMs).toISOString(),
+      end: new Date(Date.now() + windowMs).toISOString()
+    };
+  }
+
+  // Events of the given calendars in a range, answered from the event store. Only the
+  // parts of the range a calendar has not fetched recently are requested from the API.
+  async getStoredEvents(calendars, start, end) {
+    const rangeStart = new Date(start).getTime();
+    const rangeEnd = new Date(end).getTime();
+    if (isNaN(rangeStart) || isNaN(rangeEnd)) {
+      throw new Error(`Invalid date range: ${start} to ${end}`);
+    }
+    
+    // Bring expired windows up to date with just the changes since they were fetched
+    await this.syncEvents(calendars, rangeStart, rangeEnd);
+    
+    // Calendars missing the same gaps are fetched together
+    const groups = new Map();
+    for (const calendar of calendars) {
+      const gaps = this.eventStore.getMissingRanges(calendar.id, rangeStart, rangeEnd);
+      if (gaps.length === 0) continue;
+      
+      const key = gaps.map(gap => `${gap.start}-${gap.end}`).join(',');
+      if (!groups.has(key)) {
+        groups.set(key, { gaps, calendars: [] });
       }
-      calendarsByAccount[calendar.accountId].push(calendar.id);
-    });
+      groups.get(key).calendars.push(calendar);
+    }
+    
+    const errors = [];
+    const fetches = [];
+    for (const group of groups.values()) {
+      for (const gap of group.gaps) {
+        const cursor = { updatedSince: new Date(Date.now() - SYNC_OVERLAP_MS).toISOString() };
+        fetches.push(this.fetchEventsInRange(
+          group.calendars,
+          new Date(gap.start).toISOString(),
+          new Date(gap.end).toISOString()
+        ).then(result => {
+          for (const calendarId of result.fetchedCalendarIds) {
+            const calendarEvents = result.events.filter(event => event.calendarId === calendarId);
+            this.eventStore.addWindow(calendarId, gap.start, gap.end, calendarEvents);
+            this.eventStore.initCursor(calendarId, cursor);
+          }
+          errors.push(...result.errors);
+        }));
+      }
+    }
+    await Promise.all(fetches);
+    
+    // Calendars whose fetch failed are left out rather than served incomplete
+    const coveredIds = calendars
+      .map(calendar => calendar.id)
+      .filter(calendarId => this.eventStore.isCovered(calendarId, rangeStart, rangeEnd));
+    
+    // If all accounts failed, throw an error
+    if (coveredIds.length === 0 && errors.length > 0) {
+      throw new Error(`Failed to fetch events from all accounts:\n${errors.join('\n')}`);
+    }
+    
+    return this.eventStore.getEvents(coveredIds, rangeStart, rangeEnd);
+  }
+
+  // Incremental sync: for calendars whose stored windows have expired, ask the API only
+  // for events changed or deleted since the calendar's cursor and apply them to the store.
+  // Calendars that cannot be synced are simply re-fetched by getStoredEvents.
+  async syncEvents(calendars, rangeStart, rangeEnd) {
+    if (!this.syncSupported) {
+      return null;
+    }
+    
+    // Calendars with the same cursor and windows are synced in one request
+    const groups = new Map();
+    for (const calendar of calendars) {
+      const range = this.eventStore.getSyncRange(calendar.id, rangeStart, rangeEnd);
+      if (!range) continue;
+      
+      const cursor = this.eventStore.getCursor(calendar.id);
+      const key = `${JSON.stringify(cursor)}|${range.start}|${range.end}`;
+      if (!groups.has(key)) {
+        groups.set(key, { cursor, range, calendarIds: [] });
+      }
+      groups.get(key).calendarIds.push(calendar.id);
+    }
+    if (groups.size === 0) {
+      return null;
+    }
+    
+    const changes = { added: [], updated: [], removed: [] };
+    await Promise.all([...groups.values()].map(async group => {
+      try {
+        const result = await this.syncCalendars(group);
+        changes.added.push(...result.added);
+        changes.updated.push(...result.updated);
+        changes.removed.push(...result.removed);
+      } catch (error) {
+        if (SYNC_UNSUPPORTED_STATUSES.includes(error.status)) {
+          console.error('Incremental sync not supported by the API, falling back to full fetches');
+          this.syncSupported = false;
+        } else {
+          console.error('Incremental sync failed, falling back to a full fetch:', error.message);
+        }
+      }
+    }));
+    
+    this.lastSync = {
+      at: new Date().toISOString(),
+      added: changes.added.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length
+    };
+    return changes;
+  }
+
+  async syncCalendars({ cursor, range, calendarIds }) {
+    const syncStartedAt = Date.now() - SYNC_OVERLAP_MS;
+    const queryParams = new URLSearchParams();
+    queryParams.append('calendarIds', calendarIds.join(','));
+    queryParams.append('start', new Date(range.start).toISOString());
+    queryParams.append('end', new Date(range.end).toISOString());
+    if (cursor.syncToken) {
+      queryParams.append('syncToken', cursor.syncToken);
+    } else {
+      queryParams.append('updatedSince', cursor.updatedSince);
+    }
+    
+    const response = await this.request(`/events/list?${queryParams.toString()}`);
+    const data = response?.data || {};
     
+    // Only a response carrying a sync token shows the server understood the cursor. Anything
+    // else may be a plain listing of the range, so it replaces the stored events, dropping
+    // those no longer listed, instead of being applied as changes.
+    const isDelta = Boolean(data.syncToken);
+    
+    // Deleted events come back flagged as deleted or as a list of IDs
+    const deletedIds = [...(data.deletedEventIds || [])];
+    const changed = [];
+    for (const event of data.events || []) {
+      if (event.deleted) {
+        deletedIds.push(event.id);
+      } else {
+        changed.push(event);
+      }
+    }
+    
+    // Prefer a server sync token; otherwise continue from when this request started
+    const nextCursor = isDelta
+      ? { syncToken: data.syncToken }
+      : { updatedSince: new Date(syncStartedAt).toISOString() };
+    
+    const changes = { added: [], updated: [], removed: [] };
+    for (const calendarId of calendarIds) {
+      const calendarEvents = changed.filter(event => event.calendarId === calendarId);
+      const result = isDelta
+        ? this.eventStore.applyChanges(calendarId, calendarEvents, deletedIds, nextCursor)
+        : this.eventStore.applySnapshot(calendarId, calendarEvents, range.start, range.end, nextCursor);
+      changes.added.push(...result.added);
+      changes.updated.push(...result.updated);
+      changes.removed.push(...result.removed);
+    }
+    return changes;
+  }
+
+  // Fetch events of several calendars in one request, falling back to one request per
+  // account. Returns the events, the calendars fetched successfully and any errors. Events
+  // hidden by the filter rules are kept, so the event store can serve include_hidden reads.
+  async fetchEventsInRange(calendars, start, end) {
     // Try to get all events with just calendar IDs (no account ID)
-    const allCalendarIds = calendars.map(cal => cal.id).join(',');
     try {
       const events = await this.listEvents({
-        calendarIds: allCalendarIds,
+        calendarIds: calendars.map(cal => cal.id).join(','),
         start: start,
-        end: end
+        end: end,
+        includeHidden: true
       });
-      return events;
+      return { events, fetchedCalendarIds: calendars.map(cal => cal.id), errors: [] };
     } catch (error) {
-      // If that fails, fall back to querying by account
-      const allEvents = [];
-      const errors = [];
+      // Group calendars by account
+      const calendarsByAccount = {};
+      calendars.forEach(calendar => {
+        if (!calendarsByAccount[calendar.accountId]) {
+          calendarsByAccount[calendar.accountId] = [];
+        }
+        calendarsByAccount[calendar.accountId].push(calendar.id);
+      });
       
-      for (const accountId of Object.keys(calendarsByAccount)) {
-        const calendarIds = calendarsByAccount[accountId].join(',');
+      // If that fails, fall back to querying by account. The rate limiter bounds how
+      // many of these run at once.
+      const result = { events: [], fetchedCalendarIds: [], errors: [] };
+      
+      await Promise.all(Object.keys(calendarsByAccount).map(async accountId => {
         try {
           const events = await this.listEvents({
             accountId: accountId,
-            calendarIds: calendarIds,
+            calendarIds: calendarsByAccount[accountId].join(','),
             start: start,
-            end: end
+            end: end,
+            includeHidden: true
           });
-          allEvents.push(...events);
+          result.events.push(...events);
+          result.fetchedCalendarIds.push(...calendarsByAccount[accountId]);
         } catch (error) {
           console.error(`Error fetching events for account ${accountId}:`, error);
-          errors.push(`Account ${accountId}: ${error.message}`);
+          result.errors.push(`Account ${accountId}: ${error.message}`);
           // Continue with other accounts
         }
-      }
-    
-      // If all accounts failed, throw an error
-      if (allEvents.length === 0 && errors.length > 0) {
-        throw new Error(`Failed to fetch events from all accounts:\n${errors.join('\n')}`);
-      }
+      }));
       
-      return allEvents;
+      return result;
     }
   }
 
   async searchEvents(query, options = {}) {
+    const ranked = await this.findMatchingEvents(query, options);
+    
+    // Apply maxResults limit
+    const maxResults = options.maxResults || 20;
+    return ranked.slice(0, maxResults);
+  }
+
+  // All events matching a search query, most relevant first
+  async findMatchingEvents(query, options = {}) {
     try {
-      // Generate cache key for search
-      const cacheKey = `search:${query}:${SimpleCache.hashSearchOptions(options)}`;
+      // Default to the search window around now (30 days either way unless configured)
+      const start = options.startDate || this.getSearchWindow().start;
+      const end = options.endDate || this.getSearchWindow().end;
       
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
-      }
-      
-      // Set default date range if not provided (last 30 days to next 30 days)
-      const start = options.startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
-      const end = options.endDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+      // Get all events in the specified range (from the event store when already fetched),
+      // leaving out those hidden by the filter rules unless asked for them
+      const candidates = await this.getAllEventsInRange(start, end, { includeHidden: options.includeHidden });
       
-      // Get all events in the specified range
-      const allEvents = await this.getAllEventsInRange(start, end);
-      
-      // Filter events based on search query and exclude "Busy (via Morgen)" and "Untitled Event" events
-      const searchLower = query.toLowerCase();
-      const filtered = allEvents.filter(event => {
-        // Skip "Busy (via Morgen)" and "Untitled Event" events
-        if (event.title === 'Busy (via Morgen)' || event.title === 'Untitled Event') {
-          return false;
-        }
-        
-        const title = (event.title || '').toLowerCase();
-        const description = (event.description || '').toLowerCase();
-        const location = (event.location || '').toLowerCase();
-        
-        return title.includes(searchLower) || 
-               description.includes(searchLower) || 
-               location.includes(searchLower);
-      });
-      
-      // Apply maxResults limit
-      const maxResults = options.maxResults || 20;
-      const results = filtered.slice(0, maxResults);
-      
-      // Cache search results for 30 seconds
-      this.cache.set(cacheKey, results, 30);
-      
-      return results;
+      // Rank by relevance, keeping the score and highlighted matches with each event
+      const calendars = await this.listCalendars();
+      return rankEvents(candidates, query, calendars).map(result => ({
+        ...result.event,
+        search: { score: result.score, highlights: result.highlights }
+      }));
     } catch (error) {
       // Re-throw the error for proper error handling at the tool level
       throw error;
     }
   }
 
+  // Find free windows across calendars for a given meeting length
+  async findFreeSlots(options = {}) {
+    const timeZone = options.timeZone || this.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    
+    const durationMinutes = options.durationMinutes;
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1) {
+      throw new Error('durationMinutes must be a positive integer');
+    }
+    
+    const workingHoursStart = options.workingHoursStart || this.preferences.workingHoursStart;
+    const workingHoursEnd = options.workingHoursEnd || this.preferences.workingHoursEnd;
+    for (const time of [workingHoursStart, workingHoursEnd]) {
+      if (!/^([01]\d|2[0-4]):[0-5]\d$/.test(time)) {
+        throw new Error(`Invalid working hours time: ${time}. Use HH:MM format`);
+      }
+    }
+    if (workingHoursEnd <= workingHoursStart) {
+      throw new Error('Working hours end must be after working hours start');
+    }
+    
+    const startDate = options.startDate || getZonedDateString(new Date(), timeZone);
+    const endDate = options.endDate || startDate;
+    for (const date of [startDate, endDate]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new Error(`Invalid date: ${date}. Use YYYY-MM-DD format`);
+      }
+    }
+    if (endDate < startDate) {
+      throw new Error('endDate must not be before startDate');
+    }
+    
+    // Fetch every event overlapping the requested days in the user's time zone. Hidden
+    // calendars and events only hide from event views; they still take up time.
+    const range = getDayRange(startDate, endDate, timeZone);
+    let events = await this.getAllEventsInRange(range.start, range.end, { includeHidden: true });
+    
+    // Restrict to the requested calendars
+    const calendarIds = options.calendarIds;
+    if (calendarIds && calendarIds !== 'all' && calendarIds !== 'ALL') {
+      const wanted = calendarIds.split(',').map(id => id.trim());
+      events = events.filter(event => wanted.includes(event.calendarId));
+    }
+    
+    const slots = findFreeSlots(events, {
+      startDate,
+      endDate,
+      durationMinutes,
+      workingHoursStart,
+      workingHoursEnd,
+      timeZone,
+      bufferMinutes: options.bufferMinutes || 0,
+      includeWeekends: options.includeWeekends || false,
+      notBefore: Date.now()
+    });
+    
+    const maxResults = options.maxResults || 10;
+    return slots.slice(0, maxResults);
+  }
+
+  // Find overlapping events across calendars within a date range
+  async findConflicts(options = {}) {
+    const timeZone = options.timeZone || this.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    
+    const startDate = options.startDate || getZonedDateString(new Date(), timeZone);
+    const endDate = options.endDate || addDays(startDate, 6);
+    for (const date of [startDate, endDate]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new Error(`Invalid date: ${date}. Use YYYY-MM-DD format`);
+      }
+    }
+    if (endDate < startDate) {
+      throw new Error('endDate must not be before startDate');
+    }
+    
+    const range = getDayRange(startDate, endDate, timeZone);
+    const events = await this.getAllEventsInRange(range.start, range.end, { includeHidden: true });
+    
+    return findConflicts(events);
+  }
+
+  // Compare the schedule with a saved checkpoint, then move the checkpoint to now unless
+  // options.update is false. The first call for a checkpoint name only saves it.
+  // Options: name, startDate/endDate (YYYY-MM-DD, the range a new checkpoint covers), timeZone
+  async whatChanged(options = {}) {
+    const name = options.name || 'default';
+    const timeZone = options.timeZone || this.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    
+    // An existing checkpoint is compared over the range it was taken for
+    const checkpoint = await this.getCheckpoint(name);
+    let startDate;
+    let endDate;
+    if (checkpoint) {
+      ({ startDate, endDate } = checkpoint);
+    } else {
+      startDate = options.startDate || getZonedDateString(new Date(), timeZone);
+      endDate = options.endDate || addDays(startDate, 6);
+      for (const date of [startDate, endDate]) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+          throw new Error(`Invalid date: ${date}. Use YYYY-MM-DD format`);
+        }
+      }
+      if (endDate < startDate) {
+        throw new Error('endDate must not be before startDate');
+      }
+    }
+    
+    // Compare against a full fetch of the range, not whatever the event store last saw
+    const rangeTimeZone = checkpoint ? checkpoint.timeZone : timeZone;
+    const range = getDayRange(startDate, endDate, rangeTimeZone);
+    for (const calendar of await this.listCalendars()) {
+      this.invalidateEventCaches(calendar.id, range.start, range.end);
+    }
+    const events = snapshotEvents(await this.getAllEventsInRange(range.start, range.end));
+    
+    const result = {
+      name,
+      startDate,
+      endDate,
+      checkpointAt: checkpoint ? checkpoint.createdAt : null,
+      eventCount: events.length,
+      changes: checkpoint ? diffSnapshots(checkpoint.events, events) : null
+    };
+    
+    if (!checkpoint || options.update !== false) {
+      await this.saveCheckpoint(name, {
+        createdAt: new Date().toISOString(),
+        startDate,
+        endDate,
+        timeZone: rangeTimeZone,
+        events
+      });
+    }
+    return result;
+  }
+
+  async getCheckpoint(name) {
+    if (this.checkpoints.has(name)) {
+      return this.checkpoints.get(name);
+    }
+    if (this.diskCache) {
+      const stored = await this.diskCache.get(`checkpoint:${name}`).catch(() => null);
+      if (stored) {
+        this.checkpoints.set(name, stored.value);
+        return stored.value;
+      }
+    }
+    return null;
+  }
+
+  async saveCheckpoint(name, checkpoint) {
+    this.checkpoints.set(name, checkpoint);
+    if (this.diskCache) {
+      try {
+        // Keep checkpoints for 30 days (2592000 seconds)
+        await this.diskCache.set(`checkpoint:${name}`, checkpoint, 2592000);
+      } catch (error) {
+        console.error(`Failed to write checkpoint ${name} to disk cache:`, error.message);
+      }
+    }
+  }
+
+  // Busy events that overlap a proposed time window, e.g. before creating an event,
+  // including those hidden from event views
+  async getConflictingEvents(start, end) {
+    const events = await this.getAllEventsInRange(new Date(start).toISOString(), new Date(end).toISOString(), { includeHidden: true });
+    return findOverlappingEvents(events, start, end);
+  }
+
   // Helper method to get events for specific date ranges
-  async getTodayEvents() {
+  async getTodayEvents(timeZone = this.timeZone, options = {}) {
     try {
-      const cacheKey = 'events:today';
-      
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
-      }
-      
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      // "Today" runs from midnight to midnight in the user's time zone
+      const today = getZonedDateString(new Date(), timeZone);
+      const range = getDayRange(today, today, timeZone);
       
-      const events = await this.getAllEventsInRange(today.toISOString(), tomorrow.toISOString());
-      
-      // Cache for 2 minutes (120 seconds)
-      this.cache.set(cacheKey, events, 120);
-      
-      return events;
+      return await this.getAllEventsInRange(range.start, range.end, options);
     } catch (error) {
       console.error('Error in getTodayEvents:', error);
       // Return empty array for graceful degradation
@@ -375,90 +1476,60 @@ class MorgenAPIClient {
     }
   }
 
-  async getWeekEvents() {
+  async getWeekEvents(timeZone = this.timeZone, options = {}) {
+    // Organize events by day name, in order from the first day of the week
+    const weekStartDay = getWeekStartDay(this.preferences);
+    const eventsByDay = {};
+    for (let i = 0; i < 7; i++) {
+      eventsByDay[WEEKDAY_NAMES[(weekStartDay + i) % 7]] = [];
+    }
+    
     try {
-      const cacheKey = 'events:week';
+      const today = getZonedDateString(new Date(), timeZone);
       
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        return cached;
-      }
-      
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      // Get start of week (Monday)
-      const dayOfWeek = today.getDay();
-      const daysToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-      const monday = new Date(today);
-      monday.setDate(today.getDate() + daysToMonday);
+      // Get start of week (Monday unless configured otherwise)
+      const weekStart = addDays(today, -((getDayOfWeek(today) - weekStartDay + 7) % 7));
       
-      // Get end of week (Sunday)
-      const sunday = new Date(monday);
-      sunday.setDate(monday.getDate() + 7);
-      
-      const allEvents = await this.getAllEventsInRange(monday.toISOString(), sunday.toISOString());
-      
-      // Organize events by day name
-      const eventsByDay = {
-        'Monday': [],
-        'Tuesday': [],
-        'Wednesday': [],
-        'Thursday': [],
-        'Friday': [],
-        'Saturday': [],
-        'Sunday': []
-      };
+      // Get end of week (inclusive)
+      const weekEnd = addDays(weekStart, 6);
+      const range = getDayRange(weekStart, weekEnd, timeZone);
       
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+      const allEvents = await this.getAllEventsInRange(range.start, range.end, options);
       
       for (const event of allEvents) {
-        const eventDate = new Date(event.start);
-        const dayName = dayNames[eventDate.getDay()];
+        // Group by the weekday the event falls on in the user's time zone
+        const dayName = new Date(event.start).toLocaleDateString('en-US', { weekday: 'long', timeZone });
         if (eventsByDay[dayName]) {
           eventsByDay[dayName].push(event);
         }
       }
       
-      // Cache for 2 minutes (120 seconds)
-      this.cache.set(cacheKey, eventsByDay, 120);
-      
       return eventsByDay;
     } catch (error) {
       console.error('Error in getWeekEvents:', error);
-      // Return empty object for graceful degradation
-      return {
-        'Monday': [],
-        'Tuesday': [],
-        'Wednesday': [],
-        'Thursday': [],
-        'Friday': [],
-        'Saturday': [],
-        'Sunday': []
-      };
+      // Return empty days for graceful degradation
+      return eventsByDay;
     }
   }
 
   // New getEvents method with filtering support
   async getEvents(options = {}) {
     try {
-      const { accountId, startDate, endDate, calendarIds } = options;
+      const { accountId, startDate, endDate, calendarIds, includeHidden } = options;
       
       if (!startDate || !endDate || !calendarIds) {
         throw new Error('startDate, endDate, and calendarIds are required');
       }
       // accountId is now optional - the API can work with just calendar IDs
       
-      // Generate cache key based on parameters
+      // Repeated queries within a minute reuse the result; writes clear it (see invalidateEventCaches)
       const cacheKey = SimpleCache.generateEventKey('events:range', {
         accountId,
         startDate,
         endDate,
-        calendarIds: calendarIds || 'all'
+        calendarIds: calendarIds || 'all',
+        includeHidden: Boolean(includeHidden)
       });
-      
-      // Check cache first
       const cached = this.cache.get(cacheKey);
       if (cached) {
         return cached;
@@ -469,27 +1540,37 @@ class MorgenAPIClient {
       // Handle calendarIds filtering
       if (!calendarIds || calendarIds === 'all' || calendarIds === 'ALL') {
         // Get events from all calendars
-        events = await this.getAllEventsInRange(startDate, endDate);
+        events = await this.getAllEventsInRange(startDate, endDate, { includeHidden });
       } else {
         // Validate and process calendarIds
         if (typeof calendarIds !== 'string') {
           throw new Error('calendarIds must be a string. Use "all" for all calendars or comma-separated IDs like "cal-1,cal-2"');
         }
-        const listParams = {
-          start: startDate,
-          end: endDate,
-          calendarIds: calendarIds
-        };
-        // Only include accountId if it's provided
-        if (accountId) {
-          listParams.accountId = accountId;
+        
+        // Known calendars go through the event store; anything else is passed to the API as-is
+        const wanted = calendarIds.split(',').map(id => id.trim());
+        const calendars = (await this.listCalendars()).filter(cal => wanted.includes(cal.id));
+        if (calendars.length === wanted.length) {
+          events = await this.getStoredEvents(calendars, startDate, endDate);
+          if (!includeHidden) {
+            events = await this.applyFilterRules(events);
+          }
+        } else {
+          const listParams = {
+            start: startDate,
+            end: endDate,
+            calendarIds: calendarIds,
+            includeHidden
+          };
+          // Only include accountId if it's provided
+          if (accountId) {
+            listParams.accountId = accountId;
+          }
+          events = await this.listEvents(listParams);
         }
-        events = await this.listEvents(listParams);
       }
       
-      // Cache for 1 minute (60 seconds)
-      this.cache.set(cacheKey, events, 60);
-      
+      this.cache.set(cacheKey, events);
       return events;
     } catch (error) {
       console.error('Error in getEvents:', error);
@@ -498,4 +1579,5 @@ class MorgenAPIClient {
   }
 }
 
-module.exports = MorgenAPIClient;
\ No newline at end of file
+module.exports = MorgenAPIClient;
+module.exports.SERIES_UPDATE_MODES = SERIES_UPDATE_MODES;
\ No newline at end of file
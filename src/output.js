@@ -0,0 +1,472 @@
+// Machine-readable tool output. Every tool also returns its result as MCP structured
+// content, in the JSON shapes documented by the schemas below; output_format chooses how
+// the text content is rendered: the emoji text (default), that JSON, markdown tables, or
+// one compact line per item.
+
+const { getEventInterval, parseDurationMinutes } = require('./availability.js');
+const { describeRecurrence } = require('./recurrence.js');
+const { getAttendees } = require('./participants.js');
+const { formatDateTime, providerNames } = require('./formatters.js');
+
+const OUTPUT_FORMATS = ['text', 'json', 'markdown_table', 'compact'];
+
+const nullable = (type, description) => ({ type: [type, 'null'], ...(description && { description }) });
+const arrayOf = items => ({ type: 'array', items });
+
+const ATTENDEE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nullable('string'),
+    email: nullable('string'),
+    role: { type: 'string', enum: ['organizer', 'required', 'optional'] },
+    status: { type: 'string', description: 'needs-action, accepted, declined, tentative or delegated' }
+  },
+  required: ['name', 'email', 'role', 'status']
+};
+
+const EVENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: nullable('string'),
+    calendarId: nullable('string'),
+    accountId: nullable('string'),
+    title: { type: 'string' },
+    start: nullable('string', 'Start time as an ISO 8601 UTC timestamp'),
+    end: nullable('string', 'End time as an ISO 8601 UTC timestamp'),
+    allDay: { type: 'boolean' },
+    timeZone: nullable('string', 'Time zone the event is scheduled in'),
+    location: nullable('string'),
+    description: nullable('string'),
+    recurrence: nullable('string', 'How the event repeats, e.g. "Every week on Monday"'),
+    recurrenceId: nullable('string', 'Original start of this occurrence of a recurring event'),
+    attendees: arrayOf(ATTENDEE_SCHEMA),
+    relevance: { type: 'number', description: 'Search relevance score (search_events only)' },
+    matches: {
+      ...arrayOf({
+        type: 'object',
+        properties: { field: { type: 'string' }, text: { type: 'string' } },
+        required: ['field', 'text']
+      }),
+      description: 'Matched fields with the matching text in **bold** (search_events only)'
+    }
+  },
+  required: ['id', 'calendarId', 'accountId', 'title', 'start', 'end', 'allDay', 'timeZone',
+    'location', 'description', 'recurrence', 'recurrenceId', 'attendees']
+};
+
+const CALENDAR_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    accountId: nullable('string'),
+    color: nullable('string'),
+    timeZone: nullable('string')
+  },
+  required: ['id', 'name', 'accountId', 'color', 'timeZone']
+};
+
+const ACCOUNT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    email: nullable('string'),
+    provider: nullable('string', 'Integration ID, e.g. "google" or "o365"'),
+    providerName: nullable('string', 'Display name, e.g. "Google Calendar"')
+  },
+  required: ['id', 'email', 'provider', 'providerName']
+};
+
+const TASK_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: nullable('string'),
+    title: { type: 'string' },
+    completed: { type: 'boolean' },
+    due: nullable('string', 'Due date; without an offset it is local to timeZone'),
+    timeZone: nullable('string'),
+    priority: nullable('integer', 'iCalendar priority: 1 is highest, 9 is lowest'),
+    estimatedMinutes: nullable('integer'),
+    taskListId: nullable('string'),
+    description: nullable('string')
+  },
+  required: ['id', 'title', 'completed', 'due', 'timeZone', 'priority', 'estimatedMinutes', 'taskListId', 'description']
+};
+
+const SLOT_SCHEMA = {
+  type: 'object',
+  properties: {
+    start: { type: 'string' },
+    end: { type: 'string' },
+    durationMinutes: { type: 'integer' }
+  },
+  required: ['start', 'end', 'durationMinutes']
+};
+
+const CONFLICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    overlapStart: { type: 'string' },
+    overlapEnd: { type: 'string' },
+    overlapMinutes: { type: 'integer' },
+    events: arrayOf(EVENT_SCHEMA)
+  },
+  required: ['overlapStart', 'overlapEnd', 'overlapMinutes', 'events']
+};
+
+const SNAPSHOT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    recurrenceId: nullable('string', 'Original start of this occurrence of a recurring event'),
+    calendarId: nullable('string'),
+    title: { type: 'string' },
+    location: { type: 'string' },
+    start: nullable('string'),
+    end: nullable('string'),
+    attendees: arrayOf({ type: 'string' })
+  },
+  required: ['id', 'title', 'start', 'end']
+};
+
+const objectSchema = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+const TIME_ZONE = { type: 'string' };
+const PAGE = {
+  total: { type: 'integer', description: 'Number of results across all pages' },
+  offset: { type: 'integer', description: 'Position of the first result of this page' },
+  nextCursor: nullable('string', 'Pass as cursor to get the next page; null on the last page')
+};
+const TASK_RESULT = objectSchema({ task: TASK_SCHEMA });
+const EVENTS = arrayOf(EVENT_SCHEMA);
+
+// How natural-language dates and calendar or account names in the arguments were read
+const INTERPRETED_SCHEMA = {
+  ...arrayOf(objectSchema({
+    argument: { type: 'string' },
+    expression: { type: 'string', description: 'The argument as given, e.g. "next Tuesday at 3" or "work"' },
+    value: { type: 'string', description: 'What it was read as: a date, an ISO date-time, or calendar or account IDs' }
+  })),
+  description: 'Arguments given as date phrases or names, and what they were read as; absent when there were none'
+};
+
+// Structured content returned by each tool
+const OUTPUT_SCHEMAS = {
+  list_calendars: objectSchema({ calendars: arrayOf(CALENDAR_SCHEMA) }),
+  list_accounts: objectSchema({ accounts: arrayOf(ACCOUNT_SCHEMA) }),
+  get_today_events: objectSchema({ timeZone: TIME_ZONE, events: EVENTS }),
+  get_week_events: objectSchema({ timeZone: TIME_ZONE, events: EVENTS }),
+  get_events: objectSchema({ timeZone: TIME_ZONE, events: EVENTS, ...PAGE }),
+  search_events: objectSchema({ query: { type: 'string' }, timeZone: TIME_ZONE, events: EVENTS, ...PAGE }),
+  find_free_slots: objectSchema({ timeZone: TIME_ZONE, durationMinutes: { type: 'integer' }, slots: arrayOf(SLOT_SCHEMA) }),
+  find_conflicts: objectSchema({ timeZone: TIME_ZONE, conflicts: arrayOf(CONFLICT_SCHEMA) }),
+  export_events: objectSchema({
+    eventCount: { type: 'integer' },
+    filePath: nullable('string', 'File the calendar was written to'),
+    ics: nullable('string', 'The iCalendar text; null when written to a file')
+  }),
+  import_ics: objectSchema({
+    calendarId: { type: 'string' },
+    created: { type: 'integer' },
+    skipped: { type: 'integer' },
+    failed: { type: 'integer' },
+    results: arrayOf(objectSchema({
+      status: { type: 'string', enum: ['created', 'skipped', 'failed'] },
+      uid: nullable('string'),
+      title: { type: 'string' },
+      start: nullable('string', 'Start as written in the file, as a LocalDateTime'),
+      eventId: nullable('string', 'ID of the created event'),
+      reason: nullable('string', 'Why the event was skipped or failed')
+    }))
+  }),
+  what_changed: objectSchema({
+    checkpoint: { type: 'string' },
+    startDate: { type: 'string' },
+    endDate: { type: 'string' },
+    checkpointAt: nullable('string', 'When the compared checkpoint was taken; null when it was just created'),
+    eventCount: { type: 'integer' },
+    changes: {
+      type: ['object', 'null'],
+      properties: {
+        added: arrayOf(SNAPSHOT_SCHEMA),
+        removed: arrayOf(SNAPSHOT_SCHEMA),
+        rescheduled: arrayOf(objectSchema({ before: SNAPSHOT_SCHEMA, after: SNAPSHOT_SCHEMA })),
+        edited: arrayOf(objectSchema({ before: SNAPSHOT_SCHEMA, after: SNAPSHOT_SCHEMA, fields: arrayOf({ type: 'object' }) }))
+      },
+      description: 'null when the checkpoint was just created'
+    }
+  }),
+  list_tasks: objectSchema({ total: { type: 'integer' }, tasks: arrayOf(TASK_SCHEMA) }),
+  create_task: TASK_RESULT,
+  update_task: TASK_RESULT,
+  complete_task: objectSchema({ taskId: { type: 'string' }, status: { type: 'string', enum: ['completed'] } }),
+  delete_task: objectSchema({ taskId: { type: 'string' }, status: { type: 'string', enum: ['deleted'] } }),
+  create_event: objectSchema({
+    created: { type: 'boolean' },
+    event: { ...EVENT_SCHEMA, type: ['object', 'null'], description: 'null when not created because of a conflict' },
+    conflicts: { ...EVENTS, description: 'Existing events the new event overlaps' },
+    conflictCheckError: nullable('string', 'Why the overlap check could not run (the event was created without it)')
+  }),
+  update_event: objectSchema({ event: EVENT_SCHEMA }),
+  delete_event: objectSchema({
+    eventId: { type: 'string' },
+    scope: { type: 'string', enum: ['single', 'future', 'all'] },
+    dryRun: { type: 'boolean' },
+    events: { ...EVENTS, description: 'Events a dry run would delete (empty otherwise)' },
+    checkedRange: {
+      type: ['object', 'null'],
+      properties: { start: { type: 'string' }, end: { type: 'string' } },
+      description: 'Range a dry run listed series occurrences from; occurrences outside it are deleted too (null otherwise)'
+    }
+  }),
+  get_diagnostics: objectSchema({ diagnostics: { type: 'object' } })
+};
+
+function toISOString(timestamp) {
+  return timestamp === undefined ? null : new Date(timestamp).toISOString();
+}
+
+function serializeEvent(event) {
+  const interval = getEventInterval(event);
+  const result = {
+    id: event.id || null,
+    calendarId: event.calendarId || null,
+    accountId: event.accountId || null,
+    title: event.title || 'Untitled Event',
+    start: toISOString(interval?.start),
+    end: toISOString(interval?.end),
+    allDay: Boolean(event.showWithoutTime),
+    timeZone: event.timeZone || null,
+    location: event.location || null,
+    description: event.description || null,
+    recurrence: describeRecurrence(event),
+    recurrenceId: event.recurrenceId || null,
+    attendees: getAttendees(event)
+  };
+  if (event.search) {
+    result.relevance = event.search.score;
+    result.matches = event.search.highlights;
+  }
+  return result;
+}
+
+function serializeCalendar(calendar) {
+  return {
+    id: calendar.id,
+    name: calendar.name || 'Unnamed Calendar',
+    accountId: calendar.accountId || null,
+    color: calendar.color || null,
+    timeZone: calendar.timeZone || null
+  };
+}
+
+function serializeAccount(account) {
+  return {
+    id: account.id,
+    email: account.email || null,
+    provider: account.integrationId || null,
+    providerName: account.integrationId ? providerNames[account.integrationId] || account.integrationId : null
+  };
+}
+
+function serializeTask(task) {
+  return {
+    id: task.id || null,
+    title: task.title || 'Untitled Task',
+    completed: task.progress === 'completed',
+    due: task.due || null,
+    timeZone: task.timeZone || null,
+    priority: task.priority || null,
+    estimatedMinutes: parseDurationMinutes(task.estimatedDuration) || null,
+    taskListId: task.taskListId || null,
+    description: task.description || null
+  };
+}
+
+function serializeConflict(conflict) {
+  return { ...conflict, events: conflict.events.map(serializeEvent) };
+}
+
+// Table columns for each kind of item: [heading, value(item, timeZone)]
+const formatTime = (value, timeZone) => (value ? formatDateTime(value, timeZone) : '');
+const COLUMNS = {
+  events: [
+    ['Start', (event, timeZone) => formatTime(event.start, timeZone)],
+    ['End', (event, timeZone) => formatTime(event.end, timeZone)],
+    ['Title', event => event.title],
+    ['Location', event => event.location],
+    ['Calendar ID', event => event.calendarId],
+    ['ID', event => event.id]
+  ],
+  calendars: [
+    ['Name', calendar => calendar.name],
+    ['ID', calendar => calendar.id],
+    ['Account ID', calendar => calendar.accountId],
+    ['Color', calendar => calendar.color],
+    ['Time Zone', calendar => calendar.timeZone]
+  ],
+  accounts: [
+    ['Email', account => account.email],
+    ['Provider', account => account.providerName],
+    ['ID', account => account.id]
+  ],
+  tasks: [
+    ['Done', task => (task.completed ? 'yes' : 'no')],
+    ['Title', task => task.title],
+    ['Due', task => task.due],
+    ['Priority', task => task.priority],
+    ['List ID', task => task.taskListId],
+    ['ID', task => task.id]
+  ],
+  slots: [
+    ['Start', (slot, timeZone) => formatTime(slot.start, timeZone)],
+    ['End', (slot, timeZone) => formatTime(slot.end, timeZone)],
+    ['Minutes', slot => slot.durationMinutes]
+  ],
+  conflicts: [
+    ['Overlap Start', (conflict, timeZone) => formatTime(conflict.overlapStart, timeZone)],
+    ['Overlap End', (conflict, timeZone) => formatTime(conflict.overlapEnd, timeZone)],
+    ['Minutes', conflict => conflict.overlapMinutes],
+    ['Events', conflict => conflict.events.map(event => `${event.title} (${event.id})`).join(', ')]
+  ],
+  results: [
+    ['Status', result => result.status],
+    ['Title', result => result.title],
+    ['Start', result => result.start],
+    ['Event ID', result => result.eventId],
+    ['Reason', result => result.reason]
+  ],
+  changes: [
+    ['Change', change => change.change],
+    ['Title', change => change.title],
+    ['Start', (change, timeZone) => formatTime(change.start, timeZone)],
+    ['Details', change => change.details],
+    ['ID', change => change.id]
+  ]
+};
+
+// Single items are shown as a one-row table of their kind
+const SINGLE_ITEMS = { event: 'events', task: 'tasks' };
+
+// One row per schedule change, for tables
+function flattenChanges(changes) {
+  const describeField = field => (field.field === 'attendees'
+    ? `attendees ${[...field.added.map(email => `+${email}`), ...field.removed.map(email => `-${email}`)].join(' ')}`
+    : `${field.field}: ${field.from || '(none)'} → ${field.to || '(none)'}`);
+
+  return [
+    ...changes.added.map(event => ({ change: 'added', ...event, details: '' })),
+    ...changes.removed.map(event => ({ change: 'removed', ...event, details: '' })),
+    ...changes.rescheduled.map(({ before, after }) => ({
+      change: 'rescheduled', ...after, details: `was ${before.start}`
+    })),
+    ...changes.edited.map(({ after, fields }) => ({
+      change: 'edited', ...after, details: fields.map(describeField).join('; ')
+    }))
+  ];
+}
+
+// Scalars keyed by dotted path, e.g. { 'cache.hits': 3 }
+function flattenObject(value, prefix = '') {
+  const entries = [];
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      entries.push(...flattenObject(child, path));
+    } else if (!Array.isArray(child)) {
+      entries.push([path, child]);
+    }
+  }
+  return entries;
+}
+
+// Split a structured result into summary fields and lists of items
+function getSections(data) {
+  const summary = [];
+  const lists = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (COLUMNS[key] && Array.isArray(value)) {
+      lists.push([key, value]);
+    } else if (SINGLE_ITEMS[key]) {
+      lists.push([SINGLE_ITEMS[key], value ? [value] : []]);
+    } else if (key === 'changes') {
+      if (value) lists.push(['changes', flattenChanges(value)]);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      summary.push(...flattenObject(value, key === 'diagnostics' ? '' : key));
+    } else if (!Array.isArray(value)) {
+      summary.push([key, value]);
+    }
+  }
+  return { summary, lists };
+}
+
+const cellText = value => (value === null || value === undefined ? '' : String(value));
+
+function renderMarkdownTables(data, timeZone) {
+  const escape = value => cellText(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const { summary, lists } = getSections(data);
+  const blocks = [];
+
+  if (summary.length > 0) {
+    blocks.push(['| Field | Value |', '| --- | --- |', ...summary.map(([key, value]) => `| ${key} | ${escape(value)} |`)].join('\n'));
+  }
+  for (const [kind, items] of lists) {
+    if (items.length === 0) {
+      blocks.push(`_No ${kind}_`);
+      continue;
+    }
+    const columns = COLUMNS[kind];
+    blocks.push([
+      `| ${columns.map(([heading]) => heading).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...items.map(item => `| ${columns.map(([, value]) => escape(value(item, timeZone))).join(' | ')} |`)
+    ].join('\n'));
+  }
+  return blocks.join('\n\n');
+}
+
+function renderCompact(data, timeZone) {
+  const { summary, lists } = getSections(data);
+  const lines = [];
+
+  if (summary.length > 0) {
+    lines.push(summary.map(([key, value]) => `${key}=${cellText(value)}`).join(' '));
+  }
+  for (const [kind, items] of lists) {
+    for (const item of items) {
+      lines.push(COLUMNS[kind]
+        .map(([, value]) => cellText(value(item, timeZone)).replace(/\s*\n\s*/g, ' '))
+        .filter(Boolean)
+        .join(' | '));
+    }
+  }
+  return lines.join('\n');
+}
+
+// Text content of a tool result in the requested format
+function renderOutput(format, text, data, timeZone) {
+  switch (format || 'text') {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'markdown_table':
+      return renderMarkdownTables(data, timeZone);
+    case 'compact':
+      return renderCompact(data, timeZone);
+    default:
+      return text;
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  OUTPUT_SCHEMAS,
+  INTERPRETED_SCHEMA,
+  EVENT_SCHEMA,
+  CALENDAR_SCHEMA,
+  ACCOUNT_SCHEMA,
+  serializeEvent,
+  serializeCalendar,
+  serializeAccount,
+  serializeTask,
+  serializeConflict,
+  renderOutput
+};
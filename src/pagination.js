@@ -0,0 +1,67 @@
+// Cursor-based paging through long result lists. A cursor is an opaque token recording
+// where the previous page ended and a fingerprint of the query it came from, so it
+// cannot be used to page through a different query.
+
+const crypto = require('crypto');
+
+const CURSOR_VERSION = 1;
+
+// Short, stable hash of the parameters that define a result list
+function fingerprint(query) {
+  const canonical = JSON.stringify(query, Object.keys(query).sort());
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 12);
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    state = null;
+  }
+  if (!state || state.v !== CURSOR_VERSION || !Number.isInteger(state.offset) || state.offset < 0) {
+    throw new Error('Invalid cursor. Use the cursor returned by the previous page, or omit it to start over');
+  }
+  return state;
+}
+
+// Events are identified by ID, and occurrences of a recurring event by their start
+function eventKey(event) {
+  return `${event.id}|${event.recurrenceId || event.start}`;
+}
+
+// Return one page of items. The page starts right after the item the cursor's page ended
+// with, so events added or removed earlier in the list do not shift the next page; if that
+// item is gone, the cursor's offset is used instead. Returns
+// { items, total, offset, nextCursor } where nextCursor is null on the last page.
+function paginate(items, options = {}) {
+  const pageSize = options.pageSize || 20;
+  const keyOf = options.keyOf || eventKey;
+  const queryHash = fingerprint(options.query || {});
+
+  let offset = 0;
+  if (options.cursor) {
+    const state = decodeCursor(options.cursor);
+    if (state.query !== queryHash) {
+      throw new Error('Cursor belongs to a different query. Repeat the original parameters with the cursor, or omit it to start over');
+    }
+    const anchor = state.after ? items.findIndex(item => keyOf(item) === state.after) : -1;
+    offset = anchor !== -1 ? anchor + 1 : Math.min(state.offset, items.length);
+  }
+
+  const page = items.slice(offset, offset + pageSize);
+  const end = offset + page.length;
+  const nextCursor = end < items.length
+    ? encodeCursor({ offset: end, after: keyOf(page[page.length - 1]), query: queryHash })
+    : null;
+
+  return { items: page, total: items.length, offset, nextCursor };
+}
+
+module.exports = {
+  paginate
+};
@@ -0,0 +1,94 @@
+// Helpers for translating attendees to and from Morgen's participant format.
+// Morgen follows JSCalendar (RFC 8984): an event carries a `participants` map keyed by
+// participant ID, and `scheduleAgent` controls whether the server sends invitations.
+
+const ATTENDEE_ROLES = ['required', 'optional'];
+
+const RSVP_LABELS = {
+  'needs-action': 'awaiting response',
+  'accepted': 'accepted',
+  'declined': 'declined',
+  'tentative': 'maybe',
+  'delegated': 'delegated'
+};
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Build Morgen's participants map from attendees: [{ email, name, role }]
+function buildParticipants(attendees, sendInvitations = true) {
+  const participants = {};
+
+  for (const attendee of attendees) {
+    if (!isValidEmail(attendee.email)) {
+      throw new Error(`Invalid attendee email: ${attendee.email}`);
+    }
+
+    const role = attendee.role || 'required';
+    if (!ATTENDEE_ROLES.includes(role)) {
+      throw new Error(`Invalid attendee role: ${role}. Use one of: ${ATTENDEE_ROLES.join(', ')}`);
+    }
+
+    const roles = { attendee: true };
+    if (role === 'optional') {
+      roles.optional = true;
+    }
+
+    const participant = {
+      '@type': 'Participant',
+      email: attendee.email,
+      sendTo: { imip: `mailto:${attendee.email}` },
+      roles,
+      participationStatus: 'needs-action',
+      expectReply: sendInvitations,
+      scheduleAgent: sendInvitations ? 'server' : 'none'
+    };
+
+    if (attendee.name) {
+      participant.name = attendee.name;
+    }
+
+    participants[attendee.email.toLowerCase()] = participant;
+  }
+
+  return participants;
+}
+
+// Participants as plain objects: [{ name, email, role, status }]
+function getAttendees(event) {
+  return Object.values(event.participants || {}).map(participant => {
+    const roles = participant.roles || {};
+    let role = 'required';
+    if (roles.owner) {
+      role = 'organizer';
+    } else if (roles.optional) {
+      role = 'optional';
+    }
+
+    return {
+      name: participant.name || null,
+      email: participant.email || (participant.sendTo?.imip || '').replace(/^mailto:/, '') || null,
+      role,
+      status: participant.participationStatus || 'needs-action'
+    };
+  });
+}
+
+// One line per participant, e.g. "Jane Doe <jane@example.com> (optional) - accepted"
+function describeParticipants(event) {
+  return getAttendees(event).map(attendee => {
+    const name = attendee.name && attendee.email
+      ? `${attendee.name} <${attendee.email}>`
+      : attendee.name || attendee.email || 'Unknown participant';
+
+    return `${name} (${attendee.role}) - ${RSVP_LABELS[attendee.status] || attendee.status}`;
+  });
+}
+
+module.exports = {
+  ATTENDEE_ROLES,
+  buildParticipants,
+  getAttendees,
+  describeParticipants
+};
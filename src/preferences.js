@@ -0,0 +1,157 @@
+// User preferences: the default calendar and event length, working hours, the first day of
+// the week, time zone, locale, calendars hidden from event views, the search window and the
+// rules hiding events from views (see event-filters.js).
+// They come from the extension settings (passed in as MORGEN_* environment variables) and
+// an optional JSON file; a setting made in the extension overrides the same one in the file.
+//
+//   {
+//     "default_calendar": "Work",
+//     "default_duration_minutes": 30,
+//     "working_hours_start": "08:30",
+//     "working_hours_end": "18:00",
+//     "week_start": "sunday",
+//     "time_zone": "Europe/Berlin",
+//     "locale": "de-DE",
+//     "hidden_calendars": ["Birthdays", "Holidays in Germany"],
+//     "search_window_days": 60,
+//     "filter_rules": [{ "title": "Busy (via Morgen)" }, { "rsvp": "declined" }]
+//   }
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSystemTimeZone, isValidTimeZone } = require('./timezone.js');
+const { DEFAULT_FILTER_RULES, parseFilterRules } = require('./event-filters.js');
+
+const DEFAULT_PREFERENCES_FILE = path.join(os.homedir(), '.morgen-calendar.json');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function defaultPreferences() {
+  return {
+    defaultCalendar: null,
+    defaultDurationMinutes: 60,
+    workingHoursStart: '09:00',
+    workingHoursEnd: '17:00',
+    weekStart: 'monday',
+    timeZone: getSystemTimeZone(),
+    locale: 'en-US',
+    hiddenCalendars: [],
+    searchWindowDays: 30,
+    filterRules: DEFAULT_FILTER_RULES
+  };
+}
+
+const isTime = value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+const isLocale = value => {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(value).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Filter rules as JSON text or a list; invalid rules are reported with the reason
+const toFilterRules = value => {
+  try {
+    return parseFilterRules(value);
+  } catch (error) {
+    console.error(`Warning: ${error.message}`);
+    return null;
+  }
+};
+
+const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Each preference with its file key, environment variable, parser and validity check
+const SETTINGS = {
+  defaultCalendar: { key: 'default_calendar', env: 'MORGEN_DEFAULT_CALENDAR', parse: String, valid: value => value.trim() !== '' },
+  defaultDurationMinutes: { key: 'default_duration_minutes', env: 'MORGEN_DEFAULT_DURATION', parse: Number, valid: value => Number.isInteger(value) && value > 0 },
+  workingHoursStart: { key: 'working_hours_start', env: 'MORGEN_WORKING_HOURS_START', parse: String, valid: isTime },
+  workingHoursEnd: { key: 'working_hours_end', env: 'MORGEN_WORKING_HOURS_END', parse: String, valid: isTime },
+  weekStart: { key: 'week_start', env: 'MORGEN_WEEK_START', parse: value => String(value).toLowerCase(), valid: value => WEEKDAYS.includes(value) },
+  timeZone: { key: 'time_zone', env: 'MORGEN_TIME_ZONE', parse: String, valid: isValidTimeZone },
+  locale: { key: 'locale', env: 'MORGEN_LOCALE', parse: String, valid: isLocale },
+  hiddenCalendars: { key: 'hidden_calendars', env: 'MORGEN_HIDDEN_CALENDARS', parse: toList, valid: Array.isArray },
+  searchWindowDays: { key: 'search_window_days', env: 'MORGEN_SEARCH_WINDOW_DAYS', parse: Number, valid: value => Number.isInteger(value) && value > 0 },
+  filterRules: { key: 'filter_rules', env: 'MORGEN_FILTER_RULES', parse: toFilterRules, valid: Array.isArray }
+};
+
+// Read the preferences file; a missing file is fine, an unreadable one is reported and ignored
+function readPreferencesFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (required || error.code !== 'ENOENT') {
+      console.error(`Warning: could not read preferences file ${file}: ${error.message}`);
+    }
+    return {};
+  }
+
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (error) {
+    values = null;
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    console.error(`Warning: preferences file ${file} is not a JSON object, ignoring it`);
+    return {};
+  }
+  return values;
+}
+
+// Load the preferences from the environment and the preferences file (MORGEN_PREFERENCES_FILE,
+// or ~/.morgen-calendar.json). Invalid values are reported and replaced by the default.
+function loadPreferences(env = process.env) {
+  const file = env.MORGEN_PREFERENCES_FILE || DEFAULT_PREFERENCES_FILE;
+  const fromFile = readPreferencesFile(file, Boolean(env.MORGEN_PREFERENCES_FILE));
+  const preferences = defaultPreferences();
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const sources = [
+      { label: setting.env, value: env[setting.env] },
+      { label: `${setting.key} in ${file}`, value: fromFile[setting.key] }
+    ];
+    const source = sources.find(candidate => candidate.value !== undefined && candidate.value !== null && candidate.value !== '');
+    if (!source) continue;
+
+    const value = setting.parse(source.value);
+    if (setting.valid(value)) {
+      preferences[name] = value;
+    } else {
+      const text = typeof source.value === 'string' ? source.value : JSON.stringify(source.value);
+      console.error(`Warning: invalid ${source.label} ${JSON.stringify(text)}, using ${JSON.stringify(preferences[name])}`);
+    }
+  }
+
+  if (preferences.workingHoursEnd <= preferences.workingHoursStart) {
+    console.error(`Warning: working hours end ${preferences.workingHoursEnd} is not after the start, using 09:00-17:00`);
+    preferences.workingHoursStart = '09:00';
+    preferences.workingHoursEnd = '17:00';
+  }
+
+  return preferences;
+}
+
+// Day of week (0 = Sunday) weeks start on
+function getWeekStartDay(preferences) {
+  return WEEKDAYS.indexOf(preferences.weekStart);
+}
+
+// Whether a calendar is hidden from event views, by ID or by name (case-insensitive)
+function isHiddenCalendar(calendar, preferences) {
+  const name = String(calendar.name || '').toLowerCase();
+  return preferences.hiddenCalendars.some(hidden => hidden === calendar.id || hidden.toLowerCase() === name);
+}
+
+module.exports = {
+  defaultPreferences,
+  loadPreferences,
+  getWeekStartDay,
+  isHiddenCalendar
+};
@@ -0,0 +1,88 @@
+// Client-side request budget: a token bucket shared by all requests plus a bounded
+// concurrency queue, so bursts of tool calls do not trip the API's rate limits.
+class RateLimiter {
+  constructor(options = {}) {
+    this.capacity = options.capacity || 20;
+    this.refillPerSecond = options.refillPerSecond || 5;
+    this.maxConcurrent = options.maxConcurrent || 4;
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  // Run a task once a concurrency slot and a token are available
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  // Hold all requests until the given time, e.g. when the server reports an exhausted budget
+  pauseUntil(timestamp) {
+    this.pausedUntil = Math.max(this.pausedUntil, timestamp);
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  drain() {
+    // A wake-up is already pending
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        this.wakeAfter(this.pausedUntil - now);
+        return;
+      }
+
+      this.refill();
+      if (this.tokens < 1) {
+        this.wakeAfter(Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000));
+        return;
+      }
+
+      this.tokens -= 1;
+      this.active++;
+      const { task, resolve, reject } = this.queue.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  wakeAfter(ms) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, ms);
+  }
+
+  stats() {
+    this.refill();
+    return {
+      tokens: Math.floor(this.tokens),
+      capacity: this.capacity,
+      refillPerSecond: this.refillPerSecond,
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      queued: this.queue.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,169 @@
+// Helpers for translating recurrence specs to and from Morgen's recurrence format.
+// Morgen follows JSCalendar (RFC 8984): an event carries `recurrenceRules` and
+// `recurrenceOverrides`, where an override of `{ excluded: true }` skips an occurrence.
+
+const { toZonedLocalDateTime } = require('./timezone.js');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const DAY_CODES = ['mo', 'tu', 'we', 'th', 'fr', 'sa', 'su'];
+
+const DAY_NAMES = {
+  'mo': 'Mon',
+  'tu': 'Tue',
+  'we': 'Wed',
+  'th': 'Thu',
+  'fr': 'Fri',
+  'sa': 'Sat',
+  'su': 'Sun'
+};
+
+const FREQUENCY_UNITS = {
+  'daily': 'day',
+  'weekly': 'week',
+  'monthly': 'month',
+  'yearly': 'year'
+};
+
+// Accept RRULE codes ("TU"), short names ("Tue") and full names ("Tuesday")
+function normalizeDay(day) {
+  const code = String(day).trim().toLowerCase().slice(0, 2);
+  if (!DAY_CODES.includes(code)) {
+    throw new Error(`Invalid recurrence day: ${day}. Use MO, TU, WE, TH, FR, SA or SU`);
+  }
+  return code;
+}
+
+// Convert a date or ISO date-time to a Morgen LocalDateTime ("2025-07-02T15:30:00")
+function toLocalDateTime(value, defaultTime = '00:00:00') {
+  const str = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    return `${str}T${defaultTime}`;
+  }
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(str)) {
+    return str.length >= 19 ? str.slice(0, 19) : `${str.slice(0, 16)}:00`;
+  }
+  throw new Error(`Invalid recurrence date: ${value}. Use YYYY-MM-DD or ISO format`);
+}
+
+// LocalDateTime in the event's time zone; date-times with a Z or offset are converted to it
+function toEventLocalDateTime(value, timeZone, defaultTime) {
+  toLocalDateTime(value, defaultTime);
+  return toZonedLocalDateTime(value, timeZone, defaultTime);
+}
+
+// Build Morgen's recurrenceRules/recurrenceOverrides from a recurrence spec:
+// { frequency, interval, byDay, count, until, exceptions }. Occurrences are keyed by
+// their LocalDateTime in the event's time zone.
+function buildRecurrence(recurrence, start, timeZone = 'UTC') {
+  const frequency = String(recurrence.frequency || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Invalid recurrence frequency: ${recurrence.frequency}. Use one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = {
+    '@type': 'RecurrenceRule',
+    frequency
+  };
+
+  if (recurrence.interval !== undefined) {
+    if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1) {
+      throw new Error('Recurrence interval must be a positive integer');
+    }
+    rule.interval = recurrence.interval;
+  }
+
+  if (recurrence.byDay && recurrence.byDay.length > 0) {
+    rule.byDay = recurrence.byDay.map(day => ({ '@type': 'NDay', day: normalizeDay(day) }));
+  }
+
+  if (recurrence.count !== undefined && recurrence.until !== undefined) {
+    throw new Error('Recurrence can have either count or until, not both');
+  }
+
+  if (recurrence.count !== undefined) {
+    if (!Number.isInteger(recurrence.count) || recurrence.count < 1) {
+      throw new Error('Recurrence count must be a positive integer');
+    }
+    rule.count = recurrence.count;
+  }
+
+  if (recurrence.until !== undefined) {
+    rule.until = toEventLocalDateTime(recurrence.until, timeZone, '23:59:59');
+  }
+
+  const payload = { recurrenceRules: [rule] };
+
+  // Exceptions are keyed by the occurrence's original start time
+  if (recurrence.exceptions && recurrence.exceptions.length > 0) {
+    const startTime = toEventLocalDateTime(start, timeZone).slice(11);
+    payload.recurrenceOverrides = {};
+    for (const exception of recurrence.exceptions) {
+      payload.recurrenceOverrides[toEventLocalDateTime(exception, timeZone, startTime)] = { excluded: true };
+    }
+  }
+
+  return payload;
+}
+
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function formatShortDate(value) {
+  // LocalDateTime values carry no zone, so read them as UTC to keep the calendar date
+  const str = String(value);
+  const date = new Date(/(Z|[+-]\d{2}:\d{2})$/.test(str) || str.length <= 10 ? str : `${str}Z`);
+  if (isNaN(date)) return value;
+
+  const options = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  if (date.getUTCFullYear() !== new Date().getUTCFullYear()) {
+    options.year = 'numeric';
+  }
+  return date.toLocaleDateString('en-US', options);
+}
+
+// Human-readable summary of an event's recurrence, e.g. "Every Tue and Thu until Dec 31"
+function describeRecurrence(event) {
+  const rule = event.recurrenceRules && event.recurrenceRules[0];
+  if (!rule || !rule.frequency) return null;
+
+  const unit = FREQUENCY_UNITS[rule.frequency] || rule.frequency;
+  const interval = rule.interval || 1;
+  const days = (rule.byDay || []).map(nday => DAY_NAMES[nday.day] || nday.day);
+
+  let summary;
+  if (rule.frequency === 'weekly' && days.length > 0) {
+    summary = interval === 1
+      ? `Every ${joinList(days)}`
+      : `Every ${interval} weeks on ${joinList(days)}`;
+  } else {
+    summary = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    if (days.length > 0) {
+      summary += ` on ${joinList(days)}`;
+    }
+  }
+
+  if (rule.count) {
+    summary += `, ${rule.count} time${rule.count !== 1 ? 's' : ''}`;
+  } else if (rule.until) {
+    summary += ` until ${formatShortDate(rule.until)}`;
+  }
+
+  const excluded = Object.entries(event.recurrenceOverrides || {})
+    .filter(([, override]) => override && override.excluded)
+    .map(([recurrenceId]) => formatShortDate(recurrenceId));
+  if (excluded.length > 0) {
+    summary += ` (except ${joinList(excluded)})`;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  FREQUENCIES,
+  normalizeDay,
+  buildRecurrence,
+  describeRecurrence
+};
@@ -0,0 +1,89 @@
+// Schedule snapshots and the differences between them, for "what changed since..." questions
+
+const { getEventInterval } = require('./availability.js');
+const EventStore = require('./event-store.js');
+
+// Reduce an event to the fields compared between snapshots
+function snapshotEvent(event) {
+  const interval = getEventInterval(event);
+  const attendees = Object.values(event.participants || {})
+    .map(participant => (participant.email || (participant.sendTo?.imip || '').replace(/^mailto:/, '')).toLowerCase())
+    .filter(Boolean)
+    .sort();
+
+  return {
+    id: event.id,
+    recurrenceId: event.recurrenceId || null,
+    calendarId: event.calendarId,
+    title: event.title || '',
+    location: event.location || '',
+    start: interval ? new Date(interval.start).toISOString() : event.start,
+    end: interval ? new Date(interval.end).toISOString() : event.end || null,
+    attendees
+  };
+}
+
+function snapshotEvents(events) {
+  return events.filter(event => event.id).map(snapshotEvent);
+}
+
+// Key snapshot entries with the event store's key, so an event is matched the same way
+// as it is stored: occurrences of a recurring event by their recurrence ID
+function keySnapshot(snapshot) {
+  return new Map(snapshot.map(event => [EventStore.eventKey(event), event]));
+}
+
+// Compare two snapshots. Events are matched by ID (and occurrence); a matched event whose
+// time changed is rescheduled, and one whose title, location, attendees or calendar changed
+// is edited (an event can be both).
+function diffSnapshots(before, after) {
+  const beforeByKey = keySnapshot(before);
+  const afterByKey = keySnapshot(after);
+
+  const changes = { added: [], removed: [], rescheduled: [], edited: [] };
+
+  for (const [key, event] of afterByKey) {
+    const previous = beforeByKey.get(key);
+    if (!previous) {
+      changes.added.push(event);
+      continue;
+    }
+
+    if (previous.start !== event.start || previous.end !== event.end) {
+      changes.rescheduled.push({ before: previous, after: event });
+    }
+
+    const fields = [];
+    for (const field of ['title', 'location', 'calendarId']) {
+      if (previous[field] !== event[field]) {
+        fields.push({ field, from: previous[field], to: event[field] });
+      }
+    }
+    const addedAttendees = event.attendees.filter(email => !previous.attendees.includes(email));
+    const removedAttendees = previous.attendees.filter(email => !event.attendees.includes(email));
+    if (addedAttendees.length > 0 || removedAttendees.length > 0) {
+      fields.push({ field: 'attendees', added: addedAttendees, removed: removedAttendees });
+    }
+    if (fields.length > 0) {
+      changes.edited.push({ before: previous, after: event, fields });
+    }
+  }
+
+  for (const [key, event] of beforeByKey) {
+    if (!afterByKey.has(key)) {
+      changes.removed.push(event);
+    }
+  }
+
+  return changes;
+}
+
+function countChanges(changes) {
+  return changes.added.length + changes.removed.length + changes.rescheduled.length + changes.edited.length;
+}
+
+module.exports = {
+  snapshotEvents,
+  diffSnapshots,
+  countChanges
+};
@@ -0,0 +1,274 @@
+// Event search query language: field prefixes (title:, location:, attendee:, calendar:,
+// description:), AND/OR/NOT (or a leading "-"), quoted phrases and parentheses.
+// Terms are matched case-insensitively, tolerating small typos in longer words.
+//
+//   standup OR "daily sync"
+//   title:review -calendar:personal
+//   attendee:jane AND (location:berlin OR location:remote)
+
+const SEARCH_FIELDS = ['title', 'description', 'location', 'attendee', 'calendar'];
+
+// Fields searched by terms without a prefix
+const DEFAULT_FIELDS = ['title', 'description', 'location'];
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  title: 3,
+  location: 2,
+  attendee: 2,
+  calendar: 1,
+  description: 1
+};
+
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(-)?(?:([a-z]+):)?(?:"([^"]*)"?|([^\s()"]+)))/gi;
+  let match;
+  while ((match = pattern.exec(query)) !== null && match[0].trim() !== '') {
+    const [, open, close, negated, field, phrase, word] = match;
+    if (open) {
+      tokens.push({ type: 'open' });
+    } else if (close) {
+      tokens.push({ type: 'close' });
+    } else if (!field && phrase === undefined && ['AND', 'OR', 'NOT'].includes(word)) {
+      tokens.push({ type: word.toLowerCase() });
+    } else {
+      const fieldName = field ? field.toLowerCase() : null;
+      // Unknown prefixes such as "re:" are treated as part of the word
+      const knownField = fieldName && SEARCH_FIELDS.includes(fieldName);
+      let value = phrase !== undefined ? phrase : word;
+      if (field && !knownField) {
+        value = `${field}:${value}`;
+      }
+      if (value.trim() === '') continue;
+      const term = {
+        type: 'term',
+        field: knownField ? fieldName : null,
+        value: value.toLowerCase(),
+        phrase: phrase !== undefined
+      };
+      tokens.push(negated ? { type: 'not', operand: term } : term);
+    }
+  }
+  return tokens;
+}
+
+// Recursive descent: or := and (OR and)*; and := unary ([AND] unary)*; unary := NOT unary | primary
+function parseQuery(query) {
+  const tokens = tokenize(String(query || ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      position++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+      if (peek().type === 'and') {
+        position++;
+      }
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Incomplete search query: expected a term');
+    }
+    if (token.type === 'not' && !token.operand) {
+      position++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    position++;
+    if (token.type === 'open') {
+      const expression = parseOr();
+      if (!peek() || peek().type !== 'close') {
+        throw new Error('Unbalanced parentheses in search query');
+      }
+      position++;
+      return expression;
+    }
+    if (token.type === 'term' || token.type === 'not') {
+      return token;
+    }
+    throw new Error(`Unexpected ${token.type.toUpperCase()} in search query`);
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('Search query is empty');
+  }
+  const expression = parseOr();
+  if (position < tokens.length) {
+    throw new Error('Unbalanced parentheses in search query');
+  }
+  return expression;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), stopping early past max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Typos allowed for a word of this length
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+// Find a term in a text: exact substring first, then a fuzzy whole-word match.
+// Returns { start, end, fuzzy } or null.
+function findTerm(text, term) {
+  const lower = text.toLowerCase();
+  const index = lower.indexOf(term.value);
+  if (index !== -1) {
+    return { start: index, end: index + term.value.length, fuzzy: false };
+  }
+  if (term.phrase) return null;
+
+  const maxTypos = allowedTypos(term.value.length);
+  if (maxTypos === 0) return null;
+
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let word;
+  while ((word = wordPattern.exec(lower)) !== null) {
+    if (editDistance(word[0], term.value, maxTypos) <= maxTypos) {
+      return { start: word.index, end: word.index + word[0].length, fuzzy: true };
+    }
+  }
+  return null;
+}
+
+// Searchable text of each field of an event
+function getEventFields(event, calendar) {
+  const attendees = Object.values(event.participants || {})
+    .map(participant => [participant.name, participant.email || (participant.sendTo?.imip || '').replace(/^mailto:/, '')]
+      .filter(Boolean).join(' '))
+    .join(', ');
+
+  return {
+    title: event.title || '',
+    description: event.description || '',
+    location: event.location || '',
+    attendee: attendees,
+    calendar: calendar ? calendar.name || calendar.id : event.calendarId || ''
+  };
+}
+
+// Evaluate a parsed query; returns { score, matches } when the event matches, else null
+function evaluate(node, fields) {
+  switch (node.type) {
+    case 'term': {
+      const matches = [];
+      let score = 0;
+      for (const field of node.field ? [node.field] : DEFAULT_FIELDS) {
+        const found = findTerm(fields[field], node);
+        if (found) {
+          matches.push({ field, ...found });
+          score += FIELD_WEIGHTS[field] * (found.fuzzy ? 0.5 : 1);
+        }
+      }
+      return matches.length > 0 ? { score, matches } : null;
+    }
+    case 'and': {
+      const result = { score: 0, matches: [] };
+      for (const operand of node.operands) {
+        const operandResult = evaluate(operand, fields);
+        if (!operandResult) return null;
+        result.score += operandResult.score;
+        result.matches.push(...operandResult.matches);
+      }
+      return result;
+    }
+    case 'or': {
+      const result = { score: 0, matches: [] };
+      let matched = false;
+      for (const operand of node.operands) {
+        const operandResult = evaluate(operand, fields);
+        if (operandResult) {
+          matched = true;
+          result.score += operandResult.score;
+          result.matches.push(...operandResult.matches);
+        }
+      }
+      return matched ? result : null;
+    }
+    case 'not':
+      return evaluate(node.operand, fields) ? null : { score: 0, matches: [] };
+    default:
+      return null;
+  }
+}
+
+// Mark the matched part of a field's text, e.g. "Weekly **Standup**"
+function highlight(text, match, maxLength = 80) {
+  const marked = `${text.slice(0, match.start)}**${text.slice(match.start, match.end)}**${text.slice(match.end)}`;
+  if (marked.length <= maxLength) return marked;
+
+  // Trim long fields (usually descriptions) to the text around the match
+  const from = Math.max(0, match.start - 30);
+  const to = Math.min(marked.length, match.end + 4 + 30);
+  return `${from > 0 ? '…' : ''}${marked.slice(from, to).trim()}${to < marked.length ? '…' : ''}`;
+}
+
+// Rank events against a query, most relevant first (then earliest). Each result is
+// { event, score, highlights: [{ field, text }] } with one highlight per matched field.
+function rankEvents(events, query, calendars = []) {
+  const expression = parseQuery(query);
+  const calendarsById = new Map(calendars.map(calendar => [calendar.id, calendar]));
+
+  const results = [];
+  for (const event of events) {
+    const fields = getEventFields(event, calendarsById.get(event.calendarId));
+    const result = evaluate(expression, fields);
+    if (!result) continue;
+
+    const highlights = [];
+    for (const match of result.matches) {
+      if (!highlights.some(existing => existing.field === match.field)) {
+        highlights.push({ field: match.field, text: highlight(fields[match.field], match) });
+      }
+    }
+    results.push({ event, score: result.score, highlights });
+  }
+
+  return results.sort((a, b) => b.score - a.score || new Date(a.event.start) - new Date(b.event.start));
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseQuery,
+  editDistance,
+  allowedTypos,
+  rankEvents
+};
@@ -0,0 +1,118 @@
+// Time zone helpers built on Intl, so wall-clock times can be converted to
+// UTC instants for any IANA zone (including across DST transitions).
+
+// Zone of the machine running the server, used when no user time zone is configured
+function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Offset of the zone from UTC at the given instant, in minutes (e.g. +540 for Asia/Tokyo)
+function getTimeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = parseInt(part.value, 10);
+  });
+
+  const asUTC = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  const instant = date.getTime() - date.getMilliseconds();
+  return Math.round((asUTC - instant) / 60000);
+}
+
+// Convert a wall-clock date ("2025-07-02") and time ("09:30") in a zone to a UTC Date
+function zonedTimeToUtc(dateString, timeString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = (timeString || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes || 0);
+
+  // Correct the guess once more in case it lands on the other side of a DST change
+  const firstOffset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  let result = wallClock - firstOffset * 60000;
+  const secondOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    result = wallClock - secondOffset * 60000;
+  }
+
+  return new Date(result);
+}
+
+// Calendar date ("2025-07-02") of an instant as seen in the zone
+function getZonedDateString(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+}
+
+// Convert a date or date-time to a LocalDateTime ("2025-07-02T17:00:00") in the zone.
+// Values with an explicit offset are converted; floating values are kept as written.
+function toZonedLocalDateTime(value, timeZone, defaultTime = '00:00:00') {
+  const str = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    return `${str}T${defaultTime}`;
+  }
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(str)) {
+    return str.length >= 19 ? str.slice(0, 19) : `${str.slice(0, 16)}:00`;
+  }
+
+  const date = new Date(str);
+  if (isNaN(date)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  const localTime = date.toLocaleTimeString('en-GB', { timeZone, hourCycle: 'h23' });
+  return `${getZonedDateString(date, timeZone)}T${localTime}`;
+}
+
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// UTC instants bounding whole days in the zone: midnight of startDate up to
+// midnight after endDate (exclusive), as ISO strings
+function getDayRange(startDate, endDate, timeZone) {
+  return {
+    start: zonedTimeToUtc(startDate, '00:00', timeZone).toISOString(),
+    end: zonedTimeToUtc(addDays(endDate || startDate, 1), '00:00', timeZone).toISOString()
+  };
+}
+
+// Day of week (0 = Sunday) of a calendar date
+function getDayOfWeek(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+module.exports = {
+  getSystemTimeZone,
+  isValidTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getZonedDateString,
+  toZonedLocalDateTime,
+  addDays,
+  getDayRange,
+  getDayOfWeek
+};
@@ -49,9 +49,6 @@ class IntegrationTestRunner {
       this.testResults.push({ name: testName, status: 'FAIL', duration, error: error.message });
       this.log(`❌ ${testName} (${duration}ms): ${error.message}`, 'error');
     }
-    
-    // Add delay between tests to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay
   }
 
   async setup() {
@@ -268,7 +265,10 @@ class IntegrationTestRunner {
       }
       
       this.log(`✅ Created event with ID: ${result.id}`);
-      this.log(`⚠️  Please manually delete the test event: "${testEvent.title}"`);
+      
+      // Clean up the test event again
+      await this.client.deleteEvent({ id: result.id, calendarId: testEvent.calendarId });
+      this.log(`🗑️ Deleted test event: ${result.id}`);
     } catch (error) {
       this.log(`Event creation failed with error: ${error.message}`);
       if (error.message.includes('400')) {
@@ -278,6 +278,34 @@ class IntegrationTestRunner {
     }
   }
 
+  async testTasks() {
+    const tasks = await this.client.listTasks();
+    
+    if (!Array.isArray(tasks)) {
+      throw new Error('Expected tasks to be an array');
+    }
+    
+    this.log(`Found ${tasks.length} open tasks`);
+    
+    const testTask = {
+      title: `Integration Test Task - ${new Date().toISOString().split('T')[0]}`,
+      description: 'This is a test task created by the integration test suite.',
+      estimatedMinutes: 15
+    };
+    
+    const created = await this.client.createTask(testTask);
+    if (!created || !created.id) {
+      throw new Error('Task creation did not return a valid result with ID');
+    }
+    this.log(`✅ Created task with ID: ${created.id}`);
+    
+    await this.client.completeTask(created.id);
+    this.log(`✅ Completed task: ${created.id}`);
+    
+    await this.client.deleteTask(created.id);
+    this.log(`🗑️ Deleted test task: ${created.id}`);
+  }
+
   async testErrorHandling() {
     // Test with invalid API key
     const invalidClient = new MorgenAPIClient('invalid-key-123');
@@ -342,6 +370,7 @@ class IntegrationTestRunner {
       await this.runTest('Get Events with Filters', () => this.testGetEvents());
       await this.runTest('Search Events', () => this.testSearchEvents());
       await this.runTest('Create Event', () => this.testCreateEvent());
+      await this.runTest('Tasks', () => this.testTasks());
       await this.runTest('Error Handling', () => this.testErrorHandling());
       
     } catch (error) {
@@ -6,8 +6,23 @@ global.fetch = createMockFetch();
 // Mock environment
 process.env.MORGEN_API_KEY = 'test-api-key-123';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const MorgenAPIClient = require('../src/morgen-api-client.js');
-const { MorgenMCPServer, toolSchemas } = require('../src/index.js');
+const SimpleCache = require('../src/cache.js');
+const { formatEvent, formatTask, formatScheduleChanges, formatDiagnostics } = require('../src/formatters.js');
+const { countChanges } = require('../src/schedule-diff.js');
+const { parseQuery, rankEvents } = require('../src/search-query.js');
+const { paginate } = require('../src/pagination.js');
+const { buildCalendar, parseCalendar } = require('../src/ical.js');
+const { parseDateExpression, parseDurationExpression } = require('../src/date-expression.js');
+const { resolveCalendar, resolveCalendarList, resolveAccount } = require('../src/calendar-names.js');
+const { loadPreferences } = require('../src/preferences.js');
+const { filterEvents, parseFilterRules } = require('../src/event-filters.js');
+const { findFreeSlots, findConflicts } = require('../src/availability.js');
+const { zonedTimeToUtc, getZonedDateString, addDays, toZonedLocalDateTime } = require('../src/timezone.js');
+const { MorgenMCPServer, toolSchemas, resourceSchemas, resourceTemplates, readResource, callTool } = require('../src/index.js');
 
 // Mock API responses
 const mockResponses = {
@@ -114,6 +129,73 @@ const mockResponses = {
         timeZone: 'UTC'
       }
     }
+  },
+  '/events/update': {
+    data: {
+      event: {
+        id: 'evt-1',
+        uid: 'uid-1',
+        calendarId: 'cal-1',
+        accountId: 'acc-1',
+        title: 'Updated Meeting',
+        description: 'Weekly team sync',
+        location: 'Conference Room B',
+        start: new Date(Date.now() + 86400000).toISOString(),
+        end: new Date(Date.now() + 88200000).toISOString(),
+        timeZone: 'UTC'
+      }
+    }
+  },
+  '/events/delete': {
+    data: {}
+  },
+  '/tasks/list': {
+    data: {
+      tasks: [
+        {
+          id: 'task-1',
+          title: 'Write quarterly report',
+          due: '2025-07-04T17:00:00',
+          timeZone: 'America/New_York',
+          priority: 1,
+          estimatedDuration: 'PT1H30M',
+          taskListId: 'list-1',
+          progress: 'needs-action'
+        },
+        {
+          id: 'task-2',
+          title: 'Book flights',
+          taskListId: 'list-2',
+          progress: 'completed'
+        }
+      ]
+    }
+  },
+  '/taskLists/list': {
+    data: {
+      taskLists: [
+        { id: 'list-1', name: 'Work' },
+        { id: 'list-2', name: 'Personal' }
+      ]
+    }
+  },
+  '/tasks/create': {
+    data: {
+      task: {
+        id: 'task-new',
+        title: 'New Task',
+        progress: 'needs-action'
+      }
+    }
+  },
+  '/tasks/update': {
+    data: {}
+  },
+  '/tasks/close': {
+    data: {}
+  },
+  '/tasks/delete': {
+    data: {}
   }
 };
 
@@ -192,12 +274,36 @@ async function runTests() {
     testListCalendars,
     testListAccounts,
     testGetEvents,
+    testTimeZoneHandling,
     testCreateEvent,
+    testRecurringEvent,
+    testEventAttendees,
+    testUpdateEvent,
+    testDeleteEvent,
+    testTasks,
     testSearchEvents,
+    testAdvancedSearch,
+    testPagination,
+    testOutputFormats,
+    testICalExport,
+    testICalImport,
+    testDateExpressions,
+    testCalendarNames,
+    testPreferences,
+    testFindFreeSlots,
+    testFindConflicts,
     testEventFiltering,
     testToolSchemas,
+    testResources,
     testErrorHandling,
+    testRetries,
+    testRateLimiter,
     testCaching,
+    testCacheEviction,
+    testEventStore,
+    testEventSync,
+    testWhatChanged,
+    testDiskCache,
     testGetEventsAllCalendars,
     testGetEventsValidation,
     testBase64CalendarIds,
@@ -318,6 +424,57 @@ async function testGetEvents() {
   }
 }
 
+async function testTimeZoneHandling() {
+  // Day boundaries follow the zone, including across DST changes
+  if (zonedTimeToUtc('2025-07-02', '00:00', 'Asia/Tokyo').toISOString() !== '2025-07-01T15:00:00.000Z') {
+    throw new Error('Tokyo midnight should be 15:00 UTC the previous day');
+  }
+  if (zonedTimeToUtc('2025-03-08', '09:00', 'America/Los_Angeles').toISOString() !== '2025-03-08T17:00:00.000Z' ||
+      zonedTimeToUtc('2025-03-10', '09:00', 'America/Los_Angeles').toISOString() !== '2025-03-10T16:00:00.000Z') {
+    throw new Error('Los Angeles offsets should change across the DST transition');
+  }
+  
+  // getTodayEvents queries midnight-to-midnight in the requested zone
+  const requestedRanges = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/list')) {
+      const params = new URL(url).searchParams;
+      requestedRanges.push({ start: params.get('start'), end: params.get('end') });
+    }
+    return originalFetch(url, options);
+  };
+  
+  try {
+    for (const timeZone of ['Asia/Tokyo', 'America/Los_Angeles']) {
+      const client = new MorgenAPIClient('test-api-key-123', { timeZone });
+      requestedRanges.length = 0;
+      await client.getTodayEvents();
+      
+      const today = getZonedDateString(new Date(), timeZone);
+      const expectedStart = zonedTimeToUtc(today, '00:00', timeZone).toISOString();
+      if (requestedRanges[0].start !== expectedStart) {
+        throw new Error(`Expected today in ${timeZone} to start at ${expectedStart}, got ${requestedRanges[0].start}`);
+      }
+      
+      // Week grouping uses the weekday in the zone
+      const weekEvents = await client.getWeekEvents();
+      const todayName = new Date().toLocaleDateString('en-US', { weekday: 'long', timeZone });
+      if (!weekEvents[todayName].some(event => event.title === 'Team Meeting')) {
+        throw new Error(`Team Meeting should be grouped under ${todayName} in ${timeZone}`);
+      }
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+  
+  // formatEvent shows times in the requested zone
+  const formatted = formatEvent({ title: 'Call', start: '2025-07-02T00:30:00Z' }, 'Asia/Tokyo');
+  if (!formatted.includes('07/02/2025 09:30:00')) {
+    throw new Error(`Expected Tokyo time in output, got: ${formatted}`);
+  }
+}
+
 async function testCreateEvent() {
   const client = new MorgenAPIClient('test-api-key-123');
   
@@ -334,133 +491,1753 @@ async function testCreateEvent() {
   if (!created.id || created.title !== 'New Event') {
     throw new Error('Event creation failed');
   }
+  
+  // Start times are sent as LocalDateTimes in the event's time zone
+  let sentBody = null;
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/create')) {
+      sentBody = JSON.parse(options.body);
+    }
+    return originalFetch(url, options);
+  };
+  try {
+    await client.createEvent({
+      calendarId: 'cal-1',
+      title: 'Dentist',
+      startDate: '2025-07-03T13:00:00Z',
+      endDate: '2025-07-03T09:45:00-04:00',
+      timeZone: 'America/New_York'
+    });
+    if (sentBody.start !== '2025-07-03T09:00:00' || sentBody.timeZone !== 'America/New_York' || sentBody.duration !== '45m') {
+      throw new Error(`Expected a New York LocalDateTime start, got ${JSON.stringify(sentBody)}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
 }
 
-async function testSearchEvents() {
+async function testRecurringEvent() {
   const client = new MorgenAPIClient('test-api-key-123');
   
-  // Search for "team"
-  const results = await client.searchEvents('team');
-  if (results.length !== 1 || !results[0].title.toLowerCase().includes('team')) {
-    throw new Error('Search results incorrect');
-  }
+  // Capture the payload sent to the API
+  let sentBody = null;
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/create')) {
+      sentBody = JSON.parse(options.body);
+    }
+    return originalFetch(url, options);
+  };
   
-  // Search with max results
-  const limited = await client.searchEvents('meeting', { maxResults: 1 });
-  if (limited.length > 1) {
-    throw new Error('Max results not respected');
+  try {
+    await client.createEvent({
+      calendarId: 'cal-1',
+      title: 'Weekly 1:1',
+      startDate: '2025-07-01T15:30:00Z',
+      endDate: '2025-07-01T16:00:00Z',
+      recurrence: {
+        frequency: 'weekly',
+        byDay: ['TU', 'TH'],
+        until: '2025-12-31',
+        exceptions: ['2025-07-03']
+      }
+    });
+    
+    const rule = sentBody.recurrenceRules && sentBody.recurrenceRules[0];
+    if (!rule || rule.frequency !== 'weekly' || rule.until !== '2025-12-31T23:59:59') {
+      throw new Error(`Unexpected recurrence rule: ${JSON.stringify(rule)}`);
+    }
+    
+    if (rule.byDay.map(nday => nday.day).join(',') !== 'tu,th') {
+      throw new Error(`Unexpected byDay: ${JSON.stringify(rule.byDay)}`);
+    }
+    
+    if (!sentBody.recurrenceOverrides['2025-07-03T15:30:00']?.excluded) {
+      throw new Error(`Exception not excluded: ${JSON.stringify(sentBody.recurrenceOverrides)}`);
+    }
+    
+    // count and until are mutually exclusive
+    try {
+      await client.createEvent({
+        calendarId: 'cal-1',
+        title: 'Invalid',
+        startDate: '2025-07-01T15:30:00Z',
+        endDate: '2025-07-01T16:00:00Z',
+        recurrence: { frequency: 'daily', count: 5, until: '2025-12-31' }
+      });
+      throw new Error('Should have thrown error for count with until');
+    } catch (error) {
+      if (!error.message.includes('either count or until')) {
+        throw error;
+      }
+    }
+    
+    // formatEvent shows a human-readable summary
+    const formatted = formatEvent({ title: 'Weekly 1:1', ...sentBody });
+    if (!formatted.includes('Every Tue and Thu until Dec 31')) {
+      throw new Error(`Missing recurrence summary: ${formatted}`);
+    }
+    
+    const everyOther = formatEvent({
+      title: 'Retro',
+      recurrenceRules: [{ frequency: 'weekly', interval: 2, byDay: [{ day: 'fr' }], count: 6 }]
+    });
+    if (!everyOther.includes('Every 2 weeks on Fri, 6 times')) {
+      throw new Error(`Unexpected recurrence summary: ${everyOther}`);
+    }
+    
+    // Exceptions are keyed by the occurrence's wall time in the event's time zone
+    await client.createEvent({
+      calendarId: 'cal-1',
+      title: 'Weekly 1:1',
+      startDate: '2025-07-01T15:30:00Z',
+      endDate: '2025-07-01T16:00:00Z',
+      timeZone: 'America/New_York',
+      recurrence: { frequency: 'weekly', byDay: ['TU', 'TH'], exceptions: ['2025-07-03', '2025-07-08T15:30:00Z'] }
+    });
+    const zonedKeys = Object.keys(sentBody.recurrenceOverrides).join(',');
+    if (zonedKeys !== '2025-07-03T11:30:00,2025-07-08T11:30:00') {
+      throw new Error(`Exceptions should use New York wall time, got ${zonedKeys}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
   }
 }
 
-async function testEventFiltering() {
+async function testEventAttendees() {
   const client = new MorgenAPIClient('test-api-key-123');
   
-  // Test that filtered events are excluded from all methods
-  const allEvents = await client.listEvents();
-  
-  // Verify no filtered events in results
-  const busyEvents = allEvents.filter(event => event.title === 'Busy (via Morgen)');
-  const untitledEvents = allEvents.filter(event => event.title === 'Untitled Event');
-  
-  if (busyEvents.length > 0) {
-    throw new Error('listEvents should filter out "Busy (via Morgen)" events');
-  }
-  
-  if (untitledEvents.length > 0) {
-    throw new Error('listEvents should filter out "Untitled Event" events');
-  }
-  
-  // Test search filtering
-  const searchResults = await client.searchEvents('event'); // Should match "Untitled Event" but it should be filtered
-  const searchUntitled = searchResults.filter(event => event.title === 'Untitled Event');
-  const searchBusy = searchResults.filter(event => event.title === 'Busy (via Morgen)');
-  
-  if (searchUntitled.length > 0) {
-    throw new Error('searchEvents should filter out "Untitled Event" events');
-  }
-  
-  if (searchBusy.length > 0) {
-    throw new Error('searchEvents should filter out "Busy (via Morgen)" events');
-  }
+  // Capture the payload sent to the API
+  let sentBody = null;
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/create')) {
+      sentBody = JSON.parse(options.body);
+    }
+    return originalFetch(url, options);
+  };
   
-  // Verify we still get valid events
-  if (allEvents.length !== 2) {
-    throw new Error(`Expected 2 valid events after filtering, got ${allEvents.length}`);
+  try {
+    await client.createEvent({
+      calendarId: 'cal-1',
+      title: 'Planning',
+      startDate: '2025-07-01T15:30:00Z',
+      endDate: '2025-07-01T16:00:00Z',
+      attendees: [
+        { email: 'jane@example.com', name: 'Jane Doe' },
+        { email: 'bob@example.com', role: 'optional' }
+      ],
+      sendInvitations: false
+    });
+    
+    const participants = Object.values(sentBody.participants || {});
+    if (participants.length !== 2) {
+      throw new Error(`Expected 2 participants, got ${participants.length}`);
+    }
+    
+    const bob = participants.find(p => p.email === 'bob@example.com');
+    if (!bob.roles.attendee || !bob.roles.optional) {
+      throw new Error(`Optional attendee roles wrong: ${JSON.stringify(bob.roles)}`);
+    }
+    
+    if (participants.some(p => p.scheduleAgent !== 'none' || p.expectReply)) {
+      throw new Error('Invitations should not be sent when sendInvitations is false');
+    }
+    
+    // Invalid emails are rejected
+    try {
+      await client.createEvent({
+        calendarId: 'cal-1',
+        title: 'Invalid',
+        startDate: '2025-07-01T15:30:00Z',
+        endDate: '2025-07-01T16:00:00Z',
+        attendees: [{ email: 'not-an-email' }]
+      });
+      throw new Error('Should have thrown error for invalid attendee email');
+    } catch (error) {
+      if (!error.message.includes('Invalid attendee email')) {
+        throw error;
+      }
+    }
+    
+    // formatEvent lists participants with their RSVP status
+    const formatted = formatEvent({
+      title: 'Planning',
+      participants: {
+        a: { name: 'Jane Doe', email: 'jane@example.com', roles: { attendee: true }, participationStatus: 'accepted' },
+        b: { email: 'bob@example.com', roles: { attendee: true, optional: true }, participationStatus: 'tentative' }
+      }
+    });
+    if (!formatted.includes('Jane Doe <jane@example.com> (required) - accepted') ||
+        !formatted.includes('bob@example.com (optional) - maybe')) {
+      throw new Error(`Unexpected participants output: ${formatted}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
   }
+}
+
+async function testUpdateEvent() {
+  const client = new MorgenAPIClient('test-api-key-123');
   
-  // Verify the returned events are the expected ones
-  const eventTitles = allEvents.map(event => event.title).sort();
-  const expectedTitles = ['Client Review', 'Team Meeting'];
+  // Capture the payload sent to the API
+  let sentBody = null;
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/update')) {
+      sentBody = JSON.parse(options.body);
+    }
+    return originalFetch(url, options);
+  };
   
-  if (JSON.stringify(eventTitles) !== JSON.stringify(expectedTitles)) {
-    throw new Error(`Expected events [${expectedTitles.join(', ')}], got [${eventTitles.join(', ')}]`);
+  try {
+    const updated = await client.updateEvent({
+      id: 'evt-1',
+      calendarId: 'cal-1',
+      title: 'Updated Meeting',
+      startDate: '2025-07-02T10:00:00Z',
+      endDate: '2025-07-02T10:30:00Z',
+      location: 'Conference Room B'
+    });
+    
+    if (!updated.id || updated.title !== 'Updated Meeting') {
+      throw new Error('Event update failed');
+    }
+    
+    if (sentBody.accountId !== 'acc-1' || sentBody.duration !== '30m') {
+      throw new Error(`Unexpected update payload: ${JSON.stringify(sentBody)}`);
+    }
+    
+    if ('description' in sentBody) {
+      throw new Error('Unchanged fields should not be sent');
+    }
+
+    // A new start is sent as a LocalDateTime in the event's own zone...
+    await client.getEvents({
+      calendarIds: 'cal-1',
+      startDate: new Date(Date.now() - 86400000).toISOString(),
+      endDate: new Date(Date.now() + 86400000).toISOString()
+    });
+    await client.updateEvent({
+      id: 'evt-1',
+      calendarId: 'cal-1',
+      startDate: '2026-10-20T09:00:00-04:00',
+      endDate: '2026-10-20T10:15:00-04:00'
+    });
+    if (sentBody.start !== '2026-10-20T09:00:00' || sentBody.timeZone !== 'America/New_York' || sentBody.duration !== '75m') {
+      throw new Error(`Expected a New York LocalDateTime start, got ${JSON.stringify(sentBody)}`);
+    }
+
+    // ...or in the zone given with it
+    await client.updateEvent({ id: 'evt-1', calendarId: 'cal-1', startDate: '2025-07-02T15:30:00Z', timeZone: 'Europe/Berlin' });
+    if (sentBody.start !== '2025-07-02T17:30:00' || sentBody.timeZone !== 'Europe/Berlin' || 'duration' in sentBody) {
+      throw new Error(`Expected a Berlin LocalDateTime start, got ${JSON.stringify(sentBody)}`);
+    }
+
+    // Changing the end time without a start time is rejected
+    try {
+      await client.updateEvent({ id: 'evt-1', calendarId: 'cal-1', endDate: '2025-07-02T11:00:00Z' });
+      throw new Error('Should have thrown error for endDate without startDate');
+    } catch (error) {
+      if (!error.message.includes('startDate is required')) {
+        throw error;
+      }
+    }
+    
+    // Moving to a calendar of a different account is rejected
+    try {
+      await client.updateEvent({ id: 'evt-1', calendarId: 'cal-1', targetCalendarId: 'cal-2' });
+      throw new Error('Should have thrown error for cross-account move');
+    } catch (error) {
+      if (!error.message.includes('same account')) {
+        throw error;
+      }
+    }
+    
+    // Updating should forget the event's slot in the event store and the cached event lists
+    await client.getEvents({
+      calendarIds: 'cal-1',
+      startDate: new Date(Date.now() - 86400000).toISOString(),
+      endDate: new Date(Date.now() + 86400000).toISOString()
+    });
+    const meeting = client.eventStore.findEvent('cal-1', 'evt-1');
+    const slot = [new Date(meeting.start).getTime(), new Date(meeting.end).getTime()];
+    const hasRangeKeys = () => [...client.cache.cache.keys()].some(key => key.startsWith('events:range'));
+    if (!client.eventStore.isCovered('cal-1', ...slot) || !hasRangeKeys()) {
+      throw new Error('Fetched events should be cached before the update');
+    }
+    await client.updateEvent({ id: 'evt-1', calendarId: 'cal-1', title: 'Renamed' });
+    if (client.eventStore.isCovered('cal-1', ...slot) || hasRangeKeys()) {
+      throw new Error('Event caches should be invalidated after update');
+    }
+  } finally {
+    global.fetch = originalFetch;
   }
 }
 
-async function testToolSchemas() {
-  // Verify all tools have proper schemas
-  const requiredTools = [
-    'list_calendars',
-    'list_accounts',
-    'get_today_events',
-    'get_week_events',
-    'get_events',
-    'search_events',
-    'create_event'
-  ];
-  
-  const toolNames = toolSchemas.map(t => t.name);
+async function testDeleteEvent() {
+  const client = new MorgenAPIClient('test-api-key-123');
   
-  for (const required of requiredTools) {
-    if (!toolNames.includes(required)) {
-      throw new Error(`Missing required tool: ${required}`);
+  // Serve a weekly series in cal-1 and capture delete requests
+  const day = 24 * 60 * 60 * 1000;
+  const base = Date.now() - 7 * day;
+  const series = [0, 1, 2, 3].map(week => ({
+    id: `occ-${week}`,
+    masterEventId: 'series-1',
+    calendarId: 'cal-1',
+    accountId: 'acc-1',
+    title: 'Weekly 1:1',
+    start: new Date(base + week * 7 * day).toISOString(),
+    end: new Date(base + week * 7 * day + 1800000).toISOString()
+  }));
+  
+  let deleteUrl = null;
+  let deleteBody = null;
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/list')) {
+      return { ok: true, status: 200, statusText: 'OK', json: async () => ({ data: { events: series } }) };
     }
-  }
+    if (url.includes('/events/delete')) {
+      deleteUrl = url;
+      deleteBody = JSON.parse(options.body);
+    }
+    return originalFetch(url, options);
+  };
   
-  // Verify schema structure
-  for (const tool of toolSchemas) {
-    if (!tool.name || !tool.description || !tool.inputSchema) {
-      throw new Error(`Tool ${tool.name} missing required schema fields`);
+  try {
+    // Dry runs never call the delete endpoint
+    const single = await client.previewDeleteEvent({ id: 'occ-1', calendarId: 'cal-1', scope: 'single' });
+    if (single.length !== 1 || single[0].id !== 'occ-1') {
+      throw new Error('Single scope preview should only contain the occurrence');
     }
     
-    if (tool.inputSchema.type !== 'object') {
-      throw new Error(`Tool ${tool.name} input schema must be object type`);
+    const future = await client.previewDeleteEvent({ id: 'occ-1', calendarId: 'cal-1', scope: 'future' });
+    if (future.map(evt => evt.id).join(',') !== 'occ-1,occ-2,occ-3') {
+      throw new Error(`Unexpected future scope preview: ${future.map(evt => evt.id).join(',')}`);
+    }
+    
+    const all = await client.previewDeleteEvent({ id: 'occ-1', calendarId: 'cal-1', scope: 'all' });
+    if (all.length !== 4) {
+      throw new Error(`Expected 4 events for whole series preview, got ${all.length}`);
+    }
+    
+    // The dry run says which range it listed and that the rest of the series goes too
+    const dryRun = await callTool('delete_event', { event_id: 'occ-1', calendar_id: 'cal-1', scope: 'future', dry_run: true });
+    if (!dryRun.content[0].text.includes('Occurrences after that range are deleted too') || !dryRun.structuredContent.checkedRange) {
+      throw new Error(`Dry run should describe the checked range: ${dryRun.content[0].text}`);
+    }
+    
+    if (deleteUrl !== null) {
+      throw new Error('Dry run should not delete anything');
+    }
+    
+    // Actual delete passes the scope as seriesUpdateMode
+    await client.deleteEvent({ id: 'occ-1', calendarId: 'cal-1', scope: 'future' });
+    if (!deleteUrl.includes('seriesUpdateMode=future')) {
+      throw new Error(`Expected seriesUpdateMode=future, got ${deleteUrl}`);
+    }
+    if (deleteBody.id !== 'occ-1' || deleteBody.accountId !== 'acc-1') {
+      throw new Error(`Unexpected delete payload: ${JSON.stringify(deleteBody)}`);
+    }
+    
+    // Invalid scopes are rejected
+    try {
+      await client.deleteEvent({ id: 'occ-1', calendarId: 'cal-1', scope: 'everything' });
+      throw new Error('Should have thrown error for invalid scope');
+    } catch (error) {
+      if (!error.message.includes('Invalid scope')) {
+        throw error;
+      }
     }
+  } finally {
+    global.fetch = originalFetch;
   }
 }
 
-async function testErrorHandling() {
-  // Test with invalid API key
-  const badClient = new MorgenAPIClient('invalid-key');
+async function testTasks() {
+  const client = new MorgenAPIClient('test-api-key-123', { timeZone: 'Asia/Tokyo' });
   
-  try {
-    await badClient.listCalendars();
-    throw new Error('Should have thrown error for invalid API key');
-  } catch (error) {
-    if (!error.message.includes('401')) {
-      throw new Error('Unexpected error for invalid API key');
+  // Completed tasks are hidden unless requested
+  const open = await client.listTasks();
+  if (open.length !== 1 || open[0].id !== 'task-1') {
+    throw new Error(`Expected only the open task, got ${open.map(t => t.id).join(', ')}`);
+  }
+  
+  const all = await client.listTasks({ includeCompleted: true });
+  if (all.length !== 2) {
+    throw new Error(`Expected 2 tasks including completed, got ${all.length}`);
+  }
+  
+  // formatTask shows due date, priority, estimate and list
+  const formatted = formatTask(open[0], await client.listTaskLists());
+  for (const expected of ['2025-07-04 17:00:00 (America/New_York)', 'High (1)', '90 min', 'Work (list-1)']) {
+    if (!formatted.includes(expected)) {
+      throw new Error(`formatTask output missing "${expected}": ${formatted}`);
     }
   }
   
-  // Test network error
-  global.fetch = async () => {
-    throw new Error('Network failure');
+  // Capture payloads sent to the API
+  const sent = {};
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    const endpoint = new URL(url).pathname.replace('/v3', '');
+    if (options.body) {
+      sent[endpoint] = JSON.parse(options.body);
+    }
+    return originalFetch(url, options);
   };
   
   try {
-    await badClient.listCalendars();
-    throw new Error('Should have thrown network error');
-  } catch (error) {
-    if (!error.message.includes('Network error')) {
-      throw new Error('Unexpected error for network failure');
+    const created = await client.createTask({
+      title: 'New Task',
+      due: '2025-07-04T08:00:00Z',
+      priority: 5,
+      estimatedMinutes: 45
+    });
+    if (created.id !== 'task-new') {
+      throw new Error('Task creation failed');
+    }
+    
+    const payload = sent['/tasks/create'];
+    if (payload.due !== '2025-07-04T17:00:00' || payload.timeZone !== 'Asia/Tokyo' || payload.estimatedDuration !== 'PT45M') {
+      throw new Error(`Unexpected create payload: ${JSON.stringify(payload)}`);
     }
+    
+    await client.updateTask({ id: 'task-1', title: 'Renamed' });
+    if (JSON.stringify(sent['/tasks/update']) !== JSON.stringify({ id: 'task-1', title: 'Renamed' })) {
+      throw new Error(`Unexpected update payload: ${JSON.stringify(sent['/tasks/update'])}`);
+    }
+    
+    await client.completeTask('task-1');
+    await client.deleteTask('task-2');
+    if (sent['/tasks/close']?.id !== 'task-1' || sent['/tasks/delete']?.id !== 'task-2') {
+      throw new Error('complete/delete should send the task ID');
+    }
+    
+    // Mutations clear the cached task list
+    if (client.cache.get('tasks:list') !== null) {
+      throw new Error('Task caches should be invalidated after changes');
+    }
+    
+    try {
+      await client.createTask({ title: 'Bad priority', priority: 12 });
+      throw new Error('Should have thrown error for invalid priority');
+    } catch (error) {
+      if (!error.message.includes('priority must be')) {
+        throw error;
+      }
+    }
+  } finally {
+    global.fetch = originalFetch;
   }
-  
-  // Restore mock fetch
-  global.fetch = createMockFetch();
 }
 
-async function testCaching() {
+async function testSearchEvents() {
+  const client = new MorgenAPIClient('test-api-key-123');
+  
+  // Search for "team"
+  const results = await client.searchEvents('team');
+  if (results.length !== 1 || !results[0].title.toLowerCase().includes('team')) {
+    throw new Error('Search results incorrect');
+  }
+  
+  // Search with max results
+  const limited = await client.searchEvents('meeting', { maxResults: 1 });
+  if (limited.length > 1) {
+    throw new Error('Max results not respected');
+  }
+}
+
+async function testAdvancedSearch() {
+  const events = [
+    { id: 'a', calendarId: 'cal-1', title: 'Design Review', location: 'Berlin', start: '2025-07-01T10:00:00Z',
+      participants: { jane: { name: 'Jane Doe', email: 'jane@example.com' } } },
+    { id: 'b', calendarId: 'cal-2', title: 'Standup', description: 'Daily design sync', location: 'Remote', start: '2025-07-01T09:00:00Z' },
+    { id: 'c', calendarId: 'cal-2', title: 'Lunch', location: 'Berlin', start: '2025-07-01T12:00:00Z' }
+  ];
+  const calendars = [{ id: 'cal-1', name: 'Personal Calendar' }, { id: 'cal-2', name: 'Work Calendar' }];
+  const ids = query => rankEvents(events, query, calendars).map(result => result.event.id).join(',');
+  
+  // Title matches outrank description matches
+  if (ids('design') !== 'a,b') {
+    throw new Error(`Expected title match first, got ${ids('design')}`);
+  }
+  
+  // Field prefixes, boolean operators, phrases and grouping
+  const cases = {
+    'location:berlin': 'a,c',
+    'location:berlin -title:lunch': 'a',
+    'standup OR lunch': 'b,c',
+    'NOT berlin': 'b',
+    'attendee:jane': 'a',
+    'calendar:work AND (lunch OR standup)': 'b,c',
+    '"design sync"': 'b',
+    '"design review" location:berlin': 'a'
+  };
+  for (const [query, expected] of Object.entries(cases)) {
+    if (ids(query) !== expected) {
+      throw new Error(`Query ${query} returned ${ids(query)}, expected ${expected}`);
+    }
+  }
+  
+  // Small typos still match longer words, but not short ones or phrases
+  if (ids('standpu') !== 'b' || ids('reveiw') !== 'a' || ids('lnch') !== 'c' || ids('"desing review"') !== '') {
+    throw new Error('Fuzzy matching did not behave as expected');
+  }
+  
+  // Matched text is highlighted per field
+  const [top] = rankEvents(events, 'title:review', calendars);
+  if (top.highlights[0].field !== 'title' || top.highlights[0].text !== 'Design **Review**') {
+    throw new Error(`Unexpected highlight: ${JSON.stringify(top.highlights)}`);
+  }
+  
+  for (const invalid of ['(standup', 'standup OR', '']) {
+    try {
+      parseQuery(invalid);
+      throw new Error(`Query "${invalid}" should be rejected`);
+    } catch (error) {
+      if (error.message.includes('should be rejected')) throw error;
+    }
+  }
+}
+
+async function testPagination() {
+  const events = Array.from({ length: 7 }, (_, i) => ({
+    id: `evt-${i}`,
+    start: `2025-07-0${i + 1}T10:00:00Z`
+  }));
+  const query = { tool: 'get_events', calendarIds: 'all' };
+  
+  // Page through everything with continuation cursors
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = paginate(events, { cursor, pageSize: 3, query });
+    if (page.total !== 7 || page.offset !== seen.length) {
+      throw new Error(`Unexpected page position: ${JSON.stringify({ total: page.total, offset: page.offset })}`);
+    }
+    seen.push(...page.items.map(event => event.id));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor);
+  if (pages !== 3 || seen.join(',') !== events.map(event => event.id).join(',')) {
+    throw new Error(`Paging should visit every event once, got ${seen.join(',')} in ${pages} page(s)`);
+  }
+  
+  // The next page resumes after the last event shown, even if earlier events went away
+  const first = paginate(events, { pageSize: 3, query });
+  const next = paginate(events.slice(2), { cursor: first.nextCursor, pageSize: 3, query });
+  if (next.items[0].id !== 'evt-3') {
+    throw new Error(`Next page should resume after evt-2, got ${next.items[0].id}`);
+  }
+  
+  // Cursors only work for the query they came from
+  for (const [badCursor, badQuery] of [[first.nextCursor, { ...query, calendarIds: 'cal-1' }], ['not-a-cursor', query]]) {
+    try {
+      paginate(events, { cursor: badCursor, pageSize: 3, query: badQuery });
+      throw new Error('Should have rejected the cursor');
+    } catch (error) {
+      if (error.message.includes('Should have rejected')) throw error;
+    }
+  }
+  
+  // Search results beyond max_results are still available for paging
+  const client = new MorgenAPIClient('test-api-key-123');
+  const matches = await client.findMatchingEvents('meeting OR review OR lunch');
+  const limited = await client.searchEvents('meeting OR review OR lunch', { maxResults: 1 });
+  if (matches.length < 2 || limited.length !== 1 || limited[0].id !== matches[0].id) {
+    throw new Error('findMatchingEvents should return every ranked match');
+  }
+}
+
+// Minimal JSON Schema check (type, enum, required, properties, items); returns the first problem
+function schemaProblem(value, schema, path = 'result') {
+  const types = [].concat(schema.type || []);
+  const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  const typeMatches = types.length === 0 || types.some(type =>
+    type === actual || (type === 'integer' && Number.isInteger(value)));
+  if (!typeMatches) return `${path} should be ${types.join(' or ')}, got ${actual}`;
+  if (schema.enum && !schema.enum.includes(value)) return `${path} should be one of ${schema.enum.join(', ')}`;
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) return `${path}.${key} is missing`;
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      const problem = key in value ? schemaProblem(value[key], child, `${path}.${key}`) : null;
+      if (problem) return problem;
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const problem = schemaProblem(value[i], schema.items, `${path}[${i}]`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+async function testOutputFormats() {
+  // Every tool accepts output_format and declares its structured content
+  for (const tool of toolSchemas) {
+    if (!tool.inputSchema.properties.output_format || !tool.outputSchema || tool.outputSchema.type !== 'object') {
+      throw new Error(`Tool ${tool.name} should declare output_format and an output schema`);
+    }
+  }
+  
+  const calls = [
+    ['list_calendars', {}],
+    ['list_accounts', {}],
+    ['get_today_events', {}],
+    ['get_events', { calendar_ids: 'all', start_date: getZonedDateString(new Date(), 'UTC'), time_zone: 'UTC' }],
+    ['search_events', { query: 'meeting' }],
+    ['find_conflicts', {}],
+    ['list_tasks', {}],
+    ['get_diagnostics', {}]
+  ];
+  for (const [name, args] of calls) {
+    const schema = toolSchemas.find(tool => tool.name === name).outputSchema;
+    const result = await callTool(name, args);
+    const problem = schemaProblem(result.structuredContent, schema);
+    if (problem) {
+      throw new Error(`${name} structured content does not match its schema: ${problem}`);
+    }
+    
+    // JSON text is the structured content itself
+    const json = await callTool(name, { ...args, output_format: 'json' });
+    if (JSON.stringify(JSON.parse(json.content[0].text)) !== JSON.stringify(result.structuredContent)) {
+      throw new Error(`${name} json output should match the structured content`);
+    }
+  }
+  
+  const events = (await callTool('get_events', calls[3][1])).structuredContent.events;
+  const meeting = events.find(event => event.id === 'evt-1');
+  if (!meeting || meeting.title !== 'Team Meeting' || meeting.calendarId !== 'cal-1' ||
+    meeting.location !== 'Conference Room A' || !/Z$/.test(meeting.start) || !Array.isArray(meeting.attendees)) {
+    throw new Error(`Unexpected event JSON: ${JSON.stringify(meeting)}`);
+  }
+  
+  const accounts = (await callTool('list_accounts', {})).structuredContent.accounts;
+  if (accounts[0].provider !== 'google' || accounts[0].providerName !== 'Google Calendar') {
+    throw new Error(`Unexpected account JSON: ${JSON.stringify(accounts[0])}`);
+  }
+  
+  // Markdown tables have a header row per list
+  const table = (await callTool('list_calendars', { output_format: 'markdown_table' })).content[0].text;
+  const rows = table.split('\n');
+  if (!rows[0].startsWith('| Name | ID |') || rows[1] !== '| --- | --- | --- | --- | --- |' || rows.length !== 4) {
+    throw new Error(`Unexpected markdown table:\n${table}`);
+  }
+  
+  // Compact output is one line per item
+  const compact = (await callTool('list_calendars', { output_format: 'compact' })).content[0].text;
+  if (compact !== 'Personal Calendar | cal-1 | acc-1 | #1E88E5 | America/New_York\nWork Calendar | cal-2 | acc-2 | #4CAF50 | America/New_York') {
+    throw new Error(`Unexpected compact output:\n${compact}`);
+  }
+  
+  // Unknown formats are rejected
+  try {
+    await callTool('list_calendars', { output_format: 'xml' });
+    throw new Error('Should have rejected an unknown output_format');
+  } catch (error) {
+    if (!error.message.includes('output_format must be one of')) throw error;
+  }
+}
+
+async function testICalExport() {
+  const { ics, eventCount } = buildCalendar([
+    {
+      id: 'evt-standup',
+      uid: 'standup@example.com',
+      title: 'Standup; daily, with team',
+      description: `Agenda:\nblockers and ${'updates '.repeat(10)}`,
+      start: '2025-03-03T09:30:00',
+      duration: 'PT15M',
+      timeZone: 'Europe/Berlin',
+      recurrenceRules: [{ frequency: 'weekly', byDay: [{ day: 'mo' }, { day: 'we' }], count: 10 }],
+      recurrenceOverrides: { '2025-03-05T09:30:00': { excluded: true } },
+      participants: {
+        jane: { name: 'Doe, Jane', email: 'jane@example.com', roles: { attendee: true, optional: true }, participationStatus: 'accepted' }
+      }
+    },
+    // A second occurrence of the same series is exported once
+    {
+      id: 'evt-standup',
+      uid: 'standup@example.com',
+      title: 'Standup; daily, with team',
+      start: '2025-03-10T09:30:00',
+      duration: 'PT15M',
+      timeZone: 'Europe/Berlin',
+      recurrenceRules: [{ frequency: 'weekly', byDay: [{ day: 'mo' }, { day: 'we' }], count: 10 }]
+    },
+    { id: 'evt-utc', title: 'Call', start: '2025-03-04T10:00:00Z', end: '2025-03-04T11:00:00Z', timeZone: 'UTC' }
+  ], { now: Date.UTC(2025, 0, 1) });
+  
+  if (eventCount !== 2 || (ics.match(/BEGIN:VEVENT/g) || []).length !== 2) {
+    throw new Error(`Expected 2 events, got ${eventCount}`);
+  }
+  
+  const lines = ics.split('\r\n');
+  if (!ics.endsWith('\r\n') || lines.some(line => Buffer.byteLength(line) > 75)) {
+    throw new Error('Lines should end with CRLF and be folded at 75 octets');
+  }
+  const unfolded = ics.replace(/\r\n /g, '');
+  const expected = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'TZID:Europe/Berlin',
+    // Berlin switches to summer time at 02:00 local on the last Sunday of March
+    'BEGIN:DAYLIGHT\r\nDTSTART:20250330T020000\r\nTZOFFSETFROM:+0100\r\nTZOFFSETTO:+0200',
+    'UID:standup@example.com',
+    'DTSTART;TZID=Europe/Berlin:20250303T093000',
+    'DTEND;TZID=Europe/Berlin:20250303T094500',
+    'SUMMARY:Standup\\; daily\\, with team',
+    'DESCRIPTION:Agenda:\\nblockers and updates',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10',
+    'EXDATE;TZID=Europe/Berlin:20250305T093000',
+    'ATTENDEE;CN="Doe, Jane";ROLE=OPT-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:jane@example.com',
+    'UID:evt-utc@morgen.so',
+    'DTSTART:20250304T100000Z',
+    'END:VCALENDAR'
+  ];
+  for (const text of expected) {
+    if (!unfolded.includes(text)) {
+      throw new Error(`Export should contain ${JSON.stringify(text)}`);
+    }
+  }
+
+  // Occurrences expanded from a longer series end the exported series at the last of them,
+  // and changed occurrences are written with the start they replace
+  const weekly = { frequency: 'weekly', count: 10 };
+  const occurrence = (week, changes = {}) => ({
+    id: `occ-${week}`,
+    masterEventId: 'review',
+    title: 'Review',
+    recurrenceId: `2025-03-${String(3 + week * 7).padStart(2, '0')}T14:00:00`,
+    start: `2025-03-${String(3 + week * 7).padStart(2, '0')}T14:00:00`,
+    duration: 'PT1H',
+    timeZone: 'Europe/Berlin',
+    recurrenceRules: [weekly],
+    ...changes
+  });
+  const series = buildCalendar([
+    occurrence(1),
+    occurrence(2, { title: 'Review (moved)', start: '2025-03-18T16:00:00', recurrenceOverrides: { '2025-03-17T14:00:00': { title: 'Review (moved)', start: '2025-03-18T16:00:00' } } }),
+    occurrence(3)
+  ], { now: Date.UTC(2025, 0, 1) });
+  const seriesText = series.ics.replace(/\r\n /g, '');
+  const seriesExpected = [
+    'UID:review@morgen.so',
+    'DTSTART;TZID=Europe/Berlin:20250310T140000',
+    'RRULE:FREQ=WEEKLY;UNTIL=20250324T130000Z',
+    'RECURRENCE-ID;TZID=Europe/Berlin:20250317T140000\r\nDTSTART;TZID=Europe/Berlin:20250318T160000',
+    'SUMMARY:Review (moved)'
+  ];
+  if (series.eventCount !== 2 || seriesText.includes('COUNT=') || seriesExpected.some(text => !seriesText.includes(text))) {
+    throw new Error(`Unexpected series export:\n${seriesText}`);
+  }
+
+  // Escaped text survives a round trip, backslashes included
+  const paths = { title: 'Share \\\\files\\new', description: 'Path C:\\new\\dir; a, b\nsecond line' };
+  const [roundTrip] = parseCalendar(buildCalendar([
+    { id: 'evt-paths', ...paths, start: '2025-03-04T10:00:00Z', end: '2025-03-04T11:00:00Z', timeZone: 'UTC' }
+  ]).ics);
+  if (roundTrip.title !== paths.title || roundTrip.eventData.description !== paths.description) {
+    throw new Error(`Text changed in a round trip: ${JSON.stringify([roundTrip.title, roundTrip.eventData.description])}`);
+  }
+
+  // The tool writes the calendar to a file
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'morgen-export-test-'));
+  try {
+    const filePath = path.join(directory, 'events.ics');
+    const result = await callTool('export_events', { calendar_ids: 'all', start_date: getZonedDateString(new Date(), 'UTC'), file_path: filePath });
+    const written = fs.readFileSync(filePath, 'utf8');
+    if (!result.content[0].text.includes(filePath) || !written.includes('SUMMARY:Team Meeting') ||
+      result.structuredContent.eventCount !== (written.match(/BEGIN:VEVENT/g) || []).length) {
+      throw new Error('export_events should write the events to the file');
+    }
+    
+    try {
+      await callTool('export_events', { calendar_ids: 'all', file_path: 'relative.ics' });
+      throw new Error('Should have rejected a relative file_path');
+    } catch (error) {
+      if (!error.message.includes('absolute path')) throw error;
+    }
+
+    try {
+      await callTool('export_events', { calendar_ids: 'all', file_path: path.join(directory, 'notes.txt') });
+      throw new Error('Should have rejected a file_path without the .ics extension');
+    } catch (error) {
+      if (!error.message.includes('.ics')) throw error;
+    }
+
+    // An existing file is only replaced with overwrite
+    fs.writeFileSync(filePath, 'keep me');
+    try {
+      await callTool('export_events', { calendar_ids: 'all', file_path: filePath });
+      throw new Error('Should have refused to overwrite an existing file');
+    } catch (error) {
+      if (!error.message.includes('already exists')) throw error;
+    }
+    if (fs.readFileSync(filePath, 'utf8') !== 'keep me') {
+      throw new Error('A refused export should leave the existing file alone');
+    }
+    await callTool('export_events', { calendar_ids: 'all', file_path: filePath, overwrite: true });
+    if (!fs.readFileSync(filePath, 'utf8').startsWith('BEGIN:VCALENDAR')) {
+      throw new Error('overwrite should replace the existing file');
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testICalImport() {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VTIMEZONE',
+    'TZID:W. Europe Standard Time',
+    'BEGIN:STANDARD',
+    'DTSTART:16010101T030000',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:16010101T020000',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE',
+    'BEGIN:VEVENT',
+    'UID:series@partner.example',
+    'SUMMARY:Partner sync\\, weekly',
+    'DESCRIPTION:Agenda:\\nroadmap',
+    'LOCATION:Room 4',
+    'DTSTART;TZID=Europe/Berlin:20250707T100000',
+    'DTEND;TZID=Europe/Berlin:20250707T103000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=6',
+    'EXDATE;TZID=Europe/Berlin:20250714T100000',
+    'ATTENDEE;CN="Doe, Jane";ROLE=OPT-PARTICIPANT:mailto:jane@example.com',
+    'END:VEVENT',
+    // A changed occurrence of the series above
+    'BEGIN:VEVENT',
+    'UID:series@partner.example',
+    'RECURRENCE-ID;TZID=Europe/Berlin:20250721T100000',
+    'SUMMARY:Partner sync (moved)',
+    'DTSTART;TZID=Europe/Berlin:20250722T100000',
+    'DURATION:PT30M',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:outlook@partner.example',
+    'SUMMARY:Keynote',
+    'DTSTART;TZID=W. Europe Standard Time:20250710T090000',
+    'DTEND;TZID=W. Europe Standard Time:20250710T100000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    // Already in the calendar (the mock events are scheduled around now)
+    'UID:uid-1',
+    'SUMMARY:Team Meeting',
+    `DTSTART:${new Date().toISOString().slice(0, 10).replace(/-/g, '')}T000000Z`,
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:cancelled@partner.example',
+    'SUMMARY:Dropped session',
+    'STATUS:CANCELLED',
+    'DTSTART:20250711T090000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:monthly@partner.example',
+    'SUMMARY:Monthly review',
+    'DTSTART:20250710T090000Z',
+    'RRULE:FREQ=MONTHLY;BYMONTHDAY=10',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  
+  const sentBodies = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/create')) {
+      sentBodies.push(JSON.parse(options.body));
+    }
+    return originalFetch(url, options);
+  };
+  
+  try {
+    const client = new MorgenAPIClient('test-api-key-123');
+    const results = await client.importCalendar(ics, { calendarId: 'cal-1', timeZone: 'UTC' });
+    const statuses = results.map(result => `${result.uid}:${result.status}`).join(',');
+    const expected = 'series@partner.example:created,series@partner.example:skipped,outlook@partner.example:created,' +
+      'uid-1:skipped,cancelled@partner.example:skipped,monthly@partner.example:failed';
+    if (statuses !== expected) {
+      throw new Error(`Unexpected import results: ${statuses}`);
+    }
+    if (!results[3].reason.includes('already in the calendar') || !results[5].reason.includes('BYMONTHDAY')) {
+      throw new Error(`Unexpected reasons: ${JSON.stringify(results.map(result => result.reason))}`);
+    }
+    
+    // The series keeps its zone, repeat rule, exception and attendee, without sending invitations
+    const [series, keynote] = sentBodies;
+    const participant = Object.values(series.participants || {})[0];
+    if (series.uid !== 'series@partner.example' || series.title !== 'Partner sync, weekly' ||
+      series.description !== 'Agenda:\nroadmap' || series.location !== 'Room 4' ||
+      series.start !== '2025-07-07T10:00:00' || series.timeZone !== 'Europe/Berlin' || series.duration !== '30m' ||
+      series.recurrenceRules[0].count !== 6 || !series.recurrenceOverrides['2025-07-14T10:00:00'] ||
+      participant.email !== 'jane@example.com' || participant.name !== 'Doe, Jane' || !participant.roles.optional ||
+      participant.scheduleAgent !== 'none') {
+      throw new Error(`Unexpected series payload: ${JSON.stringify(series)}`);
+    }
+    
+    // Times in a custom VTIMEZONE are converted with its summer-time offset
+    if (keynote.start !== '2025-07-10T07:00:00' || keynote.timeZone !== 'UTC' || keynote.duration !== '60m') {
+      throw new Error(`Unexpected keynote payload: ${JSON.stringify(keynote)}`);
+    }
+    
+    const report = await callTool('import_ics', { calendar_id: 'cal-1', ics });
+    if (!report.content[0].text.includes('2 created, 3 skipped, 1 failed') || report.structuredContent.results.length !== 6) {
+      throw new Error(`Unexpected import report: ${report.content[0].text}`);
+    }
+    
+    // Events hidden by the filter rules are still recognized as already imported
+    const busyBlock = mockResponses['/events/list'].data.events.find(event => event.title === 'Busy (via Morgen)');
+    const hidden = await client.importCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      `UID:${busyBlock.uid}`,
+      'SUMMARY:Busy (via Morgen)',
+      `DTSTART:${busyBlock.start.replace(/\.\d{3}/, '').replace(/[-:]/g, '')}`,
+      `DTEND:${busyBlock.end.replace(/\.\d{3}/, '').replace(/[-:]/g, '')}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'), { calendarId: 'cal-1', timeZone: 'UTC' });
+    if (hidden[0].status !== 'skipped') {
+      throw new Error(`A hidden event with the same UID should be skipped, got ${JSON.stringify(hidden[0])}`);
+    }
+    
+    try {
+      await callTool('import_ics', { calendar_id: 'cal-1' });
+      throw new Error('Should have required ics or file_path');
+    } catch (error) {
+      if (!error.message.includes('either ics or file_path')) throw error;
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testDateExpressions() {
+  // Monday 2026-10-19, 12:00 in Berlin
+  const options = { timeZone: 'Europe/Berlin', now: new Date('2026-10-19T10:00:00Z') };
+  const dates = {
+    'tomorrow 9am': '2026-10-20 09:00',
+    'next Tuesday at 3': '2026-10-27 15:00',
+    'friday': '2026-10-23',
+    'last Friday': '2026-10-16',
+    'in 2 weeks': '2026-11-02',
+    'end of month': '2026-10-31',
+    'start of next week': '2026-10-26',
+    'July 4th': '2027-07-04',
+    'tonight at 8': '2026-10-19 20:00',
+    'in 2 hours': '2026-10-19 14:00',
+  };
+  for (const [text, expected] of Object.entries(dates)) {
+    const { date, time } = parseDateExpression(text, options);
+    const actual = time ? `${date} ${time}` : date;
+    if (actual !== expected) {
+      throw new Error(`"${text}" was read as ${actual}, expected ${expected}`);
+    }
+  }
+  
+  for (const text of ['someday', 'feb 30']) {
+    try {
+      parseDateExpression(text, options);
+      throw new Error(`Should have rejected "${text}"`);
+    } catch (error) {
+      if (!error.message.includes('Could not understand')) throw error;
+    }
+  }
+  
+  const durations = { '90 minutes': 90, 'for 1.5 hours': 90, '1h30m': 90, 'half an hour': 30, 'an hour and a half': 90, 'PT45M': 45, 'next month': null };
+  for (const [text, expected] of Object.entries(durations)) {
+    if (parseDurationExpression(text) !== expected) {
+      throw new Error(`Duration "${text}" was read as ${parseDurationExpression(text)}, expected ${expected}`);
+    }
+  }
+  
+  // Tool arguments are resolved in the call's time zone and echoed back
+  const today = getZonedDateString(new Date(), 'UTC');
+  const events = await callTool('get_events', { start_date: 'today', end_date: 'tomorrow', calendar_ids: 'all', time_zone: 'UTC' });
+  const [startDate, endDate] = events.structuredContent.interpreted;
+  if (startDate.value !== today || endDate.value !== getZonedDateString(Date.now() + 86400000, 'UTC') ||
+    !events.content[0].text.startsWith('🕒 Read start_date "today" as')) {
+    throw new Error(`Unexpected date interpretation: ${events.content[0].text.split('\n\n')[0]}`);
+  }
+  
+  const sentBodies = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    if (url.includes('/events/create')) {
+      sentBodies.push(JSON.parse(options.body));
+    }
+    return originalFetch(url, options);
+  };
+  
+  try {
+    const created = await callTool('create_event', {
+      calendar_id: 'cal-1',
+      title: 'Planning',
+      start_time: 'tomorrow 9am',
+      end_time: 'for 90 minutes',
+      time_zone: 'Europe/Berlin',
+    });
+    const tomorrow = getZonedDateString(Date.now() + 86400000, 'Europe/Berlin');
+    const [start, end] = created.structuredContent.interpreted;
+    if (!start.value.startsWith(`${tomorrow}T09:00:00+0`) || end.expression !== 'for 90 minutes' ||
+      sentBodies[0].duration !== '90m' || sentBodies[0].start !== `${tomorrow}T09:00:00` || sentBodies[0].timeZone !== 'Europe/Berlin') {
+      throw new Error(`Unexpected event from date phrases: ${JSON.stringify(sentBodies[0])}`);
+    }
+
+    // Times without an offset are read in the event's zone, like the phrases, also when
+    // checking for conflicts
+    const [meeting] = mockResponses['/events/list'].data.events;
+    const clash = await callTool('create_event', {
+      calendar_id: 'cal-1',
+      title: 'Call Tokyo',
+      start_time: toZonedLocalDateTime(meeting.start, 'Asia/Tokyo'),
+      end_time: 'for 30 minutes',
+      time_zone: 'Asia/Tokyo',
+      on_conflict: 'refuse',
+    });
+    if (clash.structuredContent.created || !clash.structuredContent.conflicts.some(event => event.id === meeting.id)) {
+      throw new Error(`A local start_time should be checked for conflicts in its zone: ${clash.content[0].text}`);
+    }
+    await callTool('create_event', {
+      calendar_id: 'cal-1',
+      title: 'Call Tokyo',
+      start_time: '2025-07-03T09:00:00',
+      time_zone: 'Asia/Tokyo',
+    });
+    if (sentBodies[1].start !== '2025-07-03T09:00:00' || sentBodies[1].timeZone !== 'Asia/Tokyo') {
+      throw new Error(`Unexpected event from a local time: ${JSON.stringify(sentBodies[1])}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+  
+  try {
+    await callTool('get_events', { start_date: 'someday' });
+    throw new Error('Should have rejected an unknown date phrase');
+  } catch (error) {
+    if (!error.message.includes('start_date: Could not understand the date "someday"')) throw error;
+  }
+}
+
+async function testCalendarNames() {
+  const accounts = [
+    { id: 'acc-1', integrationId: 'google', email: 'jane@gmail.com' },
+    { id: 'acc-2', integrationId: 'o365', email: 'jane@corp.example' }
+  ];
+  const calendars = [
+    { id: 'cal-1', name: 'Personal', accountId: 'acc-1' },
+    { id: 'cal-2', name: 'Work', accountId: 'acc-1' },
+    { id: 'cal-3', name: 'Work', accountId: 'acc-2' },
+    { id: 'cal-4', name: 'Team Events', accountId: 'acc-2' }
+  ];
+  
+  const picks = {
+    'cal-4': 'cal-4',
+    'personal': 'cal-1',
+    'team': 'cal-4',
+    'Tema Events': 'cal-4',
+    'Work (jane@corp.example)': 'cal-3',
+  };
+  for (const [reference, expected] of Object.entries(picks)) {
+    const match = resolveCalendar(reference, calendars, accounts);
+    if (match.calendar.id !== expected) {
+      throw new Error(`"${reference}" resolved to ${match.calendar.id}, expected ${expected}`);
+    }
+  }
+  
+  // Same-named calendars and accounts with several calendars are ambiguous
+  for (const reference of ['work', 'jane@gmail.com']) {
+    try {
+      resolveCalendar(reference, calendars, accounts);
+      throw new Error(`"${reference}" should be ambiguous`);
+    } catch (error) {
+      if (!error.message.includes('cal-2') || !error.message.includes('Work (jane@example.com)')) throw error;
+    }
+  }
+  
+  const list = resolveCalendarList('Personal, jane@corp.example', calendars, accounts);
+  if (list.calendarIds !== 'cal-1,cal-3,cal-4' || resolveCalendarList('all', calendars, accounts).calendarIds !== 'all') {
+    throw new Error(`Unexpected calendar list: ${list.calendarIds}`);
+  }
+  // Unknown opaque IDs pass through
+  if (resolveCalendar('WyI2ODAyMmM5OGRjY2JmMjk3NzU1MTFjY2YiXQ', calendars, accounts) !== null) {
+    throw new Error('Unknown calendar IDs should be passed through');
+  }
+  if (resolveAccount('office 365', accounts).account.id !== 'acc-2') {
+    throw new Error('Accounts should resolve by provider name');
+  }
+  
+  // Tool arguments are resolved against the mock calendars and echoed back
+  const events = await callTool('get_events', { calendar_ids: 'work calendar', start_date: '2025-07-02' });
+  const [calendarIds] = events.structuredContent.interpreted;
+  if (calendarIds.value !== 'cal-2' || !events.content[0].text.startsWith('📁 Read calendar_ids "work calendar" as Work Calendar (cal-2)')) {
+    throw new Error(`Unexpected calendar interpretation: ${events.content[0].text.split('\n\n')[0]}`);
+  }
+  
+  const created = await callTool('create_event', {
+    calendar_id: 'Persnal',
+    title: 'Dentist',
+    start_time: new Date(Date.now() + 86400000).toISOString(),
+  });
+  if (created.structuredContent.interpreted[0].value !== 'cal-1') {
+    throw new Error('create_event should resolve a misspelled calendar name');
+  }
+
+  // A calendar added since the list was cached is found after refreshing the list
+  const calendarList = mockResponses['/calendars/list'].data.calendars;
+  const group = { ...calendarList[0], id: 'abc@group.calendar.google.com', name: 'Team Rota' };
+  mockResponses['/calendars/list'].data.calendars = [...calendarList, group];
+  try {
+    const rota = await callTool('get_events', { calendar_ids: group.id, start_date: '2025-07-02' });
+    if (rota.isError || (rota.structuredContent.interpreted || []).length !== 0) {
+      throw new Error(`Expected the new calendar ID to be used as given, got ${rota.content[0].text}`);
+    }
+  } finally {
+    mockResponses['/calendars/list'].data.calendars = calendarList;
+  }
+
+  // The unknown name below refreshes the list again, dropping the added calendar
+  try {
+    await callTool('create_event', { calendar_id: 'Holidays', title: 'Trip', start_time: '2025-07-02T10:00:00Z' });
+    throw new Error('Should have rejected an unknown calendar name');
+  } catch (error) {
+    if (!error.message.includes('calendar_id: No calendar matches "Holidays"')) throw error;
+  }
+}
+
+async function testPreferences() {
+  const file = path.join(os.tmpdir(), `morgen-preferences-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    default_calendar: 'Work',
+    default_duration_minutes: 30,
+    week_start: 'Sunday',
+    hidden_calendars: ['Birthdays'],
+    search_window_days: -5,
+    filter_rules: [{ rsvp: 'declined' }]
+  }));
+  
+  let preferences;
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    preferences = loadPreferences({
+      MORGEN_PREFERENCES_FILE: file,
+      MORGEN_DEFAULT_DURATION: '45',
+      MORGEN_WORKING_HOURS_START: '25:00',
+      MORGEN_HIDDEN_CALENDARS: 'Holidays, cal-9'
+    });
+  } finally {
+    console.error = originalError;
+    fs.unlinkSync(file);
+  }
+  
+  // Settings override the file; invalid values keep the default
+  const expected = {
+    defaultCalendar: 'Work',
+    defaultDurationMinutes: 45,
+    workingHoursStart: '09:00',
+    weekStart: 'sunday',
+    hiddenCalendars: ['Holidays', 'cal-9'],
+    searchWindowDays: 30,
+    filterRules: [{ rsvp: 'declined' }]
+  };
+  for (const [name, value] of Object.entries(expected)) {
+    if (JSON.stringify(preferences[name]) !== JSON.stringify(value)) {
+      throw new Error(`Preference ${name} is ${JSON.stringify(preferences[name])}, expected ${JSON.stringify(value)}`);
+    }
+  }
+  
+  // Weeks start on the configured day
+  const client = new MorgenAPIClient('test-api-key-123', { preferences: { weekStart: 'sunday', hiddenCalendars: ['Work Calendar'] } });
+  const week = await client.getWeekEvents('UTC');
+  if (Object.keys(week)[0] !== 'Sunday') {
+    throw new Error(`Week should start on Sunday, got ${Object.keys(week)[0]}`);
+  }
+  const sunday = parseDateExpression('this week', { timeZone: 'UTC', now: new Date('2025-07-02T12:00:00Z'), weekStart: 0 });
+  if (sunday.date !== '2025-06-29') {
+    throw new Error(`"this week" should start on Sunday 2025-06-29, got ${sunday.date}`);
+  }
+  
+  // Hidden calendars are left out of "all calendars" views
+  const events = await client.getAllEventsInRange(new Date(Date.now() - 86400000).toISOString(), new Date(Date.now() + 86400000).toISOString());
+  if (events.length === 0 || events.some(event => event.calendarId === 'cal-2')) {
+    throw new Error('Events from hidden calendars should be left out');
+  }
+  
+  // ...but their events still take up time
+  const review = mockResponses['/events/list'].data.events.find(event => event.id === 'evt-2');
+  const blocking = await client.getConflictingEvents(review.start, review.end);
+  if (!blocking.some(event => event.id === 'evt-2')) {
+    throw new Error('Conflict checks should include events from hidden calendars');
+  }
+  const today = getZonedDateString(new Date(), 'UTC');
+  const hiddenSlots = await client.findFreeSlots({
+    startDate: today,
+    endDate: addDays(today, 1),
+    durationMinutes: 30,
+    workingHoursStart: '00:00',
+    workingHoursEnd: '24:00',
+    includeWeekends: true,
+    timeZone: 'UTC',
+    calendarIds: 'cal-2',
+    maxResults: 100
+  });
+  if (hiddenSlots.some(slot => slot.start < review.end && slot.end > review.start)) {
+    throw new Error(`A hidden calendar's event should not be reported as free time: ${JSON.stringify(hiddenSlots)}`);
+  }
+  
+  // create_event falls back to the default calendar
+  const { preferences: serverPreferences } = require('../src/index.js');
+  const original = serverPreferences.defaultCalendar;
+  serverPreferences.defaultCalendar = 'Work Calendar';
+  try {
+    const created = await callTool('create_event', { title: 'Planning', start_time: new Date(Date.now() + 86400000).toISOString() });
+    if (created.structuredContent.interpreted[0].value !== 'cal-2') {
+      throw new Error('create_event should use the default calendar');
+    }
+  } finally {
+    serverPreferences.defaultCalendar = original;
+  }
+}
+
+async function testFindFreeSlots() {
+  // Wednesday 2025-07-02 in New York (UTC-4): working hours 09:00-17:00 = 13:00Z-21:00Z
+  const events = [
+    { title: 'Standup', start: '2025-07-02T13:00:00Z', end: '2025-07-02T13:30:00Z' },
+    { title: 'Lunch', start: '2025-07-02T16:00:00Z', duration: 'PT1H' },
+    { title: 'Focus (free)', start: '2025-07-02T18:00:00Z', end: '2025-07-02T20:00:00Z', freeBusyStatus: 'free' },
+    { title: 'Review', start: '2025-07-02T19:00:00Z', end: '2025-07-02T20:00:00Z' }
+  ];
+  
+  const slots = findFreeSlots(events, {
+    startDate: '2025-07-02',
+    endDate: '2025-07-02',
+    durationMinutes: 45,
+    timeZone: 'America/New_York',
+    bufferMinutes: 15
+  });
+  
+  // Gaps: 13:45-15:45 (120), 17:15-18:45 (90), 20:15-21:00 (45); free events do not block
+  const summary = slots.map(slot => `${slot.start.slice(11, 16)}-${slot.end.slice(11, 16)}`).join(',');
+  if (summary !== '13:45-15:45,17:15-18:45,20:15-21:00') {
+    throw new Error(`Unexpected free slots: ${summary}`);
+  }
+  
+  // Weekends are skipped unless requested
+  const weekend = findFreeSlots([], { startDate: '2025-07-05', endDate: '2025-07-06', durationMinutes: 30 });
+  if (weekend.length !== 0) {
+    throw new Error('Weekend days should be skipped by default');
+  }
+  
+  // Client validates its options and returns ranked windows
+  const client = new MorgenAPIClient('test-api-key-123');
+  try {
+    await client.findFreeSlots({ durationMinutes: 30, timeZone: 'Mars/Olympus' });
+    throw new Error('Should have thrown error for invalid time zone');
+  } catch (error) {
+    if (!error.message.includes('Invalid time zone')) {
+      throw error;
+    }
+  }
+  
+  const future = new Date(Date.now() + 14 * 86400000).toISOString().slice(0, 10);
+  const clientSlots = await client.findFreeSlots({
+    startDate: future,
+    endDate: future,
+    durationMinutes: 30,
+    includeWeekends: true,
+    calendarIds: 'cal-1'
+  });
+  if (clientSlots.length !== 1 || clientSlots[0].durationMinutes !== 480) {
+    throw new Error(`Expected one full working day free, got ${JSON.stringify(clientSlots)}`);
+  }
+}
+
+async function testFindConflicts() {
+  const events = [
+    { id: 'a', title: 'Standup', start: '2025-07-02T09:00:00Z', end: '2025-07-02T10:00:00Z' },
+    { id: 'b', title: 'Client Call', start: '2025-07-02T09:30:00Z', end: '2025-07-02T10:30:00Z' },
+    { id: 'c', title: 'Dentist', start: '2025-07-02T10:15:00Z', duration: 'PT30M' },
+    { id: 'd', title: 'Lunch', start: '2025-07-02T10:45:00Z', end: '2025-07-02T11:30:00Z' },
+    { id: 'e', title: 'Out of office (free)', start: '2025-07-02T09:00:00Z', end: '2025-07-02T17:00:00Z', transparency: 'transparent' }
+  ];
+  
+  const conflicts = findConflicts(events);
+  const pairs = conflicts.map(c => `${c.events[0].id}-${c.events[1].id}:${c.overlapMinutes}`).join(',');
+  if (pairs !== 'a-b:30,b-c:15') {
+    throw new Error(`Unexpected conflicts: ${pairs}`);
+  }
+  
+  // Overlaps with a proposed window via the client (mock events start now and in 2 hours)
+  const client = new MorgenAPIClient('test-api-key-123');
+  const overlapping = await client.getConflictingEvents(
+    new Date(Date.now() + 1800000).toISOString(),
+    new Date(Date.now() + 5400000).toISOString()
+  );
+  if (overlapping.length !== 1 || overlapping[0].title !== 'Team Meeting') {
+    throw new Error(`Expected Team Meeting to conflict, got ${overlapping.map(e => e.title).join(', ')}`);
+  }
+  
+  const none = await client.getConflictingEvents(
+    new Date(Date.now() + 30 * 86400000).toISOString(),
+    new Date(Date.now() + 30 * 86400000 + 3600000).toISOString()
+  );
+  if (none.length !== 0) {
+    throw new Error('Expected no conflicts in an empty window');
+  }
+  
+  // create_event refuses when the check fails in refuse mode, and says so in warn mode
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => (url.includes('/events/list')
+    ? { ok: false, status: 400, statusText: 'Bad Request', json: async () => ({ error: 'Bad Request' }) }
+    : originalFetch(url, options));
+  try {
+    const offsite = { calendar_id: 'cal-1', title: 'Offsite', start_time: new Date(Date.now() + 400 * 86400000).toISOString() };
+    try {
+      await callTool('create_event', { ...offsite, on_conflict: 'refuse' });
+      throw new Error('Should have refused to create the event without a conflict check');
+    } catch (error) {
+      if (!error.message.includes('the conflict check failed')) throw error;
+    }
+    
+    const created = await callTool('create_event', offsite);
+    if (!created.structuredContent.conflictCheckError || !created.content[0].text.includes('could not check for overlapping events')) {
+      throw new Error('create_event should report that the conflict check could not run');
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testEventFiltering() {
+  const client = new MorgenAPIClient('test-api-key-123');
+  
+  // Test that filtered events are excluded from all methods
+  const allEvents = await client.listEvents();
+  
+  // Verify no filtered events in results
+  const busyEvents = allEvents.filter(event => event.title === 'Busy (via Morgen)');
+  const untitledEvents = allEvents.filter(event => event.title === 'Untitled Event');
+  
+  if (busyEvents.length > 0) {
+    throw new Error('listEvents should filter out "Busy (via Morgen)" events');
+  }
+  
+  if (untitledEvents.length > 0) {
+    throw new Error('listEvents should filter out "Untitled Event" events');
+  }
+  
+  // Test search filtering
+  const searchResults = await client.searchEvents('event'); // Should match "Untitled Event" but it should be filtered
+  const searchUntitled = searchResults.filter(event => event.title === 'Untitled Event');
+  const searchBusy = searchResults.filter(event => event.title === 'Busy (via Morgen)');
+  
+  if (searchUntitled.length > 0) {
+    throw new Error('searchEvents should filter out "Untitled Event" events');
+  }
+  
+  if (searchBusy.length > 0) {
+    throw new Error('searchEvents should filter out "Busy (via Morgen)" events');
+  }
+  
+  // Verify we still get valid events
+  if (allEvents.length !== 2) {
+    throw new Error(`Expected 2 valid events after filtering, got ${allEvents.length}`);
+  }
+  
+  // Verify the returned events are the expected ones
+  const eventTitles = allEvents.map(event => event.title).sort();
+  const expectedTitles = ['Client Review', 'Team Meeting'];
+  
+  if (JSON.stringify(eventTitles) !== JSON.stringify(expectedTitles)) {
+    throw new Error(`Expected events [${expectedTitles.join(', ')}], got [${eventTitles.join(', ')}]`);
+  }
+  
+  // include_hidden shows what the rules leave out
+  const withHidden = await client.listEvents({ includeHidden: true });
+  const hiddenSearch = await client.searchEvents('untitled', { includeHidden: true });
+  if (withHidden.length !== 4 || !hiddenSearch.some(event => event.title === 'Untitled Event')) {
+    throw new Error('include_hidden should return events hidden by the filter rules');
+  }
+  const toolResult = await callTool('search_events', { query: 'busy', include_hidden: true });
+  if (!toolResult.content[0].text.includes('Busy (via Morgen)')) {
+    throw new Error('search_events should show hidden events with include_hidden');
+  }
+  
+  // Hidden busy blocks still take up time
+  const busyBlock = mockResponses['/events/list'].data.events.find(event => event.title === 'Busy (via Morgen)');
+  const overlapping = await client.getConflictingEvents(busyBlock.start, busyBlock.end);
+  if (!overlapping.some(event => event.id === busyBlock.id)) {
+    throw new Error('Conflict checks should include hidden busy blocks');
+  }
+  const busyDay = getZonedDateString(new Date(busyBlock.start), 'UTC');
+  const freeSlots = await client.findFreeSlots({
+    startDate: busyDay,
+    endDate: busyDay,
+    durationMinutes: 30,
+    workingHoursStart: '00:00',
+    workingHoursEnd: '24:00',
+    includeWeekends: true,
+    timeZone: 'UTC',
+    calendarIds: 'cal-1',
+    maxResults: 100
+  });
+  if (freeSlots.some(slot => slot.start < busyBlock.end && slot.end > busyBlock.start)) {
+    throw new Error(`A hidden busy block should not be reported as free time: ${JSON.stringify(freeSlots)}`);
+  }
+  
+  // Rules match on title, calendar, transparency, RSVP status, all-day and organizer
+  const context = {
+    calendars: [{ id: 'cal-1', name: 'Personal', accountId: 'acc-1' }, { id: 'cal-2', name: 'Work', accountId: 'acc-1' }],
+    accounts: [{ id: 'acc-1', email: 'me@example.com' }]
+  };
+  const participant = (email, status, owner) => ({ email, participationStatus: status, roles: owner ? { owner: true } : { attendee: true } });
+  const events = [
+    { id: 'declined', calendarId: 'cal-2', title: 'Offsite', participants: { a: participant('me@example.com', 'declined') } },
+    { id: 'home', calendarId: 'cal-1', title: 'home', showWithoutTime: true },
+    { id: 'home-timed', calendarId: 'cal-1', title: 'Home' },
+    { id: 'focus', calendarId: 'cal-2', title: 'Focus time', freeBusyStatus: 'free' },
+    { id: 'focus-other', calendarId: 'cal-1', title: 'Focus time', freeBusyStatus: 'free' },
+    { id: 'newsletter', calendarId: 'cal-2', title: 'Webinar', participants: { b: participant('events@news.example.org', 'accepted', true) } },
+    { id: 'kept', calendarId: 'cal-2', title: 'Planning', participants: { a: participant('me@example.com', 'accepted') } }
+  ];
+  const rules = parseFilterRules(JSON.stringify([
+    { rsvp: 'declined' },
+    { title: 'Home', all_day: true },
+    { title: '/^focus/i', calendar: 'work', transparency: 'free' },
+    { organizer: '*@news.example.org' }
+  ]));
+  const kept = filterEvents(events, rules, context).map(event => event.id).join(',');
+  if (kept !== 'home-timed,focus-other,kept') {
+    throw new Error(`Unexpected events after filter rules: ${kept}`);
+  }
+  
+  // Configured rules replace the defaults; invalid rules are rejected
+  const unfiltered = new MorgenAPIClient('test-api-key-123', { preferences: { filterRules: [] } });
+  if ((await unfiltered.listEvents()).length !== 4) {
+    throw new Error('An empty rule list should hide nothing');
+  }
+  for (const invalid of [[{ colour: 'red' }], [{ rsvp: 'maybe' }], [{}], '{"title": "x"}']) {
+    try {
+      parseFilterRules(invalid);
+      throw new Error(`Should have rejected filter rules ${JSON.stringify(invalid)}`);
+    } catch (error) {
+      if (error.message.startsWith('Should have')) throw error;
+    }
+  }
+}
+
+async function testToolSchemas() {
+  // Verify all tools have proper schemas
+  const requiredTools = [
+    'list_calendars',
+    'list_accounts',
+    'get_today_events',
+    'get_week_events',
+    'get_events',
+    'search_events',
+    'find_free_slots',
+    'find_conflicts',
+    'create_event',
+    'update_event',
+    'delete_event',
+    'list_tasks',
+    'create_task',
+    'update_task',
+    'complete_task',
+    'delete_task'
+  ];
+  
+  const toolNames = toolSchemas.map(t => t.name);
+  
+  for (const required of requiredTools) {
+    if (!toolNames.includes(required)) {
+      throw new Error(`Missing required tool: ${required}`);
+    }
+  }
+  
+  // Verify schema structure
+  for (const tool of toolSchemas) {
+    if (!tool.name || !tool.description || !tool.inputSchema) {
+      throw new Error(`Tool ${tool.name} missing required schema fields`);
+    }
+    
+    if (tool.inputSchema.type !== 'object') {
+      throw new Error(`Tool ${tool.name} input schema must be object type`);
+    }
+  }
+}
+
+async function testResources() {
+  // Verify the PRD resources and templates are declared
+  const uris = resourceSchemas.map(r => r.uri);
+  for (const required of ['morgen://calendars', 'morgen://accounts', 'morgen://integrations']) {
+    if (!uris.includes(required)) {
+      throw new Error(`Missing required resource: ${required}`);
+    }
+  }
+  
+  const templates = resourceTemplates.map(t => t.uriTemplate);
+  for (const required of ['morgen://calendars/{id}', 'morgen://events/{date}']) {
+    if (!templates.includes(required)) {
+      throw new Error(`Missing required resource template: ${required}`);
+    }
+  }
+  
+  const calendars = await readResource('morgen://calendars');
+  if (!calendars.includes('Personal Calendar') || !calendars.includes('Work Calendar')) {
+    throw new Error('Calendars resource should list all calendars');
+  }
+  
+  const integrations = await readResource('morgen://integrations');
+  if (!integrations.includes('Google Calendar') || !integrations.includes('user@outlook.com')) {
+    throw new Error('Integrations resource should list providers with their accounts');
+  }
+  
+  const calendar = await readResource('morgen://calendars/cal-2');
+  if (!calendar.includes('Work Calendar') || calendar.includes('Personal Calendar')) {
+    throw new Error('Calendar template should only return the requested calendar');
+  }
+  
+  // Mock events are scheduled around the current time
+  const today = getZonedDateString(new Date(), Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const events = await readResource(`morgen://events/${today}`);
+  if (!events.includes('Team Meeting')) {
+    throw new Error('Events template should list the day\'s events');
+  }
+  
+  // Invalid URIs are rejected
+  for (const uri of ['morgen://calendars/cal-unknown', 'morgen://events/tomorrow', 'morgen://unknown']) {
+    try {
+      await readResource(uri);
+      throw new Error(`Should have thrown error for ${uri}`);
+    } catch (error) {
+      if (error.message.includes('Should have thrown')) {
+        throw error;
+      }
+    }
+  }
+}
+
+async function testErrorHandling() {
+  // Test with invalid API key
+  const badClient = new MorgenAPIClient('invalid-key');
+  
+  try {
+    await badClient.listCalendars();
+    throw new Error('Should have thrown error for invalid API key');
+  } catch (error) {
+    if (!error.message.includes('401')) {
+      throw new Error('Unexpected error for invalid API key');
+    }
+  }
+  
+  // Test network error
+  global.fetch = async () => {
+    throw new Error('Network failure');
+  };
+  
+  try {
+    await badClient.listCalendars();
+    throw new Error('Should have thrown network error');
+  } catch (error) {
+    if (!error.message.includes('Network error')) {
+      throw new Error('Unexpected error for network failure');
+    }
+  }
+  
+  // Restore mock fetch
+  global.fetch = createMockFetch();
+}
+
+async function testRetries() {
+  const client = new MorgenAPIClient('test-api-key-123', { retry: { baseDelayMs: 1 } });
+  const originalFetch = global.fetch;
+  
+  // Replay a scripted sequence of responses, recording each call
+  let calls;
+  const script = (responses) => {
+    calls = [];
+    global.fetch = async (url, options = {}) => {
+      calls.push({ url, options });
+      const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+      if (next instanceof Error) throw next;
+      return {
+        ok: next.status < 400,
+        status: next.status,
+        statusText: next.statusText || 'Status',
+        headers: new Headers(next.headers || {}),
+        json: async () => next.body || {},
+        ...(next.text !== undefined && { text: async () => next.text })
+      };
+    };
+  };
+  
+  try {
+    // 503 then success: GET is retried
+    script([{ status: 503 }, { status: 200, body: { data: { calendars: [] } } }]);
+    await client.request('/calendars/list');
+    if (calls.length !== 2) {
+      throw new Error(`Expected 2 calls for 503 then 200, got ${calls.length}`);
+    }
+    
+    // Network error then success
+    script([new Error('socket hang up'), { status: 200 }]);
+    await client.request('/calendars/list');
+    if (calls.length !== 2) {
+      throw new Error(`Expected network errors to be retried, got ${calls.length} calls`);
+    }
+    
+    // 429 honours Retry-After and records the rate-limit budget
+    script([
+      { status: 429, headers: { 'Retry-After': '0' } },
+      { status: 200, headers: { 'RateLimit-Limit': '100', 'RateLimit-Remaining': '42', 'RateLimit-Reset': '30' } }
+    ]);
+    await client.request('/calendars/list');
+    if (calls.length !== 2 || client.rateLimit?.remaining !== 42) {
+      throw new Error(`429 retry or rate-limit tracking failed: ${JSON.stringify(client.rateLimit)}`);
+    }
+    
+    // Successful responses are never retried: an empty body is null, a broken one an error
+    script([{ status: 200, text: '' }, { status: 200 }]);
+    const empty = await client.request('/calendars/list');
+    if (empty !== null || calls.length !== 1) {
+      throw new Error(`Empty 200 should give null without a retry, got ${JSON.stringify(empty)} after ${calls.length} calls`);
+    }
+    script([{ status: 200, text: '{"data":' }, { status: 200 }]);
+    const broken = await client.request('/calendars/list').catch(error => error);
+    if (calls.length !== 1 || !broken.message.includes('Invalid JSON')) {
+      throw new Error(`Unreadable 200 should fail without a retry, got ${broken.message} after ${calls.length} calls`);
+    }
+    
+    // Client errors are not retried
+    script([{ status: 401 }]);
+    await client.request('/calendars/list').catch(() => {});
+    if (calls.length !== 1) {
+      throw new Error(`401 should not be retried, got ${calls.length} calls`);
+    }
+    
+    // POSTs are only retried with an idempotency key
+    script([{ status: 503 }, { status: 200 }]);
+    await client.request('/events/create', { method: 'POST', body: '{}' }).catch(() => {});
+    if (calls.length !== 1) {
+      throw new Error(`POST without idempotency key should not be retried, got ${calls.length} calls`);
+    }
+    
+    script([{ status: 503 }, { status: 200 }]);
+    await client.request('/events/create', { method: 'POST', body: '{}', idempotencyKey: 'key-1' });
+    if (calls.length !== 2 || calls[1].options.headers['Idempotency-Key'] !== 'key-1') {
+      throw new Error('POST with idempotency key should be retried and send the key');
+    }
+    
+    // Retries give up after maxRetries and surface the last error
+    script([{ status: 500 }]);
+    try {
+      await client.request('/calendars/list');
+      throw new Error('Should have thrown after exhausting retries');
+    } catch (error) {
+      if (error.status !== 500 || calls.length !== 4) {
+        throw new Error(`Expected 4 attempts ending in 500, got ${calls.length}: ${error.message}`);
+      }
+    }
+    
+    // The total timeout aborts a hanging request
+    global.fetch = (url, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    try {
+      await client.request('/calendars/list', { timeoutMs: 20 });
+      throw new Error('Should have timed out');
+    } catch (error) {
+      if (!error.timeout) {
+        throw error;
+      }
+    }
+
+    // ...including one whose body stalls after the headers arrived
+    global.fetch = async () => ({ ok: true, status: 200, statusText: 'OK', text: () => new Promise(() => {}) });
+    try {
+      await client.request('/calendars/list', { timeoutMs: 20 });
+      throw new Error('Should have timed out while reading the body');
+    } catch (error) {
+      if (!error.timeout) {
+        throw error;
+      }
+    }
+
+    // Waiting in the limiter queue does not count against the timeout
+    const queued = new MorgenAPIClient('test-api-key-123', { rateLimit: { maxConcurrent: 1 } });
+    global.fetch = (url, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      setTimeout(() => resolve({ ok: true, status: 200, statusText: 'OK', json: async () => ({ data: {} }) }), 30);
+    });
+    await Promise.all([1, 2, 3].map(() => queued.request('/calendars/list', { timeoutMs: 50 })));
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testRateLimiter() {
+  const client = new MorgenAPIClient('test-api-key-123', {
+    rateLimit: { capacity: 2, refillPerSecond: 100, maxConcurrent: 2 }
+  });
+  const originalFetch = global.fetch;
+  
+  let inFlight = 0;
+  let maxInFlight = 0;
+  let calls = 0;
+  let headers = {};
+  global.fetch = async () => {
+    calls++;
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    return { ok: true, status: 200, headers: new Headers(headers), json: async () => ({}) };
+  };
+  
+  try {
+    // A burst larger than the bucket is queued, never exceeding the concurrency bound
+    await Promise.all(Array.from({ length: 6 }, () => client.request('/calendars/list')));
+    if (calls !== 6 || maxInFlight > 2) {
+      throw new Error(`Expected 6 calls with at most 2 in flight, got ${calls} calls and ${maxInFlight} in flight`);
+    }
+    
+    // An exhausted server-side budget pauses the limiter until the reset
+    headers = { 'RateLimit-Limit': '100', 'RateLimit-Remaining': '0', 'RateLimit-Reset': '60' };
+    await client.request('/calendars/list');
+    const diagnostics = client.getDiagnostics();
+    if (!diagnostics.limiter.pausedUntil || diagnostics.rateLimit.remaining !== 0) {
+      throw new Error(`Limiter should pause when the API budget is spent: ${JSON.stringify(diagnostics)}`);
+    }
+    
+    const text = formatDiagnostics(diagnostics, 'UTC');
+    if (!text.includes('Remaining: 0/100') || !text.includes('Paused until')) {
+      throw new Error(`Diagnostics output missing budget details: ${text}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testCaching() {
   const client = new MorgenAPIClient('test-api-key-123');
   
   // Test cache functionality by checking if data is cached
@@ -499,23 +2276,376 @@ async function testCaching() {
     endDate: new Date(Date.now() + 90000000).toISOString()
   };
   
-  // Get events to populate cache
-  await client.getTodayEvents();
-  const statsBefore = client.getCacheStats();
+  // Get events to populate the event store
+  await client.getEvents({
+    startDate: new Date().toISOString(),
+    endDate: new Date(Date.now() + 2 * 86400000).toISOString(),
+    calendarIds: 'all'
+  });
+  const slot = [new Date(eventData.startDate).getTime(), new Date(eventData.endDate).getTime()];
+  const coveredBefore = client.eventStore.isCovered('cal-1', ...slot);
+  const storeBefore = client.eventStore.stats();
   
-  // Create event (should invalidate event caches)
+  // Create event (should invalidate the event's slot)
   await client.createEvent(eventData);
-  const statsAfter = client.getCacheStats();
+  const storeAfter = client.eventStore.stats();
   
-  // Event caches should be cleared, but calendar/account caches should remain
-  if (statsAfter.size >= statsBefore.size) {
+  // The slot should be fetched again, but other calendars and the calendar/account caches should remain
+  if (!coveredBefore || client.eventStore.isCovered('cal-1', ...slot) || !client.eventStore.isCovered('cal-2', ...slot)) {
     throw new Error('Cache invalidation not working properly');
   }
+  if (storeAfter.calendars !== storeBefore.calendars || client.cache.get('calendars') === null) {
+    throw new Error('Creating an event should keep other cached data');
+  }
   
   // Restore original fetch
   global.fetch = originalFetch;
 }
 
+async function testEventStore() {
+  const client = new MorgenAPIClient('test-api-key-123');
+  const originalFetch = global.fetch;
+  
+  // Record the calendars and range of every events request
+  let requests = [];
+  global.fetch = async (url, options) => {
+    const params = new URL(url).searchParams;
+    if (url.includes('/events/list')) {
+      requests.push({ calendarIds: params.get('calendarIds'), start: params.get('start'), end: params.get('end') });
+    }
+    return originalFetch(url, options);
+  };
+  
+  const hour = 3600000;
+  const base = Math.floor(Date.now() / hour) * hour;
+  const iso = offset => new Date(base + offset * hour).toISOString();
+  
+  try {
+    // A sub-range of a fetched window is served from memory
+    await client.getEvents({ startDate: iso(-24), endDate: iso(48), calendarIds: 'all' });
+    requests = [];
+    const subRange = await client.getEvents({ startDate: iso(0), endDate: iso(2), calendarIds: 'cal-1,cal-2' });
+    if (requests.length !== 0 || !subRange.some(event => event.id === 'evt-1')) {
+      throw new Error(`Sub-range should come from the store, made ${requests.length} requests`);
+    }
+    
+    // Widening the range only fetches the missing gap
+    await client.getEvents({ startDate: iso(-24), endDate: iso(72), calendarIds: 'all' });
+    if (requests.length !== 1 || requests[0].start !== iso(48) || requests[0].end !== iso(72)) {
+      throw new Error(`Expected one request for the gap, got ${JSON.stringify(requests)}`);
+    }
+    
+    // Creating an event only forgets its own slot in its own calendar
+    requests = [];
+    await client.createEvent({ calendarId: 'cal-1', title: 'Store Test', startDate: iso(30), endDate: iso(31) });
+    await client.getEvents({ startDate: iso(0), endDate: iso(2), calendarIds: 'all' });
+    if (requests.length !== 0) {
+      throw new Error('Creating an event should not invalidate unrelated windows');
+    }
+    await client.getEvents({ startDate: iso(-24), endDate: iso(72), calendarIds: 'all' });
+    if (requests.length !== 1 || requests[0].calendarIds !== 'cal-1' || requests[0].start !== iso(30)) {
+      throw new Error(`Expected a refetch of the new event's slot in cal-1, got ${JSON.stringify(requests)}`);
+    }
+    
+    // Deleting a known event forgets the window around it
+    requests = [];
+    await client.deleteEvent({ id: 'evt-2', calendarId: 'cal-2' });
+    await client.getEvents({ startDate: iso(-24), endDate: iso(72), calendarIds: 'all' });
+    if (requests.length !== 1 || requests[0].calendarIds !== 'cal-2') {
+      throw new Error(`Expected a refetch of cal-2 only, got ${JSON.stringify(requests)}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testCacheEviction() {
+  const cache = new SimpleCache({ maxSize: 3, ttlPolicies: { 'search:': 30, 'events:': 60, 'events:today': 120 } });
+  
+  try {
+    // Reading an entry keeps it from being evicted ahead of newer one-off keys
+    cache.set('calendars', ['cal-1']);
+    cache.set('search:a', 1);
+    cache.set('search:b', 2);
+    cache.get('calendars');
+    cache.set('search:c', 3);
+    if (!cache.has('calendars') || cache.has('search:a')) {
+      throw new Error('Least recently used entry should be evicted first');
+    }
+    
+    // Hits, misses and evictions are counted
+    cache.get('search:a');
+    const stats = cache.stats();
+    if (stats.hits !== 1 || stats.misses !== 1 || stats.evictions !== 1) {
+      throw new Error(`Unexpected counters: ${JSON.stringify(stats)}`);
+    }
+    
+    // TTLs come from the longest matching prefix, then the default
+    if (cache.ttlFor('events:today:UTC') !== 120 || cache.ttlFor('events:range:x') !== 60 || cache.ttlFor('other') !== 300) {
+      throw new Error('Per-prefix TTL policies not applied');
+    }
+  } finally {
+    cache.destroy();
+  }
+  
+  // The byte limit evicts old entries to make room and skips values that can never fit
+  const sized = new SimpleCache({ maxBytes: 100 });
+  try {
+    sized.set('a', 'x'.repeat(40));
+    sized.set('b', 'x'.repeat(40));
+    sized.set('c', 'x'.repeat(40));
+    if (sized.has('a') || !sized.has('c') || sized.stats().bytes > 100) {
+      throw new Error(`Byte limit not enforced: ${JSON.stringify(sized.stats())}`);
+    }
+    sized.set('huge', 'x'.repeat(200));
+    if (sized.has('huge') || !sized.has('c')) {
+      throw new Error('Oversized values should not be cached or evict others');
+    }
+  } finally {
+    sized.destroy();
+  }
+}
+
+async function testEventSync() {
+  const client = new MorgenAPIClient('test-api-key-123');
+  const originalFetch = global.fetch;
+  
+  // Answer sync requests with one edited and one deleted event
+  let requests = [];
+  let syncStatus = 200;
+  let plainListing = null;
+  global.fetch = async (url, options) => {
+    const params = new URL(url).searchParams;
+    if (url.includes('/events/list')) {
+      requests.push(Object.fromEntries(params));
+      if (plainListing && (params.has('updatedSince') || params.has('syncToken'))) {
+        return { ok: true, status: 200, statusText: 'OK', json: async () => ({ data: { events: plainListing } }) };
+      }
+      if (params.has('updatedSince') || params.has('syncToken')) {
+        const edited = { ...mockResponses['/events/list'].data.events[0], title: 'Team Meeting (moved)' };
+        return {
+          ok: syncStatus < 400,
+          status: syncStatus,
+          statusText: syncStatus < 400 ? 'OK' : 'Bad Request',
+          json: async () => ({ data: { events: [edited], deletedEventIds: ['evt-2'], syncToken: 'token-1' } })
+        };
+      }
+    }
+    return originalFetch(url, options);
+  };
+  
+  // Pretend the stored windows (and the getEvents results built from them) were fetched a few minutes ago
+  const expireWindows = () => {
+    for (const calendar of client.eventStore.calendars.values()) {
+      calendar.windows.forEach(window => { window.fetchedAt -= 5 * 60 * 1000; });
+    }
+    [...client.cache.cache.keys()].filter(key => key.startsWith('events:range')).forEach(key => client.cache.delete(key));
+  };
+  
+  const range = {
+    startDate: new Date(Date.now() - 86400000).toISOString(),
+    endDate: new Date(Date.now() + 86400000).toISOString(),
+    calendarIds: 'all'
+  };
+  
+  try {
+    await client.getEvents(range);
+    
+    // Expired windows are synced with the changes since the first fetch
+    expireWindows();
+    requests = [];
+    let events = await client.getEvents(range);
+    if (requests.length !== 1 || !requests[0].updatedSince) {
+      throw new Error(`Expected one updatedSince request, got ${JSON.stringify(requests)}`);
+    }
+    if (!events.some(event => event.title === 'Team Meeting (moved)') || events.some(event => event.id === 'evt-2')) {
+      throw new Error('Sync changes were not applied to the store');
+    }
+    const { lastSync } = client.getDiagnostics().sync;
+    if (lastSync.updated !== 1 || lastSync.removed !== 1) {
+      throw new Error(`Unexpected sync summary: ${JSON.stringify(lastSync)}`);
+    }
+    
+    // The next sync continues from the server's token
+    expireWindows();
+    requests = [];
+    await client.getEvents(range);
+    if (requests.length !== 1 || requests[0].syncToken !== 'token-1') {
+      throw new Error(`Expected a syncToken request, got ${JSON.stringify(requests)}`);
+    }
+    
+    // A plain listing (no sync token) is a full snapshot: events missing from it are gone
+    client.invalidateEventCaches('cal-2');
+    events = await client.getEvents(range);
+    if (!events.some(event => event.id === 'evt-2')) {
+      throw new Error('Re-fetching cal-2 should bring back evt-2');
+    }
+    plainListing = mockResponses['/events/list'].data.events.filter(event => event.id !== 'evt-2');
+    expireWindows();
+    events = await client.getEvents(range);
+    if (events.some(event => event.id === 'evt-2') || !events.some(event => event.title === 'Team Meeting')) {
+      throw new Error(`A plain listing should replace the stored events, got ${events.map(event => event.id).join(',')}`);
+    }
+    if (client.getDiagnostics().sync.lastSync.removed !== 1) {
+      throw new Error('Events missing from a plain listing should count as removed');
+    }
+    plainListing = null;
+    
+    // An API that rejects sync parameters falls back to full fetches
+    syncStatus = 400;
+    expireWindows();
+    requests = [];
+    events = await client.getEvents(range);
+    if (client.syncSupported || !requests.some(request => !request.syncToken && !request.updatedSince)) {
+      throw new Error('Should fall back to a full fetch when sync is rejected');
+    }
+    if (!events.some(event => event.id === 'evt-2')) {
+      throw new Error('Full fetch should restore the complete event list');
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testWhatChanged() {
+  const client = new MorgenAPIClient('test-api-key-123');
+  const originalFetch = global.fetch;
+  
+  try {
+    // The first call only saves the checkpoint
+    const first = await client.whatChanged({ name: 'morning', timeZone: 'UTC' });
+    if (first.changes !== null || first.eventCount !== 2) {
+      throw new Error(`Expected a new checkpoint with 2 events, got ${JSON.stringify(first)}`);
+    }
+    
+    // Reschedule and retitle evt-1, invite someone to it, drop evt-2 and add evt-5
+    const [meeting] = mockResponses['/events/list'].data.events;
+    const changedEvents = [
+      {
+        ...meeting,
+        title: 'Team Sync',
+        start: new Date(new Date(meeting.start).getTime() + 3600000).toISOString(),
+        end: new Date(new Date(meeting.end).getTime() + 3600000).toISOString(),
+        participants: { 'jane@example.com': { email: 'jane@example.com', roles: { attendee: true } } }
+      },
+      { ...meeting, id: 'evt-5', calendarId: 'cal-2', title: 'Lunch' }
+    ];
+    global.fetch = async (url, options) => {
+      if (url.includes('/events/list')) {
+        return { ok: true, status: 200, json: async () => ({ data: { events: changedEvents } }) };
+      }
+      return originalFetch(url, options);
+    };
+    
+    const second = await client.whatChanged({ name: 'morning', timeZone: 'UTC' });
+    const { added, removed, rescheduled, edited } = second.changes;
+    if (added.length !== 1 || added[0].id !== 'evt-5') {
+      throw new Error(`Expected evt-5 added, got ${JSON.stringify(added)}`);
+    }
+    if (removed.length !== 1 || removed[0].id !== 'evt-2') {
+      throw new Error(`Expected evt-2 removed, got ${JSON.stringify(removed)}`);
+    }
+    if (rescheduled.length !== 1 || rescheduled[0].after.id !== 'evt-1') {
+      throw new Error('Expected evt-1 rescheduled');
+    }
+    const fields = edited[0] ? edited[0].fields.map(change => change.field) : [];
+    if (!fields.includes('title') || !fields.includes('attendees')) {
+      throw new Error(`Expected title and attendee edits, got ${JSON.stringify(fields)}`);
+    }
+    
+    const text = formatScheduleChanges(second.changes, await client.listCalendars(), 'UTC');
+    if (!text.includes('Personal Calendar') || !text.includes('Work Calendar') || !text.includes('+jane@example.com')) {
+      throw new Error(`Changes should be attributed per calendar: ${text}`);
+    }
+    
+    // The checkpoint moved forward, so nothing has changed since
+    const third = await client.whatChanged({ name: 'morning', timeZone: 'UTC' });
+    if (countChanges(third.changes) !== 0) {
+      throw new Error('Checkpoint should have been updated after reporting');
+    }
+
+    // Occurrences of a recurring event share its ID and are compared one by one
+    const occurrences = [1, 2, 3].map(day => ({
+      ...meeting,
+      id: 'standup',
+      title: 'Standup',
+      recurrenceId: `2025-07-0${day}T09:00:00`,
+      start: `2025-07-0${day}T09:00:00Z`,
+      end: `2025-07-0${day}T09:15:00Z`
+    }));
+    changedEvents.splice(0, changedEvents.length, ...occurrences);
+    await client.whatChanged({ name: 'standup', timeZone: 'UTC', startDate: '2025-07-01', endDate: '2025-07-03' });
+    const unchanged = await client.whatChanged({ name: 'standup', timeZone: 'UTC', startDate: '2025-07-01', endDate: '2025-07-03' });
+    if (countChanges(unchanged.changes) !== 0) {
+      throw new Error(`Unchanged occurrences should not be reported, got ${JSON.stringify(unchanged.changes)}`);
+    }
+    changedEvents.splice(1, 2, { ...occurrences[2], title: 'Standup (moved room)' });
+    const series = await client.whatChanged({ name: 'standup', timeZone: 'UTC', startDate: '2025-07-01', endDate: '2025-07-03' });
+    if (series.changes.removed.length !== 1 || series.changes.removed[0].recurrenceId !== '2025-07-02T09:00:00' ||
+        series.changes.edited.length !== 1 || series.changes.added.length !== 0) {
+      throw new Error(`Expected one removed and one edited occurrence, got ${JSON.stringify(series.changes)}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testDiskCache() {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'morgen-cache-test-'));
+  const originalFetch = global.fetch;
+  let fetchCallCount = 0;
+  global.fetch = async (...args) => {
+    fetchCallCount++;
+    return originalFetch(...args);
+  };
+  
+  try {
+    // A fresh server process answers from disk without calling the API
+    await new MorgenAPIClient('test-api-key-123', { cacheDir }).listCalendars();
+    fetchCallCount = 0;
+    const restarted = new MorgenAPIClient('test-api-key-123', { cacheDir });
+    const calendars = await restarted.listCalendars();
+    if (fetchCallCount !== 0 || calendars.length !== 2) {
+      throw new Error(`Expected calendars from disk without API calls, got ${fetchCallCount} calls`);
+    }
+    
+    // Entries are kept per API key
+    const otherKey = new MorgenAPIClient('other-api-key', { cacheDir });
+    if (otherKey.diskCache.filePath('calendars') === restarted.diskCache.filePath('calendars')) {
+      throw new Error('Disk cache entries should not be shared between API keys');
+    }
+    
+    // Stale entries are served immediately and refreshed in the background
+    await restarted.diskCache.set('calendars', [{ id: 'old-cal', name: 'Old' }], -1);
+    fetchCallCount = 0;
+    const stale = new MorgenAPIClient('test-api-key-123', { cacheDir });
+    const staleCalendars = await stale.listCalendars();
+    if (staleCalendars[0].id !== 'old-cal') {
+      throw new Error('Stale disk entry should be returned immediately');
+    }
+    await stale.revalidating.get('calendars');
+    const refreshed = await stale.diskCache.get('calendars');
+    if (fetchCallCount !== 1 || refreshed.stale || refreshed.value.length !== 2) {
+      throw new Error('Background refresh should update the disk entry');
+    }
+    
+    // Writes are atomic (no temporary files left) and entries from other versions are ignored
+    const files = fs.readdirSync(cacheDir);
+    if (files.some(file => file.endsWith('.tmp'))) {
+      throw new Error(`Temporary files left behind: ${files.join(', ')}`);
+    }
+    const file = stale.diskCache.filePath('calendars');
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify({ ...entry, version: entry.version + 1 }));
+    if (await stale.diskCache.get('calendars') !== null) {
+      throw new Error('Entries with a different version should be ignored');
+    }
+  } finally {
+    global.fetch = originalFetch;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+}
+
 async function testGetEventsAllCalendars() {
   const client = new MorgenAPIClient('test-api-key-123');
   
@@ -713,8 +2843,9 @@ async function testToolSchemaUpdates() {
     throw new Error('create_event should not require account_id (can be looked up from calendar_id)');
   }
   
-  if (!createEventRequired.includes('calendar_id')) {
-    throw new Error('create_event should require calendar_id');
+  // calendar_id falls back to the default calendar preference
+  if (createEventRequired.includes('calendar_id') || !createEventSchema.inputSchema.properties.calendar_id) {
+    throw new Error('create_event should take an optional calendar_id');
   }
   
   if (!createEventRequired.includes('title')) {